@@ -1,18 +1,54 @@
 // Smart Car Wash Pro 2.0 - Configuration
+const crypto = require('crypto');
+
+const nodeEnv = process.env.NODE_ENV || 'development';
+
+// Tokens must not be signed with a secret anyone can read in the repository: production
+// refuses to start without JWT_SECRET, development signs with a throwaway secret
+// (tokens then stop working when the server restarts)
+if (!process.env.JWT_SECRET && nodeEnv !== 'development') {
+  throw new Error('JWT_SECRET must be set');
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set; using a random secret for this development server.');
+}
+
+// The mock payment gateway approves any card and its webhooks mark orders paid or refunded,
+// so it only exists in development; anywhere else a real gateway and its webhook secret are required
+if (nodeEnv !== 'development') {
+  if (!process.env.PAYMENT_PROVIDER || process.env.PAYMENT_PROVIDER === 'mock') {
+    throw new Error('PAYMENT_PROVIDER must name a real payment gateway');
+  }
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set');
+  }
+}
+
 module.exports = {
   // Server configuration
   port: process.env.PORT || 3000,
-  nodeEnv: process.env.NODE_ENV || 'development',
+  nodeEnv,
   
   // JWT configuration
-  jwtSecret: process.env.JWT_SECRET || 'smart-car-wash-pro-secret-key-2024-super-secure',
+  jwtSecret: process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex'),
   jwtExpiresIn: '24h',
+
+  // Admin sessions: short-lived access tokens renewed with rotating refresh tokens
+  adminAuth: {
+    accessTokenExpiresIn: process.env.ADMIN_ACCESS_TOKEN_TTL || '15m',
+    refreshTokenDays: parseInt(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 30,
+    passwordResetMinutes: 60,
+    minPasswordLength: 8
+  },
   
   // Database configuration
   database: {
     path: process.env.DB_PATH || './database/carwash.db'
   },
   
+  // Customer-facing frontend (tracking and self-service links)
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3001',
+  
   // CORS configuration
   cors: {
     origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
@@ -38,6 +74,85 @@ module.exports = {
     }
   },
   
+  // Customer cancellation policy (fee as a percentage of the order price)
+  cancellation: {
+    freeUntilHours: 24, // free cancellation up to this many hours before the slot
+    lateFeePercent: 50, // cancelled within freeUntilHours
+    onWayFeePercent: 100 // cancelled while the unit is already on its way
+  },
+  
+  // Payment gateway configuration
+  payments: {
+    provider: process.env.PAYMENT_PROVIDER || 'mock',
+    currency: 'ILS',
+    webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')
+  },
+  
+  // Customer notifications (transports: 'smtp' / 'twilio' in production, 'file' or 'console' locally)
+  notifications: {
+    defaultLanguage: process.env.NOTIFY_DEFAULT_LANGUAGE || 'he',
+    outboxPath: process.env.NOTIFY_OUTBOX_PATH || './outbox', // used by the file transport
+    maxAttempts: 5,
+    email: {
+      transport: process.env.NOTIFY_EMAIL_TRANSPORT || 'console',
+      from: process.env.NOTIFY_EMAIL_FROM || 'Smart Car Wash Pro <no-reply@carwash.com>',
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      }
+    },
+    sms: {
+      transport: process.env.NOTIFY_SMS_TRANSPORT || 'console',
+      twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM
+      }
+    }
+  },
+  
+  // Outbound webhooks
+  webhooks: {
+    timeoutMs: 10000, // per delivery attempt
+    maxAttempts: 8 // retried with the job worker's exponential backoff
+  },
+  
+  // Live GPS tracking of mobile units
+  tracking: {
+    maxTrailPoints: 5000, // per trail request
+    retentionDays: parseInt(process.env.TRACKING_RETENTION_DAYS) || 30 // recorded positions are purged after this
+  },
+  
+  // Consumables carried by the mobile units (seeded into the database on first run, then managed by admins)
+  inventory: {
+    consumables: [
+      { code: 'water', name: 'Water', unit: 'L', lowStockThreshold: 100 },
+      { code: 'shampoo', name: 'Shampoo', unit: 'L', lowStockThreshold: 2 },
+      { code: 'wax', name: 'Wax', unit: 'L', lowStockThreshold: 0.5 },
+      { code: 'polish', name: 'Polish', unit: 'L', lowStockThreshold: 0.5 }
+    ],
+    // Used per service: quantity + perDirtLevel × dirt level
+    serviceConsumption: {
+      exterior: { water: { quantity: 30, perDirtLevel: 10 }, shampoo: { quantity: 0.2, perDirtLevel: 0.05 } },
+      interior: { water: { quantity: 5, perDirtLevel: 0 }, shampoo: { quantity: 0.1, perDirtLevel: 0 } },
+      polish: { polish: { quantity: 0.15, perDirtLevel: 0 } },
+      wax: { wax: { quantity: 0.1, perDirtLevel: 0 } }
+    }
+  },
+  
+  // Scheduled jobs worker configuration
+  jobs: {
+    pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS) || 5000,
+    batchSize: 10, // jobs picked up per poll
+    maxConcurrent: 10, // concurrent-type jobs (webhook deliveries) running at once
+    maxAttempts: 3,
+    retryDelaySeconds: 30, // doubled on every retry
+    retentionDays: 30 // completed/cancelled jobs are purged after this
+  },
+  
   // Business logic configuration
   business: {
     basePrice: 50, // NIS
@@ -47,6 +162,11 @@ module.exports = {
     dirtTimeMultiplier: 10, // minutes per dirt level
     interiorTime: 15, // additional minutes
     polishTime: 15, // additional minutes
-    waxTime: 10 // additional minutes
+    waxTime: 10, // additional minutes
+    averageSpeedKmh: parseFloat(process.env.AVERAGE_SPEED_KMH) || 40, // used to estimate travel time and arrival (ETA)
+    openingHour: 8, // business hours, server local time
+    closingHour: 20,
+    slotIntervalMinutes: 30, // spacing of bookable start times
+    autoAssignDelayMinutes: 3 // pending orders for a free unit are auto-confirmed after this
   }
 };
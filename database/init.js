@@ -1,9 +1,70 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const bcrypt = require('bcryptjs'); 
+const config = require('../config');
+const { getDefaultPricingRules } = require('../utils/calculations');
 const dbPath = path.join(__dirname, 'carwash.db');
 const db = new sqlite3.Database(dbPath);
 
+// Transactions get their own connection and run one at a time. Statements other requests
+// send through the shared connection meanwhile wait for the commit (busy timeout) instead
+// of landing inside the transaction, where a ROLLBACK would undo them. The shared connection
+// runs its statements in order, so a write waiting on the lock holds one worker thread
+// rather than every thread the transaction needs to finish.
+const transactionDb = new sqlite3.Database(dbPath);
+const BUSY_TIMEOUT_MS = 10000;
+db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+transactionDb.configure('busyTimeout', BUSY_TIMEOUT_MS);
+db.serialize();
+
+const transactionStatement = (method) => (sql, params = []) => new Promise((resolve, reject) => {
+  transactionDb[method](sql, params, function(err, result) {
+    if (err) reject(err);
+    else resolve(method === 'run' ? this : result);
+  });
+});
+
+const transaction = {
+  run: transactionStatement('run'),
+  get: transactionStatement('get'),
+  all: transactionStatement('all')
+};
+
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run work inside a transaction
+ * Work receives { run, get, all } bound to the transaction and must do its writes through
+ * them: a write through the shared connection would wait for this very transaction to end.
+ * Follow-up writes on the shared connection (refreshMobileAvailability, ...) go after it.
+ * @param {Function} work - async (tx) => result
+ * @returns {Promise} The work's result; everything is rolled back if it throws
+ */
+const withTransaction = (work) => {
+  const result = transactionQueue.then(async () => {
+    await transaction.run('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const value = await work(transaction);
+      await transaction.run('COMMIT');
+      return value;
+    } catch (error) {
+      await transaction.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+// Add a column to an existing table (for databases created before the column existed)
+const ensureColumn = (table, column, definition) => {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !err.message.includes('duplicate column name')) {
+      console.error(`Failed to add column ${table}.${column}:`, err);
+    }
+  });
+};
+
 // Initialize database tables
 const initDatabase = () => {
   return new Promise((resolve, reject) => {
@@ -29,12 +90,42 @@ const initDatabase = () => {
           customer_name TEXT,
           customer_phone TEXT,
           customer_email TEXT,
+          price_breakdown TEXT,
+          promo_code TEXT,
+          discount_amount REAL DEFAULT 0,
+          flexible_until DATETIME,
+          flexible_from DATETIME,
+          access_token TEXT,
+          cancellation_fee REAL,
+          customer_id INTEGER,
+          vehicle_id INTEGER,
+          fleet_id INTEGER,
+          price_modifier_percent REAL DEFAULT 0,
+          payment_status TEXT DEFAULT 'unpaid',
+          language TEXT,
+          zone_id INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
         )
       `);
 
+      ensureColumn('orders', 'price_breakdown', 'TEXT');
+      ensureColumn('orders', 'promo_code', 'TEXT');
+      ensureColumn('orders', 'discount_amount', 'REAL DEFAULT 0');
+      ensureColumn('orders', 'flexible_until', 'DATETIME');
+      // Start of the flexible window once route planning moved requested_datetime within it
+      ensureColumn('orders', 'flexible_from', 'DATETIME');
+      ensureColumn('orders', 'access_token', 'TEXT');
+      ensureColumn('orders', 'cancellation_fee', 'REAL');
+      ensureColumn('orders', 'customer_id', 'INTEGER REFERENCES customers (id)');
+      ensureColumn('orders', 'vehicle_id', 'INTEGER REFERENCES vehicles (id)');
+      ensureColumn('orders', 'fleet_id', 'INTEGER REFERENCES fleets (id)');
+      ensureColumn('orders', 'price_modifier_percent', 'REAL DEFAULT 0');
+      ensureColumn('orders', 'payment_status', "TEXT DEFAULT 'unpaid'");
+      ensureColumn('orders', 'language', 'TEXT');
+      ensureColumn('orders', 'zone_id', 'INTEGER REFERENCES service_zones (id)');
+
       // Mobiles table
       db.run(`
         CREATE TABLE IF NOT EXISTS mobiles (
@@ -45,11 +136,30 @@ const initDatabase = () => {
           available_from DATETIME NOT NULL,
           is_available BOOLEAN DEFAULT true,
           current_order_id INTEGER,
+          location_updated_at DATETIME,
+          out_of_service BOOLEAN DEFAULT 0,
+          out_of_service_reason TEXT,
+          out_of_service_since DATETIME,
+          home_base_lat REAL,
+          home_base_lng REAL,
+          home_base_address TEXT,
+          capabilities TEXT,
+          retired_at DATETIME,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY (current_order_id) REFERENCES orders (id)
         )
       `);
 
+      ensureColumn('mobiles', 'location_updated_at', 'DATETIME');
+      ensureColumn('mobiles', 'out_of_service', 'BOOLEAN DEFAULT 0');
+      ensureColumn('mobiles', 'out_of_service_reason', 'TEXT');
+      ensureColumn('mobiles', 'out_of_service_since', 'DATETIME');
+      ensureColumn('mobiles', 'home_base_lat', 'REAL');
+      ensureColumn('mobiles', 'home_base_lng', 'REAL');
+      ensureColumn('mobiles', 'home_base_address', 'TEXT');
+      ensureColumn('mobiles', 'capabilities', 'TEXT');
+      ensureColumn('mobiles', 'retired_at', 'DATETIME');
+
       // Activity logs table
       db.run(`
         CREATE TABLE IF NOT EXISTS activity_logs (
@@ -71,20 +181,530 @@ const initDatabase = () => {
           email TEXT UNIQUE NOT NULL,
           password TEXT NOT NULL,
           name TEXT NOT NULL,
-          role TEXT DEFAULT 'admin',
+          role TEXT DEFAULT 'viewer',
+          is_active BOOLEAN DEFAULT 1,
+          invited_by INTEGER,
+          invite_token_hash TEXT,
+          invite_expires_at DATETIME,
+          must_change_password BOOLEAN DEFAULT 0,
+          password_changed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (invited_by) REFERENCES admins (id)
+        )
+      `);
+
+      // Admins from before roles existed had full access; those databases have no is_active column yet,
+      // so the upgrade runs once and never promotes admins added later
+      db.all('PRAGMA table_info(admins)', (err, columns) => {
+        if (err || columns.some(column => column.name === 'is_active')) return;
+        db.run("UPDATE admins SET role = 'owner' WHERE role IS NULL OR role = 'admin'");
+      });
+
+      ensureColumn('admins', 'is_active', 'BOOLEAN DEFAULT 1');
+      ensureColumn('admins', 'invited_by', 'INTEGER');
+      ensureColumn('admins', 'invite_token_hash', 'TEXT');
+      ensureColumn('admins', 'invite_expires_at', 'DATETIME');
+      ensureColumn('admins', 'must_change_password', 'BOOLEAN DEFAULT 0');
+      ensureColumn('admins', 'password_changed_at', 'DATETIME');
+
+      // Admin sessions: one per login, revoked on logout, password change or refresh token reuse
+      db.run(`
+        CREATE TABLE IF NOT EXISTS admin_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          admin_id INTEGER NOT NULL,
+          user_agent TEXT,
+          ip_address TEXT,
+          expires_at DATETIME NOT NULL,
+          revoked_at DATETIME,
+          revoked_reason TEXT,
+          last_used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (admin_id) REFERENCES admins (id)
+        )
+      `);
+
+      // Refresh tokens of a session (SHA-256 hashes); each one can be used once
+      db.run(`
+        CREATE TABLE IF NOT EXISTS admin_refresh_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id INTEGER NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (session_id) REFERENCES admin_sessions (id)
+        )
+      `);
+
+      // One-time password reset tokens (SHA-256 hashes)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS admin_password_resets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          admin_id INTEGER NOT NULL,
+          token_hash TEXT UNIQUE NOT NULL,
+          expires_at DATETIME NOT NULL,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (admin_id) REFERENCES admins (id)
+        )
+      `);
+
+      // Pricing rules table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS pricing_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_type TEXT NOT NULL CHECK (rule_type IN ('base', 'vehicle_type', 'service', 'dirt_level', 'distance_band', 'minimum')),
+          match_key TEXT,
+          min_km REAL,
+          max_km REAL,
+          amount REAL NOT NULL,
+          description TEXT,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Seed pricing rules from config.business, only on an empty table so admin changes are kept
+      const defaultRules = getDefaultPricingRules();
+      db.run(
+        `INSERT INTO pricing_rules (rule_type, match_key, min_km, max_km, amount, description)
+         SELECT * FROM (VALUES ${defaultRules.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')})
+         WHERE NOT EXISTS (SELECT 1 FROM pricing_rules)`,
+        defaultRules.flatMap(rule => [rule.rule_type, rule.match_key, rule.min_km, rule.max_km, rule.amount, rule.description])
+      );
+
+      // Coupons table (promo codes)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS coupons (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT UNIQUE NOT NULL,
+          description TEXT,
+          discount_type TEXT NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+          discount_value REAL NOT NULL,
+          starts_at DATETIME,
+          expires_at DATETIME,
+          max_uses INTEGER,
+          max_uses_per_customer INTEGER,
+          min_order_value REAL,
+          service_types TEXT,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Coupon redemptions table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS coupon_redemptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          coupon_id INTEGER NOT NULL,
+          order_id INTEGER NOT NULL,
+          customer_key TEXT,
+          discount_amount REAL NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (coupon_id) REFERENCES coupons (id),
+          FOREIGN KEY (order_id) REFERENCES orders (id)
+        )
+      `);
+
+      // Scheduled jobs table (persistent background jobs)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          payload TEXT,
+          job_key TEXT,
+          run_at DATETIME NOT NULL,
+          status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          last_error TEXT,
+          completed_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_due ON scheduled_jobs (status, run_at)');
+
+      // Customers table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS customers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          email TEXT UNIQUE NOT NULL,
+          password TEXT NOT NULL,
+          name TEXT NOT NULL,
+          phone TEXT,
+          fleet_id INTEGER,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         )
       `);
 
+      // Fleet the customer may book and bill for (set by an admin)
+      ensureColumn('customers', 'fleet_id', 'INTEGER REFERENCES fleets (id)');
+
+      // Customer vehicles table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS vehicles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          customer_id INTEGER NOT NULL,
+          plate TEXT NOT NULL,
+          vehicle_type TEXT NOT NULL CHECK (vehicle_type IN ('sedan', 'suv', 'truck', 'van', 'motorcycle')),
+          nickname TEXT,
+          default_lat REAL,
+          default_lng REAL,
+          default_address TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (customer_id, plate),
+          FOREIGN KEY (customer_id) REFERENCES customers (id)
+        )
+      `);
+
+      // Fleet (corporate) accounts table
+      db.run(`
+        CREATE TABLE IF NOT EXISTS fleets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          contact_name TEXT,
+          contact_email TEXT,
+          contact_phone TEXT,
+          billing_address TEXT,
+          price_modifier_percent REAL DEFAULT 0,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Vehicles authorized to be billed to a fleet
+      db.run(`
+        CREATE TABLE IF NOT EXISTS fleet_vehicles (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fleet_id INTEGER NOT NULL,
+          plate TEXT UNIQUE NOT NULL,
+          vehicle_type TEXT,
+          label TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (fleet_id) REFERENCES fleets (id)
+        )
+      `);
+
+      // Monthly consolidated statements
+      db.run(`
+        CREATE TABLE IF NOT EXISTS fleet_statements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          fleet_id INTEGER NOT NULL,
+          period TEXT NOT NULL,
+          order_count INTEGER NOT NULL,
+          total_amount REAL NOT NULL,
+          pdf_path TEXT NOT NULL,
+          generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (fleet_id, period),
+          FOREIGN KEY (fleet_id) REFERENCES fleets (id)
+        )
+      `);
+
+      // Payments table (one row per authorization with the gateway)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS payments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          provider TEXT NOT NULL,
+          provider_payment_id TEXT UNIQUE NOT NULL,
+          amount REAL NOT NULL,
+          captured_amount REAL DEFAULT 0,
+          refunded_amount REAL DEFAULT 0,
+          currency TEXT NOT NULL,
+          status TEXT NOT NULL CHECK (status IN ('authorized', 'captured', 'refunded', 'failed')),
+          failure_reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders (id)
+        )
+      `);
+
+      // Customer reviews (one per completed order)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER UNIQUE NOT NULL,
+          mobile_id INTEGER,
+          rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+          comment TEXT,
+          tip_amount REAL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders (id),
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
+        )
+      `);
+
+      // Customer notifications and their delivery log
+      db.run(`
+        CREATE TABLE IF NOT EXISTS notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id INTEGER NOT NULL,
+          event TEXT NOT NULL,
+          channel TEXT NOT NULL CHECK (channel IN ('email', 'sms')),
+          recipient TEXT NOT NULL,
+          language TEXT NOT NULL,
+          subject TEXT,
+          body TEXT NOT NULL,
+          attachment_path TEXT,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+          attempts INTEGER DEFAULT 0,
+          last_error TEXT,
+          provider_message_id TEXT,
+          sent_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders (id)
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_notifications_order ON notifications (order_id)');
+
+      // Outbound webhook subscriptions (events is a comma-separated list, '*' for all)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          events TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          description TEXT,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Webhook delivery log
+      db.run(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          subscription_id INTEGER NOT NULL,
+          event TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+          attempts INTEGER DEFAULT 0,
+          response_status INTEGER,
+          response_body TEXT,
+          last_error TEXT,
+          delivered_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (subscription_id) REFERENCES webhook_subscriptions (id)
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, created_at)');
+
+      // Crew members, each working on one mobile unit
+      db.run(`
+        CREATE TABLE IF NOT EXISTS crew_members (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          email TEXT UNIQUE NOT NULL,
+          phone TEXT,
+          password TEXT NOT NULL,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
+        )
+      `);
+
+      // GPS positions of the mobile units (order_id is the order being driven to / washed, if any)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mobile_locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          order_id INTEGER,
+          lat REAL NOT NULL,
+          lng REAL NOT NULL,
+          heading REAL,
+          speed REAL,
+          accuracy REAL,
+          recorded_at DATETIME NOT NULL,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id),
+          FOREIGN KEY (order_id) REFERENCES orders (id)
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_mobile_locations_mobile ON mobile_locations (mobile_id, recorded_at)');
+      db.run('CREATE INDEX IF NOT EXISTS idx_mobile_locations_recorded ON mobile_locations (recorded_at)');
+
+      // Service zones (geojson is a Polygon or MultiPolygon geometry, surcharge in NIS)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS service_zones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          geojson TEXT NOT NULL,
+          surcharge REAL DEFAULT 0,
+          is_active BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Zones a mobile unit is restricted to (a unit without rows works everywhere)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mobile_zones (
+          mobile_id INTEGER NOT NULL,
+          zone_id INTEGER NOT NULL,
+          PRIMARY KEY (mobile_id, zone_id),
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id),
+          FOREIGN KEY (zone_id) REFERENCES service_zones (id)
+        )
+      `);
+
+      // Weekly shift template per mobile unit (weekday 0 = Sunday; several rows a day for split shifts)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mobile_shifts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          weekday INTEGER NOT NULL CHECK (weekday >= 0 AND weekday <= 6),
+          start_time TEXT NOT NULL,
+          end_time TEXT NOT NULL,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
+        )
+      `);
+
+      // Date-specific shifts replacing the weekly template (a row without times is a day off)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mobile_shift_overrides (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          start_time TEXT,
+          end_time TEXT,
+          reason TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_mobile_shift_overrides ON mobile_shift_overrides (mobile_id, date)');
+
+      // Consumables carried by the mobile units
+      db.run(`
+        CREATE TABLE IF NOT EXISTS consumables (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          code TEXT UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          unit TEXT NOT NULL,
+          low_stock_threshold REAL DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Consumption per service: quantity + quantity_per_dirt_level × dirt level
+      db.run(`
+        CREATE TABLE IF NOT EXISTS service_consumption (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          service TEXT NOT NULL,
+          consumable_id INTEGER NOT NULL,
+          quantity REAL DEFAULT 0,
+          quantity_per_dirt_level REAL DEFAULT 0,
+          UNIQUE (service, consumable_id),
+          FOREIGN KEY (consumable_id) REFERENCES consumables (id)
+        )
+      `);
+
+      // Stock on each unit (a unit without a row for a consumable is not tracked for it)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mobile_inventory (
+          mobile_id INTEGER NOT NULL,
+          consumable_id INTEGER NOT NULL,
+          quantity REAL NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (mobile_id, consumable_id),
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id),
+          FOREIGN KEY (consumable_id) REFERENCES consumables (id)
+        )
+      `);
+
+      // Stock movements: restocks, stocktake adjustments and usage by completed orders
+      db.run(`
+        CREATE TABLE IF NOT EXISTS inventory_movements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          consumable_id INTEGER NOT NULL,
+          change REAL NOT NULL,
+          reason TEXT NOT NULL CHECK (reason IN ('restock', 'adjustment', 'order')),
+          order_id INTEGER,
+          notes TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id),
+          FOREIGN KEY (consumable_id) REFERENCES consumables (id),
+          FOREIGN KEY (order_id) REFERENCES orders (id)
+        )
+      `);
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_inventory_movements_mobile ON inventory_movements (mobile_id, created_at)');
+
+      // Maintenance of the mobile units: planned windows (scheduled_start/end) and repairs in progress
+      db.run(`
+        CREATE TABLE IF NOT EXISTS maintenance_records (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          mobile_id INTEGER NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('service', 'repair', 'inspection', 'other')),
+          description TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+          scheduled_start DATETIME,
+          scheduled_end DATETIME,
+          started_at DATETIME,
+          completed_at DATETIME,
+          cost REAL,
+          odometer_km INTEGER,
+          notes TEXT,
+          took_unit_out_of_service BOOLEAN DEFAULT 1,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (mobile_id) REFERENCES mobiles (id)
+        )
+      `);
+      // Set when the record starts; records started before the column existed did take their unit down
+      ensureColumn('maintenance_records', 'took_unit_out_of_service', 'BOOLEAN DEFAULT 1');
+
+      db.run('CREATE INDEX IF NOT EXISTS idx_maintenance_records_mobile ON maintenance_records (mobile_id, status)');
+
+      // Seed consumables and consumption profiles from config.inventory, only on empty tables so admin changes are kept
+      const defaultConsumables = config.inventory.consumables;
+      db.run(
+        `INSERT INTO consumables (code, name, unit, low_stock_threshold)
+         SELECT * FROM (VALUES ${defaultConsumables.map(() => '(?, ?, ?, ?)').join(', ')})
+         WHERE NOT EXISTS (SELECT 1 FROM consumables)`,
+        defaultConsumables.flatMap(item => [item.code, item.name, item.unit, item.lowStockThreshold])
+      );
+
+      const defaultConsumption = Object.entries(config.inventory.serviceConsumption).flatMap(([service, items]) =>
+        Object.entries(items).map(([code, usage]) => [service, code, usage.quantity, usage.perDirtLevel])
+      );
+      db.run(
+        `INSERT INTO service_consumption (service, consumable_id, quantity, quantity_per_dirt_level)
+         SELECT v.column1, c.id, v.column3, v.column4
+         FROM (VALUES ${defaultConsumption.map(() => '(?, ?, ?, ?)').join(', ')}) v
+         JOIN consumables c ON c.code = v.column2
+         WHERE NOT EXISTS (SELECT 1 FROM service_consumption)`,
+        defaultConsumption.flat()
+      );
+
       // Insert default admin - הסיסמה היא 'password'
       const salt = bcrypt.genSaltSync(10);
       const hashedPassword = bcrypt.hashSync("password", salt);
       
       db.run(
-        'INSERT OR IGNORE INTO admins (email, password, name) VALUES (?, ?, ?)',
-        ['admin@carwash.com', hashedPassword, 'Admin User']
+        'INSERT OR IGNORE INTO admins (email, password, name, role, must_change_password) VALUES (?, ?, ?, ?, 1)',
+        ['admin@carwash.com', hashedPassword, 'Admin User', 'owner']
       );
 
+      // The default admin must pick a new password while it still uses the published one (also on existing databases)
+      db.get("SELECT id, password FROM admins WHERE email = 'admin@carwash.com'", (err, admin) => {
+        if (!err && admin && bcrypt.compareSync('password', admin.password)) {
+          db.run('UPDATE admins SET must_change_password = 1 WHERE id = ?', [admin.id]);
+        }
+      });
+
       // Insert sample mobile units
       const sampleMobiles = [
         { name: 'Mobile Unit Alpha', lat: 32.0853, lng: 34.7818, available_from: new Date().toISOString() },
@@ -97,12 +717,12 @@ const initDatabase = () => {
       
 
       const insertMobile = db.prepare(`
-        INSERT OR IGNORE INTO mobiles (name, location_lat, location_lng, available_from) 
-        VALUES (?, ?, ?, ?)
+        INSERT OR IGNORE INTO mobiles (name, location_lat, location_lng, home_base_lat, home_base_lng, available_from) 
+        VALUES (?, ?, ?, ?, ?, ?)
       `);
 
       sampleMobiles.forEach(mobile => {
-        insertMobile.run(mobile.name, mobile.lat, mobile.lng, mobile.available_from);
+        insertMobile.run(mobile.name, mobile.lat, mobile.lng, mobile.lat, mobile.lng, mobile.available_from);
       });
 
       insertMobile.finalize((err) => {
@@ -116,4 +736,4 @@ const initDatabase = () => {
   });
 };
 
-module.exports = { db, initDatabase };
\ No newline at end of file
+module.exports = { db, withTransaction, initDatabase };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Admin roles and what each of them may do in the admin panel
+// Permissions are '<area>:view' (read) and '<area>:manage' (change); owners can do everything
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  dispatcher: [
+    'dashboard:view',
+    'orders:view', 'orders:manage',
+    'fleet:view', 'fleet:manage',
+    'crew:view', 'crew:manage',
+    'zones:manage',
+    'inventory:manage',
+    'pricing:view',
+    'notifications:view', 'notifications:manage',
+    'system:view'
+  ],
+  accountant: [
+    'dashboard:view',
+    'orders:view',
+    'fleet:view',
+    'pricing:view', 'pricing:manage',
+    'billing:view', 'billing:manage',
+    'notifications:view'
+  ],
+  viewer: [
+    'dashboard:view',
+    'orders:view',
+    'fleet:view',
+    'crew:view',
+    'pricing:view',
+    'billing:view',
+    'notifications:view',
+    'system:view'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a role grants a permission
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// List the permissions of a role (for the dashboard to hide what the admin cannot use)
+const getRolePermissions = (role) => (ROLE_PERMISSIONS[role] || []);
+
+// Only let admins whose role grants the permission through (use after verifyToken)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      error: 'Insufficient permissions.',
+      missingPermission: permission,
+      role: req.admin.role
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ADMIN_ROLES,
+  hasPermission,
+  getRolePermissions,
+  requirePermission
+};
@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { db } = require('../database/init');
+
+// Load the crew member behind a verified token
+// Status and unit are read fresh so disabling or moving a crew member applies immediately
+const loadCrewMember = (decoded) => new Promise((resolve, reject) => {
+  db.get('SELECT id, name, email, mobile_id, is_active FROM crew_members WHERE id = ?', [decoded.id], (err, row) => {
+    if (err) reject(err);
+    else resolve(row && row.is_active ? { ...decoded, name: row.name, email: row.email, mobileId: row.mobile_id } : null);
+  });
+});
+
+// Verify crew JWT middleware - the token is scoped to the crew's mobile unit
+const verifyCrewToken = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid token.' });
+  }
+
+  if (decoded.type !== 'crew') {
+    return res.status(403).json({ error: 'Access denied.' });
+  }
+
+  try {
+    const crew = await loadCrewMember(decoded);
+    if (!crew) {
+      return res.status(401).json({ error: 'Account is disabled.' });
+    }
+
+    req.crew = crew;
+    next();
+  } catch (error) {
+    console.error('Crew lookup error:', error);
+    res.status(500).json({ error: 'Failed to verify token' });
+  }
+};
+
+// Decode a crew token outside of HTTP requests (socket.io connections)
+// Resolves to null when the token is missing, invalid, not a crew token or the account is disabled
+const decodeCrewToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+
+  return decoded.type === 'crew' ? loadCrewMember(decoded) : null;
+};
+
+// Only let a crew act on its own mobile unit (the unit ID is the :id route parameter)
+const requireOwnMobile = (req, res, next) => {
+  if (parseInt(req.params.id, 10) !== req.crew.mobileId) {
+    return res.status(403).json({ error: 'You can only update your own mobile unit.' });
+  }
+  next();
+};
+
+module.exports = {
+  verifyCrewToken,
+  decodeCrewToken,
+  requireOwnMobile
+};
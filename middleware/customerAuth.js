@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+// Read and verify a customer JWT from the Authorization header; returns null if missing or invalid
+const decodeCustomerToken = (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    return decoded.type === 'customer' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Verify customer JWT middleware
+const verifyCustomerToken = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return res.status(401).json({ error: 'Access denied. No token provided.' });
+  }
+
+  const customer = decodeCustomerToken(req);
+  if (!customer) {
+    return res.status(400).json({ error: 'Invalid token.' });
+  }
+
+  req.customer = customer;
+  next();
+};
+
+// Attach the customer when a valid token is sent, but allow guests through
+const optionalCustomerToken = (req, res, next) => {
+  req.customer = decodeCustomerToken(req);
+  next();
+};
+
+module.exports = {
+  verifyCustomerToken,
+  optionalCustomerToken
+};
@@ -1,17 +1,74 @@
 const express = require('express');
+const fs = require('fs');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { db } = require('../database/init');
+const { body, param, query, validationResult } = require('express-validator');
+const config = require('../config');
+const { db, withTransaction } = require('../database/init');
+const { planMobileRoute } = require('../utils/routePlanner');
+const {
+  buildMobileTimeline,
+  canServeZone,
+  canScheduleJob,
+  toDateKey,
+  getWorkingWindows,
+  isWithinShift,
+  isDuringMaintenance,
+  canPerformService,
+  hasSupplies,
+  calculateDistance,
+  calculateOrderPrice,
+  findBestMobile
+} = require('../utils/calculations');
+const { refreshMobileAvailability } = require('../utils/queueManager');
+const { transitionOrder, OrderTransitionError } = require('../utils/orderLifecycle');
+const { normalizePlate, generateFleetStatement } = require('../utils/fleetBilling');
+const { getStatementPath } = require('../utils/pdfGenerator');
+const { resendNotification } = require('../utils/notifications');
+const { sendThroughChannel } = require('../utils/notificationChannels');
+const { getMobileTrail } = require('../utils/mobileTracking');
+const { refreshMobileEtas } = require('../utils/eta');
+const { MOBILES_WITH_ZONES_SQL, normalizeZoneGeometry, getZone } = require('../utils/zones');
+const { TIME_PATTERN, validateShiftWindows, attachShifts } = require('../utils/shifts');
+const { getRequiredSupplies, attachInventory, getInventoryLevels, restockMobile } = require('../utils/inventory');
+const { ADMIN_ROLES, getRolePermissions, requirePermission } = require('../middleware/adminPermissions');
+const {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAdminSessions,
+  createPasswordReset,
+  consumePasswordReset
+} = require('../utils/adminSessions');
+const {
+  attachMaintenance,
+  redistributeQueue,
+  setOutOfService,
+  returnToService,
+  planMaintenance,
+  startMaintenance,
+  completeMaintenance,
+  cancelMaintenance
+} = require('../utils/maintenance');
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  emitWebhookEvent,
+  sendTestEvent,
+  redeliverWebhook
+} = require('../utils/webhooks');
+const { ADMIN_ROOM } = require('../utils/realtime');
 
 const router = express.Router();
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'smart-car-wash-pro-secret-key-2024';
+// Services a unit can be equipped for (orders combine them, e.g. 'exterior+wax')
+const SERVICE_TYPES = ['exterior', 'interior', 'polish', 'wax'];
 
 // Admin login
 router.post('/login', [
-  body('email').isEmail().withMessage('Valid email required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ], async (req, res) => {
   try {
@@ -34,37 +91,30 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    console.log('Admin found:', admin);
-    console.log('Password from DB:', admin.password);
-    console.log('Password from request:', password);
-
     // Check password
     const isValidPassword = await bcrypt.compare(password, admin.password);
     if (!isValidPassword) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
-    
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: admin.id, 
-        email: admin.email, 
-        name: admin.name,
-        role: admin.role 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!admin.is_active) {
+      return res.status(403).json({ error: 'Account is disabled' });
+    }
+
+    const session = await createSession(admin, { userAgent: req.get('User-Agent'), ipAddress: req.ip });
 
     res.json({
       message: 'Login successful',
-      token,
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      refreshExpiresAt: session.refreshExpiresAt,
+      mustChangePassword: Boolean(admin.must_change_password),
       admin: {
         id: admin.id,
         name: admin.name,
         email: admin.email,
-        role: admin.role
+        role: admin.role,
+        permissions: getRolePermissions(admin.role)
       }
     });
 
@@ -74,444 +124,3888 @@ router.post('/login', [
   }
 });
 
+// Exchange a refresh token for a new token pair (the old refresh token stops working)
+router.post('/refresh', [
+  body('refreshToken').isHexadecimal().withMessage('Refresh token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (result.error) {
+      return res.status(401).json({ error: result.error });
+    }
+
+    res.json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      refreshExpiresAt: result.refreshExpiresAt,
+      mustChangePassword: Boolean(result.admin.must_change_password)
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Per-unit review aggregates, joined onto mobile unit listings
+const MOBILE_RATINGS_JOIN = `
+  LEFT JOIN (
+    SELECT mobile_id, COUNT(*) as review_count, ROUND(AVG(rating), 2) as average_rating, SUM(tip_amount) as total_tips
+    FROM reviews
+    GROUP BY mobile_id
+  ) rv ON rv.mobile_id = m.id`;
+const MOBILE_RATING_COLUMNS = 'COALESCE(rv.review_count, 0) as review_count, rv.average_rating, COALESCE(rv.total_tips, 0) as total_tips';
+
 // Verify JWT middleware
-const verifyToken = (req, res, next) => {
+// Admins who still have to change their password can only reach the routes that let them do it
+const authenticateAdmin = ({ allowPasswordChange = false } = {}) => async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
   
   if (!token) {
     return res.status(401).json({ error: 'Access denied. No token provided.' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.admin = decoded;
-    next();
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    res.status(400).json({ error: 'Invalid token.' });
+    return res.status(400).json({ error: 'Invalid token.' });
+  }
+
+  // Customer and crew tokens are scoped to their own APIs
+  if (decoded.type !== 'admin') {
+    return res.status(403).json({ error: 'Access denied.' });
   }
-};
 
-// Get dashboard analytics
-router.get('/dashboard', verifyToken, async (req, res) => {
   try {
-    // Get total orders
-    const totalOrders = await new Promise((resolve, reject) => {
-      db.get('SELECT COUNT(*) as count FROM orders', (err, row) => {
-        if (err) reject(err);
-        else resolve(row.count);
-      });
-    });
+    // A logout or password change revokes the session before its tokens expire
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ error: 'Session expired, please log in again.' });
+    }
 
-    // Get total revenue
-    const totalRevenue = await new Promise((resolve, reject) => {
-      db.get('SELECT SUM(price) as total FROM orders WHERE status != "cancelled"', (err, row) => {
+    // Role and status are read fresh so role changes and disabled accounts apply immediately
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, email, name, role, is_active, must_change_password FROM admins WHERE id = ?', [decoded.id], (err, row) => {
         if (err) reject(err);
-        else resolve(row.total || 0);
+        else resolve(row);
       });
     });
 
-    // Get cumulative working time
-    const totalWorkingTime = await new Promise((resolve, reject) => {
-      db.get('SELECT SUM(duration_minutes) as total FROM orders WHERE status = "completed"', (err, row) => {
-        if (err) reject(err);
-        else resolve(row.total || 0);
-      });
-    });
+    if (!admin || !admin.is_active) {
+      return res.status(401).json({ error: 'Account is disabled.' });
+    }
 
-    const totalDistance = await new Promise((resolve, reject) => {
-      db.get(`SELECT SUM(distance_km) as total FROM orders WHERE status = 'completed'`, (err, row) => {
-          if (err) reject(err);
-          else resolve(row.total || 0);
-      });
+    if (admin.must_change_password && !allowPasswordChange) {
+      return res.status(403).json({ error: 'Password change required.', code: 'PASSWORD_CHANGE_REQUIRED' });
+    }
+
+    req.admin = {
+      ...decoded,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      mustChangePassword: Boolean(admin.must_change_password)
+    };
+    next();
+  } catch (error) {
+    console.error('Admin lookup error:', error);
+    res.status(500).json({ error: 'Failed to verify token' });
+  }
+};
+
+const verifyToken = authenticateAdmin();
+const verifyTokenAllowingPasswordChange = authenticateAdmin({ allowPasswordChange: true });
+
+// Get the signed-in admin with the permissions of their role
+router.get('/me', verifyTokenAllowingPasswordChange, (req, res) => {
+  res.json({
+    id: req.admin.id,
+    name: req.admin.name,
+    email: req.admin.email,
+    role: req.admin.role,
+    mustChangePassword: req.admin.mustChangePassword,
+    permissions: getRolePermissions(req.admin.role)
   });
+});
 
-    // Get orders by status
-    const ordersByStatus = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT status, COUNT(*) as count 
-        FROM orders 
-        GROUP BY status
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+// Log out: end this session, or every session of the admin with { all: true }
+router.post('/logout', verifyTokenAllowingPasswordChange, [
+  body('all').optional().isBoolean().withMessage('all must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Get recent orders
-    const recentOrders = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT o.*, m.name as mobile_name
-        FROM orders o
-        LEFT JOIN mobiles m ON o.mobile_id = m.id
-        ORDER BY o.created_at DESC
-        LIMIT 10
-      `, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    if (req.body.all === true || req.body.all === 'true') {
+      const revoked = await revokeAdminSessions(req.admin.id, 'logout_all');
+      return res.json({ message: 'Logged out of all sessions', sessionsRevoked: revoked });
+    }
 
-    // Get mobile units status
-    const mobileStatus = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT m.*, o.vehicle_number, o.status as current_order_status
-        FROM mobiles m
-        LEFT JOIN orders o ON m.current_order_id = o.id
-        ORDER BY m.name
-      `, (err, rows) => {
+    await revokeSession(req.admin.sid, 'logout');
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+const validateNewPassword = body('new_password')
+  .isLength({ min: config.adminAuth.minPasswordLength })
+  .withMessage(`Password must be at least ${config.adminAuth.minPasswordLength} characters`);
+
+// Store a new password and clear the forced change flag
+const updateAdminPassword = async (adminId, password) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE admins SET password = ?, must_change_password = 0, password_changed_at = ? WHERE id = ?',
+      [hashedPassword, new Date().toISOString(), adminId],
+      (err) => {
         if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+        else resolve();
+      }
+    );
+  });
+};
 
-    // Get daily revenue for last 7 days
-    const dailyRevenue = await new Promise((resolve, reject) => {
-      db.all(`
-        SELECT 
-          DATE(created_at, '+3 hours') as date,
-          COUNT(*) as orders_count,
-          SUM(price) as revenue
-        FROM orders 
-        WHERE created_at >= date('now', '-7 days')
-        AND status != 'cancelled'
-        GROUP BY DATE(created_at, '+3 hours')
-        ORDER BY date DESC
-      `, (err, rows) => {
+// Change the signed-in admin's password (other sessions are logged out)
+router.post('/password', verifyTokenAllowingPasswordChange, [
+  body('current_password').notEmpty().withMessage('Current password is required'),
+  validateNewPassword
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { current_password, new_password } = req.body;
+
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT password FROM admins WHERE id = ?', [req.admin.id], (err, row) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(row);
       });
     });
 
-    res.json({
-      overview: {
-        totalOrders,
-        totalRevenue: Math.round(totalRevenue * 100) / 100,
-        totalWorkingTime,
-        totalDistance: Math.round(totalDistance * 10) / 10,
-        averageOrderValue: totalOrders > 0 ? Math.round((totalRevenue / totalOrders) * 100) / 100 : 0
-      },
-      ordersByStatus,
-      recentOrders,
-      mobileStatus,
-      dailyRevenue
-    });
+    if (!(await bcrypt.compare(current_password, admin.password))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+    if (await bcrypt.compare(new_password, admin.password)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
+    }
+
+    await updateAdminPassword(req.admin.id, new_password);
+    const revoked = await revokeAdminSessions(req.admin.id, 'password_changed', { exceptSessionId: req.admin.sid });
+
+    res.json({ message: 'Password changed successfully', otherSessionsRevoked: revoked });
 
   } catch (error) {
-    console.error('Dashboard error:', error);
-    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+    console.error('Password change error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
-// Get activity logs
-router.get('/logs', verifyToken, async (req, res) => {
+// Request a password reset link (the response never reveals whether the email is registered)
+router.post('/password/forgot', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 50, orderId } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = `
-      SELECT al.*, o.vehicle_number, m.name as mobile_name
-      FROM activity_logs al
-      LEFT JOIN orders o ON al.order_id = o.id
-      LEFT JOIN mobiles m ON al.mobile_id = m.id
-    `;
-    
-    const params = [];
-    if (orderId) {
-      query += ' WHERE al.order_id = ?';
-      params.push(orderId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    
-    query += ' ORDER BY al.timestamp DESC, al.id DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
 
-    const logs = await new Promise((resolve, reject) => {
-      db.all(query, params, (err, rows) => {
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, email, name, is_active FROM admins WHERE email = ?', [req.body.email], (err, row) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(row);
       });
     });
 
-    // Get total count
-    const totalCount = await new Promise((resolve, reject) => {
-      let countQuery = 'SELECT COUNT(*) as count FROM activity_logs';
-      const countParams = [];
-      
-      if (orderId) {
-        countQuery += ' WHERE order_id = ?';
-        countParams.push(orderId);
-      }
-      
-      db.get(countQuery, countParams, (err, row) => {
-        if (err) reject(err);
-        else resolve(row.count);
-      });
-    });
+    if (admin && admin.is_active) {
+      const { token } = await createPasswordReset(admin.id);
+      const resetUrl = `${config.frontendUrl}/admin/reset-password?token=${token}`;
 
-    res.json({
-      logs,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCount,
-        pages: Math.ceil(totalCount / limit)
+      try {
+        await sendThroughChannel('email', {
+          to: admin.email,
+          subject: 'Reset your Smart Car Wash Pro password',
+          text: `Hi ${admin.name},\n\nReset your admin password here (valid for ${config.adminAuth.passwordResetMinutes} minutes, usable once):\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`
+        });
+      } catch (emailError) {
+        console.error('Password reset email error:', emailError);
       }
-    });
+    }
+
+    res.json({ message: 'If this email belongs to an admin, a reset link has been sent' });
 
   } catch (error) {
-    console.error('Logs error:', error);
-    res.status(500).json({ error: 'Failed to fetch logs' });
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Failed to request password reset' });
   }
 });
 
-// Get all orders for admin
-router.get('/orders', verifyToken, async (req, res) => {
+// Set a new password with a reset token (every session is logged out)
+router.post('/password/reset', [
+  body('token').isHexadecimal().withMessage('Invalid reset link'),
+  validateNewPassword
+], async (req, res) => {
   try {
-    const { status, mobileId, page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
-
-    let query = `
-      SELECT o.*, m.name as mobile_name
-      FROM orders o
-      LEFT JOIN mobiles m ON o.mobile_id = m.id
-    `;
-
-    const whereClauses = [];
-    const params = [];
-
-    if (status) {
-      whereClauses.push('o.status = ?');
-      // query += ' WHERE o.status = ?';
-      params.push(status);
-    }
-    if (mobileId) {
-      whereClauses.push('o.mobile_id = ?');
-      params.push(mobileId);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (whereClauses.length > 0) {
-      query += ' WHERE ' + whereClauses.join(' AND ');
+    const adminId = await consumePasswordReset(req.body.token);
+    if (!adminId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
     }
-    
-    query += ' ORDER BY o.created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), offset);
 
-    const orders = await new Promise((resolve, reject) => {
-      db.all(query, params, (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
-      });
-    });
+    await updateAdminPassword(adminId, req.body.new_password);
+    await revokeAdminSessions(adminId, 'password_reset');
 
-    res.json(orders);
+    res.json({ message: 'Password reset successfully, you can now log in' });
 
   } catch (error) {
-    console.error('Orders error:', error);
-    res.status(500).json({ error: 'Failed to fetch orders' });
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
   }
 });
 
-// Update order status (admin)
-router.patch('/orders/:id/status', verifyToken, async (req, res) => {
-  try {
-    const orderId = req.params.id;
-    const { status, notes } = req.body;
+// Invitations are valid for this long
+const ADMIN_INVITE_TTL_HOURS = 72;
 
-    const validStatuses = ['pending', 'assigned', 'on_way', 'washing', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
-    }
+const hashInviteToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
-    // --- התיקון מתחיל כאן ---
-    // 1. שלוף את פרטי ההזמנה *לפני* כל פעולה אחרת.
-    // זה ייתן לנו גישה ל-mobile_id ולמיקום, שנצטרך אותם בהמשך.
-    const orderDetails = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM orders WHERE id = ?', [orderId], (err, row) => {
+// Count active owners other than the given admin (the last owner cannot be demoted or disabled)
+const countOtherActiveOwners = (adminId) => new Promise((resolve, reject) => {
+  db.get(
+    "SELECT COUNT(*) as count FROM admins WHERE role = 'owner' AND is_active = 1 AND id != ?",
+    [adminId],
+    (err, row) => {
+      if (err) reject(err);
+      else resolve(row.count);
+    }
+  );
+});
+
+// Get admin users
+router.get('/admins', verifyToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admins = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT a.id, a.email, a.name, a.role, a.is_active, a.invited_by, a.created_at,
+                CASE WHEN a.invite_token_hash IS NOT NULL THEN 1 ELSE 0 END as invite_pending, a.invite_expires_at
+         FROM admins a
+         ORDER BY a.name`,
+        (err, rows) => {
           if (err) reject(err);
-          else if (!row) reject(new Error('Order not found'));
-          else resolve(row);
+          else resolve(rows);
+        }
+      );
+    });
+
+    res.json(admins);
+
+  } catch (error) {
+    console.error('Admins error:', error);
+    res.status(500).json({ error: 'Failed to fetch admin users' });
+  }
+});
+
+// Invite an admin user: they set their password through the emailed link
+router.post('/admins/invite', verifyToken, requirePermission('admins:manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, name, role } = req.body;
+    const inviteToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ADMIN_INVITE_TTL_HOURS * 3600000).toISOString();
+    // Nobody knows this password; the invitee replaces it when accepting
+    const placeholderPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    const adminId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO admins (email, password, name, role, invited_by, invite_token_hash, invite_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [email, placeholderPassword, name, role, req.admin.id, hashInviteToken(inviteToken), expiresAt],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const inviteUrl = `${config.frontendUrl}/admin/accept-invite?token=${inviteToken}`;
+
+    // The link is also returned, so a failed email does not lose the invitation
+    try {
+      await sendThroughChannel('email', {
+        to: email,
+        subject: 'You have been invited to Smart Car Wash Pro',
+        text: `${req.admin.name} invited you to the Smart Car Wash Pro admin panel as ${role}.\n\nSet your password here (valid for ${ADMIN_INVITE_TTL_HOURS} hours):\n${inviteUrl}`
+      });
+    } catch (emailError) {
+      console.error('Admin invite email error:', emailError);
+    }
+
+    res.status(201).json({ message: 'Admin invited successfully', id: adminId, inviteUrl, expiresAt });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'An admin with this email already exists' });
+    }
+    console.error('Admin invite error:', error);
+    res.status(500).json({ error: 'Failed to invite admin' });
+  }
+});
+
+// Accept an invitation by choosing a password
+router.post('/admins/accept-invite', [
+  body('token').isHexadecimal().withMessage('Invalid invitation'),
+  body('password')
+    .isLength({ min: config.adminAuth.minPasswordLength })
+    .withMessage(`Password must be at least ${config.adminAuth.minPasswordLength} characters`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, invite_expires_at FROM admins WHERE invite_token_hash = ?', [hashInviteToken(req.body.token)], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!admin || new Date(admin.invite_expires_at) < new Date()) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 10);
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE admins SET password = ?, invite_token_hash = NULL, invite_expires_at = NULL WHERE id = ?',
+        [hashedPassword, admin.id],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    res.json({ message: 'Invitation accepted, you can now log in' });
+
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({ error: 'Failed to accept invitation' });
+  }
+});
+
+// Change an admin's role
+router.put('/admins/:id/role', verifyToken, requirePermission('admins:manage'), [
+  body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const adminId = parseInt(req.params.id, 10);
+
+    if (adminId === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, role FROM admins WHERE id = ?', [adminId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (admin.role === 'owner' && req.body.role !== 'owner' && await countOtherActiveOwners(adminId) === 0) {
+      return res.status(409).json({ error: 'At least one active owner is required' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE admins SET role = ? WHERE id = ?', [req.body.role, adminId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    res.json({ message: 'Admin role updated successfully', id: adminId, role: req.body.role });
+
+  } catch (error) {
+    console.error('Admin role error:', error);
+    res.status(500).json({ error: 'Failed to update admin role' });
+  }
+});
+
+// Disable or re-enable an admin (disabled admins are signed out on their next request)
+router.put('/admins/:id/status', verifyToken, requirePermission('admins:manage'), [
+  body('is_active').isBoolean().withMessage('is_active must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const adminId = parseInt(req.params.id, 10);
+    const isActive = req.body.is_active === true || req.body.is_active === 'true';
+
+    if (adminId === req.admin.id) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, role FROM admins WHERE id = ?', [adminId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!admin) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    if (!isActive && admin.role === 'owner' && await countOtherActiveOwners(adminId) === 0) {
+      return res.status(409).json({ error: 'At least one active owner is required' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE admins SET is_active = ? WHERE id = ?', [isActive ? 1 : 0, adminId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    // A disabled admin must log in again once re-enabled
+    if (!isActive) {
+      await revokeAdminSessions(adminId, 'admin_disabled');
+    }
+
+    res.json({ message: isActive ? 'Admin enabled successfully' : 'Admin disabled successfully', id: adminId, is_active: isActive });
+
+  } catch (error) {
+    console.error('Admin status error:', error);
+    res.status(500).json({ error: 'Failed to update admin status' });
+  }
+});
+
+// Get dashboard analytics
+router.get('/dashboard', verifyToken, requirePermission('dashboard:view'), async (req, res) => {
+  try {
+    // Get total orders
+    const totalOrders = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM orders', (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    // Get total revenue
+    const totalRevenue = await new Promise((resolve, reject) => {
+      db.get('SELECT SUM(price) as total FROM orders WHERE status != "cancelled"', (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total || 0);
+      });
+    });
+
+    // Get cumulative working time
+    const totalWorkingTime = await new Promise((resolve, reject) => {
+      db.get('SELECT SUM(duration_minutes) as total FROM orders WHERE status = "completed"', (err, row) => {
+        if (err) reject(err);
+        else resolve(row.total || 0);
+      });
+    });
+
+    const totalDistance = await new Promise((resolve, reject) => {
+      db.get(`SELECT SUM(distance_km) as total FROM orders WHERE status = 'completed'`, (err, row) => {
+          if (err) reject(err);
+          else resolve(row.total || 0);
       });
   });
-  
-  // --- עטפנו את כל פעולות הכתיבה ל-DB ב-serialize כדי להבטיח סדר וביטחון ---
-  db.serialize(async () => {
-    try {
-      db.run('BEGIN TRANSACTION');
 
-      // עדכן את סטטוס ההזמנה
-      await new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-          [status, orderId],
-          (err) => { if (err) reject(err); else resolve(); }
-        );
+    // Get customer ratings and tips
+    const reviewTotals = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count, AVG(rating) as average, SUM(tip_amount) as tips FROM reviews', (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    // Get orders by status
+    const ordersByStatus = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT status, COUNT(*) as count 
+        FROM orders 
+        GROUP BY status
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    // Get recent orders
+    const recentOrders = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT o.*, m.name as mobile_name
+        FROM orders o
+        LEFT JOIN mobiles m ON o.mobile_id = m.id
+        ORDER BY o.created_at DESC
+        LIMIT 10
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    // Get mobile units status
+    const mobileStatus = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT m.*, o.vehicle_number, o.status as current_order_status, ${MOBILE_RATING_COLUMNS}
+        FROM mobiles m
+        LEFT JOIN orders o ON m.current_order_id = o.id
+        ${MOBILE_RATINGS_JOIN}
+        ORDER BY m.name
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    // Get daily revenue for last 7 days
+    const dailyRevenue = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT 
+          DATE(created_at, '+3 hours') as date,
+          COUNT(*) as orders_count,
+          SUM(price) as revenue
+        FROM orders 
+        WHERE created_at >= date('now', '-7 days')
+        AND status != 'cancelled'
+        GROUP BY DATE(created_at, '+3 hours')
+        ORDER BY date DESC
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    // Get promo code redemptions (cancelled orders excluded)
+    const promoRedemptions = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT c.id, c.code, c.max_uses,
+               COUNT(r.id) as redemptions,
+               COALESCE(SUM(r.discount_amount), 0) as total_discount
+        FROM coupons c
+        LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+          AND r.order_id IN (SELECT id FROM orders WHERE status != 'cancelled')
+        GROUP BY c.id
+        ORDER BY redemptions DESC, c.code
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json({
+      overview: {
+        totalOrders,
+        totalRevenue: Math.round(totalRevenue * 100) / 100,
+        totalWorkingTime,
+        totalDistance: Math.round(totalDistance * 10) / 10,
+        averageOrderValue: totalOrders > 0 ? Math.round((totalRevenue / totalOrders) * 100) / 100 : 0,
+        totalReviews: reviewTotals.count,
+        averageRating: reviewTotals.average ? Math.round(reviewTotals.average * 100) / 100 : null,
+        totalTips: Math.round((reviewTotals.tips || 0) * 100) / 100
+      },
+      ordersByStatus,
+      recentOrders,
+      mobileStatus,
+      dailyRevenue,
+      promoRedemptions
+    });
+
+  } catch (error) {
+    console.error('Dashboard error:', error);
+    res.status(500).json({ error: 'Failed to fetch dashboard data' });
+  }
+});
+
+// Get activity logs
+router.get('/logs', verifyToken, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { page = 1, limit = 50, orderId } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT al.*, o.vehicle_number, m.name as mobile_name
+      FROM activity_logs al
+      LEFT JOIN orders o ON al.order_id = o.id
+      LEFT JOIN mobiles m ON al.mobile_id = m.id
+    `;
+    
+    const params = [];
+    if (orderId) {
+      query += ' WHERE al.order_id = ?';
+      params.push(orderId);
+    }
+    
+    query += ' ORDER BY al.timestamp DESC, al.id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const logs = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    // Get total count
+    const totalCount = await new Promise((resolve, reject) => {
+      let countQuery = 'SELECT COUNT(*) as count FROM activity_logs';
+      const countParams = [];
+      
+      if (orderId) {
+        countQuery += ' WHERE order_id = ?';
+        countParams.push(orderId);
+      }
+      
+      db.get(countQuery, countParams, (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    res.json({
+      logs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: totalCount,
+        pages: Math.ceil(totalCount / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Logs error:', error);
+    res.status(500).json({ error: 'Failed to fetch logs' });
+  }
+});
+
+// Get all orders for admin
+router.get('/orders', verifyToken, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const { status, mobileId, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT o.*, m.name as mobile_name
+      FROM orders o
+      LEFT JOIN mobiles m ON o.mobile_id = m.id
+    `;
+
+    const whereClauses = [];
+    const params = [];
+
+    if (status) {
+      whereClauses.push('o.status = ?');
+      // query += ' WHERE o.status = ?';
+      params.push(status);
+    }
+    if (mobileId) {
+      whereClauses.push('o.mobile_id = ?');
+      params.push(mobileId);
+    }
+
+    if (whereClauses.length > 0) {
+      query += ' WHERE ' + whereClauses.join(' AND ');
+    }
+    
+    query += ' ORDER BY o.created_at DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const orders = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(orders);
+
+  } catch (error) {
+    console.error('Orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// Update order status (admin)
+router.patch('/orders/:id/status', verifyToken, requirePermission('orders:manage'), async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const { status, notes } = req.body;
+
+    await transitionOrder(orderId, status, {
+      notes: notes || `Status updated to ${status} by admin`,
+      actor: 'admin',
+      io: req.app.get('io')
+    });
+
+    // Completing captures the payment and cancelling refunds it
+    const { payment_status: paymentStatus } = await new Promise((resolve, reject) => {
+      db.get('SELECT payment_status FROM orders WHERE id = ?', [orderId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    res.json({ message: 'Status updated successfully', status, orderId: parseInt(orderId, 10), paymentStatus });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Error updating status:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Get payments of an order
+router.get('/orders/:id/payments', verifyToken, requirePermission('orders:view'), async (req, res) => {
+  try {
+    const payments = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM payments WHERE order_id = ? ORDER BY created_at DESC, id DESC', [req.params.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(payments);
+
+  } catch (error) {
+    console.error('Order payments error:', error);
+    res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+});
+
+// Reassign an order to another mobile unit
+router.post('/orders/:id/reassign', verifyToken, requirePermission('orders:manage'), [
+  body('mobile_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid mobile unit'),
+  body('lock_price').optional().isBoolean(),
+  body('force').optional().isBoolean(),
+  body('notes').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const orderId = parseInt(req.params.id, 10);
+    const { mobile_id, lock_price = false, force = false, notes } = req.body;
+
+    const order = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM orders WHERE id = ?', [orderId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!['pending', 'assigned'].includes(order.status)) {
+      return res.status(409).json({ error: `Cannot reassign an order that is ${order.status}` });
+    }
+
+    const mobiles = await new Promise((resolve, reject) => {
+      db.all(MOBILES_WITH_ZONES_SQL, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    await attachShifts(mobiles);
+    await attachInventory(mobiles, { excludeOrderId: orderId });
+    await attachMaintenance(mobiles);
+
+    // The order itself must not block the units it is being moved between
+    const otherActiveOrders = await new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled') AND id != ?",
+        [orderId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    const job = {
+      start: new Date(order.requested_datetime),
+      duration: order.duration_minutes,
+      lat: order.location_lat,
+      lng: order.location_lng,
+      serviceType: order.service_type,
+      zoneId: order.zone_id,
+      supplies: await getRequiredSupplies(order.service_type, order.dirt_level)
+    };
+
+    let targetMobile;
+    let distance;
+
+    if (mobile_id) {
+      // Dispatcher picked the unit
+      targetMobile = mobiles.find(mobile => mobile.id === parseInt(mobile_id, 10));
+      if (!targetMobile) {
+        return res.status(404).json({ error: 'Mobile unit not found' });
+      }
+      if (targetMobile.id === order.mobile_id) {
+        return res.status(400).json({ error: 'Order is already assigned to this mobile unit' });
+      }
+      if (targetMobile.retired_at) {
+        return res.status(409).json({ error: `${targetMobile.name} is retired` });
+      }
+      if (targetMobile.out_of_service) {
+        return res.status(409).json({ error: `${targetMobile.name} is out of service` });
+      }
+      if (!canPerformService(targetMobile, order.service_type)) {
+        return res.status(409).json({ error: `${targetMobile.name} is not equipped for ${order.service_type}` });
+      }
+      if (!canServeZone(targetMobile, order.zone_id) && !force) {
+        return res.status(409).json({ error: `${targetMobile.name} does not work in this order's service zone. Send force: true to assign anyway.` });
+      }
+      if (!isWithinShift(targetMobile, job.start, new Date(job.start.getTime() + job.duration * 60000)) && !force) {
+        return res.status(409).json({ error: `${targetMobile.name} is not on shift for the whole job. Send force: true to assign anyway.` });
+      }
+      if (isDuringMaintenance(targetMobile, job.start, new Date(job.start.getTime() + job.duration * 60000)) && !force) {
+        return res.status(409).json({ error: `${targetMobile.name} has maintenance planned during this job. Send force: true to assign anyway.` });
+      }
+      if (!hasSupplies(targetMobile, job.supplies) && !force) {
+        return res.status(409).json({ error: `${targetMobile.name} does not carry enough supplies for this service. Send force: true to assign anyway.` });
+      }
+
+      // A forced assignment outside the unit's zones, short on supplies or over maintenance is still checked for timing
+      const placement = canScheduleJob(
+        { ...targetMobile, maintenance: [] },
+        buildMobileTimeline(targetMobile, otherActiveOrders),
+        { ...job, zoneId: null, supplies: null }
+      );
+      if (!placement.feasible && !force) {
+        return res.status(409).json({ error: `${targetMobile.name} cannot reach the order in time. Send force: true to assign anyway.` });
+      }
+      distance = placement.feasible
+        ? placement.distanceKm
+        : parseFloat(calculateDistance(targetMobile.location_lat, targetMobile.location_lng, job.lat, job.lng).toFixed(2));
+    } else {
+      // Let the assigner pick among the other units
+      targetMobile = findBestMobile(
+        mobiles.filter(mobile => mobile.id !== order.mobile_id),
+        job.lat,
+        job.lng,
+        otherActiveOrders,
+        job
+      );
+      if (!targetMobile) {
+        return res.status(409).json({ error: 'No other mobile unit can take this order at the requested time' });
+      }
+      distance = targetMobile.distance;
+    }
+
+    let price = order.price;
+    let priceBreakdown = order.price_breakdown;
+
+    if (!lock_price) {
+      const pricingRules = await new Promise((resolve, reject) => {
+        db.all('SELECT * FROM pricing_rules WHERE is_active = 1 ORDER BY id', (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+
+      // Keeps the promo discount the customer already got
+      const quote = calculateOrderPrice(pricingRules, order, distance, await getZone(order.zone_id));
+      price = quote.price;
+      priceBreakdown = JSON.stringify(quote.breakdown);
+    }
+
+    const previousMobile = mobiles.find(mobile => mobile.id === order.mobile_id);
+    const previousMobileName = previousMobile ? previousMobile.name : 'unassigned';
+    const logNote = notes || `Reassigned from ${previousMobileName} to ${targetMobile.name}${lock_price ? ' (price locked)' : ''}`;
+
+    // The crew may have started the order while the candidates were evaluated
+    const reassigned = await withTransaction(async (tx) => {
+      const result = await tx.run(
+        `UPDATE orders SET mobile_id = ?, distance_km = ?, price = ?, price_breakdown = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN ('pending', 'assigned')`,
+        [targetMobile.id, distance, price, priceBreakdown, orderId]
+      );
+      if (result.changes === 0) {
+        return false;
+      }
+
+      // Log on both units so each one's history shows the move
+      for (const mobileId of [order.mobile_id, targetMobile.id].filter(Boolean)) {
+        await tx.run(
+          'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+          [orderId, order.status, mobileId, logNote]
+        );
+      }
+      return true;
+    });
+
+    if (!reassigned) {
+      return res.status(409).json({ error: 'Order was started meanwhile and can no longer be reassigned' });
+    }
+
+    if (order.mobile_id) {
+      await refreshMobileAvailability(order.mobile_id);
+    }
+    await refreshMobileAvailability(targetMobile.id);
+
+    const update = {
+      orderId,
+      mobileId: targetMobile.id,
+      mobileName: targetMobile.name,
+      previousMobileId: order.mobile_id,
+      distance,
+      price,
+      timestamp: new Date()
+    };
+
+    const io = req.app.get('io');
+    io.to(`order-${orderId}`).emit('order-reassigned', update);
+    io.to(ADMIN_ROOM).emit('admin-order-reassigned', update);
+
+    // Both queues changed
+    if (order.mobile_id) {
+      await refreshMobileEtas(order.mobile_id, io);
+    }
+    await refreshMobileEtas(targetMobile.id, io);
+
+    await emitWebhookEvent('order.reassigned', update);
+
+    res.json({ message: 'Order reassigned successfully', ...update });
+
+  } catch (error) {
+    console.error('Reassign error:', error);
+    res.status(500).json({ error: 'Failed to reassign order' });
+  }
+});
+
+// Get mobile units management
+router.get('/mobiles', verifyToken, requirePermission('fleet:view'), async (req, res) => {
+  try {
+    const mobiles = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT m.*, o.vehicle_number, o.status as current_order_status, ${MOBILE_RATING_COLUMNS},
+               (SELECT GROUP_CONCAT(mz.zone_id) FROM mobile_zones mz WHERE mz.mobile_id = m.id) as zone_ids
+        FROM mobiles m
+        LEFT JOIN orders o ON m.current_order_id = o.id
+        ${MOBILE_RATINGS_JOIN}
+        ORDER BY m.name`, 
+        (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(mobiles);
+
+  } catch (error) {
+    console.error('Mobiles error:', error);
+    res.status(500).json({ error: 'Failed to fetch mobile units' });
+  }
+});
+
+// Push a mobile unit change to the dashboard and webhook subscribers
+const announceMobileUpdate = async (req, action, mobileId) => {
+  const mobile = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!mobile && action !== 'deleted') {
+    return null;
+  }
+
+  req.app.get('io').to(ADMIN_ROOM).emit('admin-mobile-update', { action, mobileId: Number(mobileId), mobile: mobile || null, timestamp: new Date() });
+  await emitWebhookEvent('mobile.updated', { mobileId: Number(mobileId), mobile: mobile || null, action });
+
+  return mobile;
+};
+
+// Update mobile unit status
+router.patch('/mobiles/:id', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const mobileId = req.params.id;
+    const { is_available, location_lat, location_lng, available_from } = req.body;
+
+    const updateFields = [];
+    const updateValues = [];
+
+    if (is_available !== undefined) {
+      updateFields.push('is_available = ?');
+      updateValues.push(is_available);
+    }
+    if (location_lat !== undefined) {
+      updateFields.push('location_lat = ?');
+      updateValues.push(location_lat);
+    }
+    if (location_lng !== undefined) {
+      updateFields.push('location_lng = ?');
+      updateValues.push(location_lng);
+    }
+    if (available_from !== undefined) {
+      updateFields.push('available_from = ?');
+      updateValues.push(available_from);
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updateValues.push(mobileId);
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE mobiles SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues,
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    await announceMobileUpdate(req, 'updated', mobileId);
+
+    res.json({ message: 'Mobile unit updated successfully' });
+
+  } catch (error) {
+    console.error('Mobile update error:', error);
+    res.status(500).json({ error: 'Failed to update mobile unit' });
+  }
+});
+
+// Mobile unit validation (fields are optional on update)
+const validateMobile = (isUpdate) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+  return [
+    required('name').trim().notEmpty().withMessage('Name is required'),
+    required('home_base_lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid home base latitude'),
+    required('home_base_lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid home base longitude'),
+    body('home_base_address').optional({ nullable: true }).isString(),
+    body('location_lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+    body('location_lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+    body('capabilities').optional({ nullable: true }).isArray({ min: 1 }).withMessage('Capabilities must be a non-empty array of services'),
+    body('capabilities.*').isIn(SERVICE_TYPES).withMessage(`Capabilities must be among ${SERVICE_TYPES.join(', ')}`)
+  ];
+};
+
+// Add a mobile unit (it starts at its home base unless a location is sent)
+router.post('/mobiles', verifyToken, requirePermission('fleet:manage'), validateMobile(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, home_base_lat, home_base_lng, home_base_address, location_lat, location_lng, capabilities } = req.body;
+
+    const mobileId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO mobiles (name, location_lat, location_lng, home_base_lat, home_base_lng, home_base_address, capabilities, available_from)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          location_lat !== undefined ? location_lat : home_base_lat,
+          location_lng !== undefined ? location_lng : home_base_lng,
+          home_base_lat,
+          home_base_lng,
+          home_base_address || null,
+          capabilities ? [...new Set(capabilities)].join(',') : null,
+          new Date().toISOString()
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const mobile = await announceMobileUpdate(req, 'created', mobileId);
+    res.status(201).json({ message: 'Mobile unit created successfully', id: mobileId, mobile });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A mobile unit with this name already exists' });
+    }
+    console.error('Mobile create error:', error);
+    res.status(500).json({ error: 'Failed to create mobile unit' });
+  }
+});
+
+// Update a mobile unit's name, home base or capabilities (capabilities: null lets it do every service)
+router.put('/mobiles/:id', verifyToken, requirePermission('fleet:manage'), validateMobile(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = ['name', 'home_base_lat', 'home_base_lng', 'home_base_address', 'capabilities']
+      .filter(field => req.body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const values = fields.map(field => {
+      if (field === 'capabilities') {
+        return req.body.capabilities ? [...new Set(req.body.capabilities)].join(',') : null;
+      }
+      return req.body[field];
+    });
+
+    const result = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE mobiles SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...values, req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this);
+        }
+      );
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const mobile = await announceMobileUpdate(req, 'updated', req.params.id);
+    res.json({ message: 'Mobile unit updated successfully', mobile });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A mobile unit with this name already exists' });
+    }
+    console.error('Mobile update error:', error);
+    res.status(500).json({ error: 'Failed to update mobile unit' });
+  }
+});
+
+// Retire a mobile unit: its queue moves to other units and it gets no more work
+router.post('/mobiles/:id/retire', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const mobileId = parseInt(req.params.id, 10);
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+    if (mobile.retired_at) {
+      return res.status(409).json({ error: 'Mobile unit is already retired' });
+    }
+
+    const inProgress = await new Promise((resolve, reject) => {
+      db.get(
+        "SELECT COUNT(*) as count FROM orders WHERE mobile_id = ? AND status IN ('on_way', 'washing')",
+        [mobileId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row.count);
+        }
+      );
+    });
+
+    if (inProgress > 0) {
+      return res.status(409).json({ error: 'Mobile unit has orders in progress; retire it once they are done' });
+    }
+
+    // Either the whole queue moves or nothing does, so a refused retirement leaves the unit as it was
+    const redistribution = await redistributeQueue(mobileId, { reason: 'Unit retired', allOrNothing: true, io: req.app.get('io') });
+    if (redistribution.unassigned.length > 0) {
+      return res.status(409).json({
+        error: 'Some orders could not be moved to another unit; reassign or cancel them first. No order was moved',
+        redistribution
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE mobiles SET retired_at = ? WHERE id = ?', [new Date().toISOString(), mobileId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    await refreshMobileAvailability(mobileId);
+
+    const retired = await announceMobileUpdate(req, 'retired', mobileId);
+    res.json({ message: 'Mobile unit retired successfully', mobile: retired, redistribution });
+
+  } catch (error) {
+    console.error('Mobile retire error:', error);
+    res.status(500).json({ error: 'Failed to retire mobile unit' });
+  }
+});
+
+// Bring a retired mobile unit back
+router.post('/mobiles/:id/reinstate', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const result = await new Promise((resolve, reject) => {
+      db.run('UPDATE mobiles SET retired_at = NULL WHERE id = ? AND retired_at IS NOT NULL', [req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this);
+      });
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Retired mobile unit not found' });
+    }
+
+    await refreshMobileAvailability(req.params.id);
+
+    const mobile = await announceMobileUpdate(req, 'reinstated', req.params.id);
+    res.json({ message: 'Mobile unit reinstated successfully', mobile });
+
+  } catch (error) {
+    console.error('Mobile reinstate error:', error);
+    res.status(500).json({ error: 'Failed to reinstate mobile unit' });
+  }
+});
+
+// Delete a mobile unit with its crew accounts, schedule, stock and history (units that have orders must be retired instead)
+router.delete('/mobiles/:id', verifyToken, requirePermission('fleet:delete'), async (req, res) => {
+  try {
+    const mobileId = parseInt(req.params.id, 10);
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const orders = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT COUNT(*) as total, SUM(CASE WHEN status NOT IN ('completed', 'cancelled') THEN 1 ELSE 0 END) as active,
+                (SELECT COUNT(*) FROM activity_logs WHERE mobile_id = ?) as logged
+         FROM orders WHERE mobile_id = ?`,
+        [mobileId, mobileId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+
+    if (orders.active > 0) {
+      return res.status(409).json({ error: 'Cannot delete a mobile unit with active orders' });
+    }
+    // Orders the unit was moved off still name it in their activity log
+    if (orders.total > 0 || orders.logged > 0) {
+      return res.status(409).json({ error: 'Mobile unit has order history; retire it instead' });
+    }
+
+    const relatedTables = [
+      'crew_members',
+      'mobile_locations',
+      'mobile_zones',
+      'mobile_shifts',
+      'mobile_shift_overrides',
+      'mobile_inventory',
+      'inventory_movements',
+      'maintenance_records'
+    ];
+
+    await withTransaction(async (tx) => {
+      for (const table of relatedTables) {
+        await tx.run(`DELETE FROM ${table} WHERE mobile_id = ?`, [mobileId]);
+      }
+      await tx.run('DELETE FROM mobiles WHERE id = ?', [mobileId]);
+    });
+
+    await announceMobileUpdate(req, 'deleted', mobileId);
+    res.json({ message: 'Mobile unit deleted successfully' });
+
+  } catch (error) {
+    console.error('Mobile delete error:', error);
+    res.status(500).json({ error: 'Failed to delete mobile unit' });
+  }
+});
+
+// Load a mobile unit with its schedule (weekly shifts and overrides from today on)
+const loadMobileSchedule = async (mobileId) => {
+  const mobile = await new Promise((resolve, reject) => {
+    db.get('SELECT id, name FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!mobile) {
+    return null;
+  }
+
+  await attachShifts([mobile]);
+  return mobile;
+};
+
+// Get a mobile unit's schedule and its working windows for the next days
+router.get('/mobiles/:id/schedule', verifyToken, requirePermission('fleet:view'), [
+  query('days').optional().isInt({ min: 1, max: 31 }).withMessage('Days must be between 1 and 31')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mobile = await loadMobileSchedule(req.params.id);
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const days = [];
+    const day = new Date();
+    for (let i = 0; i < parseInt(req.query.days || 7, 10); i++) {
+      const windows = getWorkingWindows(mobile.shifts, day);
+      days.push({
+        date: toDateKey(day),
+        windows: windows ? windows.map(window => ({ start: window.start.toISOString(), end: window.end.toISOString() })) : null
+      });
+      day.setDate(day.getDate() + 1);
+    }
+
+    res.json({
+      mobileId: mobile.id,
+      mobileName: mobile.name,
+      weekly: mobile.shifts.weekly.map(({ weekday, start_time, end_time }) => ({ weekday, start_time, end_time })),
+      overrides: mobile.shifts.overrides.map(({ date, start_time, end_time, reason }) => ({ date, start_time, end_time, reason })),
+      days
+    });
+
+  } catch (error) {
+    console.error('Schedule error:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Replace a mobile unit's weekly shifts (an empty list removes the schedule: the unit works all business hours)
+router.put('/mobiles/:id/schedule/weekly', verifyToken, requirePermission('fleet:manage'), [
+  body('shifts').isArray().withMessage('shifts must be an array'),
+  body('shifts.*.weekday').isInt({ min: 0, max: 6 }).withMessage('Weekday must be 0 (Sunday) to 6 (Saturday)'),
+  body('shifts.*.start_time').matches(TIME_PATTERN).withMessage('Start time must be in HH:MM format'),
+  body('shifts.*.end_time').matches(TIME_PATTERN).withMessage('End time must be in HH:MM format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const shifts = req.body.shifts.map(shift => ({ ...shift, weekday: parseInt(shift.weekday, 10) }));
+
+    for (let weekday = 0; weekday <= 6; weekday++) {
+      const error = validateShiftWindows(shifts.filter(shift => shift.weekday === weekday));
+      if (error) {
+        return res.status(400).json({ error, weekday });
+      }
+    }
+
+    const mobile = await loadMobileSchedule(req.params.id);
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    await withTransaction(async (tx) => {
+      await tx.run('DELETE FROM mobile_shifts WHERE mobile_id = ?', [mobile.id]);
+      for (const shift of shifts) {
+        await tx.run(
+          'INSERT INTO mobile_shifts (mobile_id, weekday, start_time, end_time) VALUES (?, ?, ?, ?)',
+          [mobile.id, shift.weekday, shift.start_time, shift.end_time]
+        );
+      }
+    });
+
+    res.json({ message: 'Weekly schedule updated successfully', mobileId: mobile.id, shifts: shifts.length });
+
+  } catch (error) {
+    console.error('Weekly schedule error:', error);
+    res.status(500).json({ error: 'Failed to update weekly schedule' });
+  }
+});
+
+// Set the shifts of one date, replacing the weekly template that day (no windows = day off)
+router.put('/mobiles/:id/schedule/overrides/:date', verifyToken, requirePermission('fleet:manage'), [
+  param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  body('windows').isArray().withMessage('windows must be an array'),
+  body('windows.*.start_time').matches(TIME_PATTERN).withMessage('Start time must be in HH:MM format'),
+  body('windows.*.end_time').matches(TIME_PATTERN).withMessage('End time must be in HH:MM format'),
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date } = req.params;
+    const { windows, reason } = req.body;
+
+    const windowError = validateShiftWindows(windows);
+    if (windowError) {
+      return res.status(400).json({ error: windowError });
+    }
+
+    const mobile = await loadMobileSchedule(req.params.id);
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    // A day off is stored as a single row without times
+    const rows = windows.length > 0 ? windows : [{ start_time: null, end_time: null }];
+
+    await withTransaction(async (tx) => {
+      await tx.run('DELETE FROM mobile_shift_overrides WHERE mobile_id = ? AND date = ?', [mobile.id, date]);
+      for (const row of rows) {
+        await tx.run(
+          'INSERT INTO mobile_shift_overrides (mobile_id, date, start_time, end_time, reason) VALUES (?, ?, ?, ?, ?)',
+          [mobile.id, date, row.start_time, row.end_time, reason || null]
+        );
+      }
+    });
+
+    // Orders already booked outside the new shifts are not moved; dispatchers see them here
+    const conflicts = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, requested_datetime, duration_minutes, status FROM orders
+         WHERE mobile_id = ? AND status NOT IN ('completed', 'cancelled') AND requested_datetime LIKE ?
+         ORDER BY requested_datetime`,
+        [mobile.id, `${date}%`],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    await attachShifts([mobile]);
+    const outsideShift = conflicts.filter(order => {
+      const start = new Date(order.requested_datetime);
+      return !isWithinShift(mobile, start, new Date(start.getTime() + order.duration_minutes * 60000));
+    });
+
+    res.json({
+      message: windows.length > 0 ? 'Shift override saved successfully' : 'Day off saved successfully',
+      mobileId: mobile.id,
+      date,
+      ordersOutsideShift: outsideShift.map(order => order.id)
+    });
+
+  } catch (error) {
+    console.error('Shift override error:', error);
+    res.status(500).json({ error: 'Failed to save shift override' });
+  }
+});
+
+// Remove a date's override (the weekly template applies again)
+router.delete('/mobiles/:id/schedule/overrides/:date', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM mobile_shift_overrides WHERE mobile_id = ? AND date = ?',
+        [req.params.id, req.params.date],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Shift override not found' });
+    }
+
+    res.json({ message: 'Shift override removed successfully' });
+
+  } catch (error) {
+    console.error('Shift override delete error:', error);
+    res.status(500).json({ error: 'Failed to remove shift override' });
+  }
+});
+
+// Crew member validation (password is required on create, optional on update)
+const validateCrewMember = (passwordRequired) => [
+  body('mobile_id').isInt({ min: 1 }).withMessage('Mobile unit is required'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('phone').optional({ nullable: true }).isString(),
+  passwordRequired
+    ? body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    : body('password').optional({ nullable: true }).isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('is_active').optional().isBoolean()
+];
+
+// Get crew members
+router.get('/crew', verifyToken, requirePermission('crew:view'), async (req, res) => {
+  try {
+    const { mobileId } = req.query;
+
+    let query = `
+      SELECT c.id, c.mobile_id, c.name, c.email, c.phone, c.is_active, c.created_at, c.updated_at, m.name as mobile_name
+      FROM crew_members c
+      LEFT JOIN mobiles m ON c.mobile_id = m.id
+    `;
+    const params = [];
+
+    if (mobileId) {
+      query += ' WHERE c.mobile_id = ?';
+      params.push(mobileId);
+    }
+
+    query += ' ORDER BY m.name, c.name';
+
+    const crew = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(crew);
+
+  } catch (error) {
+    console.error('Crew error:', error);
+    res.status(500).json({ error: 'Failed to fetch crew members' });
+  }
+});
+
+// Create crew member
+router.post('/crew', verifyToken, requirePermission('crew:manage'), validateCrewMember(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mobile_id, name, email, phone, password, is_active } = req.body;
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobile_id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const crewId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO crew_members (mobile_id, name, email, phone, password, is_active) VALUES (?, ?, ?, ?, ?, ?)',
+        [mobile_id, name, email, phone || null, hashedPassword, is_active === undefined ? 1 : (is_active ? 1 : 0)],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Crew member created successfully', id: crewId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A crew member with this email already exists' });
+    }
+    console.error('Crew create error:', error);
+    res.status(500).json({ error: 'Failed to create crew member' });
+  }
+});
+
+// Update crew member (password is only changed when sent)
+router.put('/crew/:id', verifyToken, requirePermission('crew:manage'), validateCrewMember(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { mobile_id, name, email, phone, password, is_active } = req.body;
+    const hashedPassword = password ? await bcrypt.hash(password, 10) : null;
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE crew_members
+         SET mobile_id = ?, name = ?, email = ?, phone = ?, password = COALESCE(?, password), is_active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [mobile_id, name, email, phone || null, hashedPassword, is_active === undefined ? 1 : (is_active ? 1 : 0), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Crew member not found' });
+    }
+
+    res.json({ message: 'Crew member updated successfully' });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A crew member with this email already exists' });
+    }
+    console.error('Crew update error:', error);
+    res.status(500).json({ error: 'Failed to update crew member' });
+  }
+});
+
+// Delete crew member
+router.delete('/crew/:id', verifyToken, requirePermission('crew:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM crew_members WHERE id = ?', [req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Crew member not found' });
+    }
+
+    res.json({ message: 'Crew member deleted successfully' });
+
+  } catch (error) {
+    console.error('Crew delete error:', error);
+    res.status(500).json({ error: 'Failed to delete crew member' });
+  }
+});
+
+// Build the route plan for a mobile unit's open orders on a given day (YYYY-MM-DD, server local time)
+const loadRoutePlan = async (mobileId, date) => {
+  const mobile = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!mobile) {
+    return null;
+  }
+
+  const orders = await new Promise((resolve, reject) => {
+    db.all(
+      "SELECT * FROM orders WHERE mobile_id = ? AND status NOT IN ('completed', 'cancelled')",
+      [mobileId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+
+  const dayStart = new Date(`${date}T00:00:00`);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60000);
+  const now = new Date();
+
+  // The unit starts from where it is, or from the job it is working on
+  const inProgress = orders.find(order => ['on_way', 'washing'].includes(order.status));
+  const origin = {
+    lat: inProgress ? inProgress.location_lat : mobile.location_lat,
+    lng: inProgress ? inProgress.location_lng : mobile.location_lng,
+    time: new Date(Math.max(
+      now.getTime(),
+      dayStart.getTime(),
+      inProgress ? new Date(inProgress.requested_datetime).getTime() + inProgress.duration_minutes * 60000 : 0
+    ))
+  };
+
+  const dayOrders = orders.filter(order => {
+    const requested = new Date(order.requested_datetime);
+    return ['pending', 'assigned'].includes(order.status) && requested >= dayStart && requested < dayEnd;
+  });
+
+  // Stops must fit the unit's shifts, not just business hours
+  await attachShifts([mobile]);
+  const workingWindows = getWorkingWindows(mobile.shifts, dayStart);
+
+  return { mobile, plan: planMobileRoute(origin, dayOrders, dayStart, workingWindows), origin };
+};
+
+// Format a route plan for the API response
+const formatRoutePlan = (mobile, date, { plan, origin }) => ({
+  mobileId: mobile.id,
+  mobileName: mobile.name,
+  date,
+  feasible: plan.feasible,
+  origin: { lat: origin.lat, lng: origin.lng, departure: origin.time.toISOString() },
+  stops: plan.stops.map(stop => ({
+    sequence: stop.sequence,
+    orderId: stop.orderId,
+    vehicleNumber: stop.vehicleNumber,
+    location: { lat: stop.lat, lng: stop.lng },
+    fixed: stop.fixed,
+    window: { start: stop.windowStart.toISOString(), end: stop.windowEnd.toISOString() },
+    eta: stop.eta.toISOString(),
+    start: stop.start.toISOString(),
+    end: stop.end.toISOString()
+  })),
+  legs: plan.legs,
+  totalKm: plan.totalKm,
+  currentTotalKm: plan.currentTotalKm,
+  savedKm: plan.savedKm
+});
+
+// Today's date in server local time (YYYY-MM-DD)
+const localDateString = (date = new Date()) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const validateRouteDate = [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+];
+
+// Get optimized daily route for a mobile unit
+router.get('/mobiles/:id/route', verifyToken, requirePermission('fleet:view'), validateRouteDate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const date = req.query.date || localDateString();
+    const result = await loadRoutePlan(req.params.id, date);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    res.json(formatRoutePlan(result.mobile, date, result));
+
+  } catch (error) {
+    console.error('Route plan error:', error);
+    res.status(500).json({ error: 'Failed to plan route' });
+  }
+});
+
+// Apply the optimized route: flexible orders are rescheduled to their planned start
+// The window itself is kept (flexible_from), so applying again can still use all of it
+router.post('/mobiles/:id/route/apply', verifyToken, requirePermission('fleet:manage'), validateRouteDate, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const date = req.query.date || localDateString();
+    const result = await loadRoutePlan(req.params.id, date);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    if (!result.plan.feasible) {
+      return res.status(409).json({ error: 'No route satisfies all time windows; nothing was applied' });
+    }
+
+    const { mobile, plan } = result;
+    const rescheduled = plan.stops.filter(stop =>
+      !stop.fixed && stop.start.getTime() !== stop.scheduledStart.getTime()
+    );
+
+    for (const stop of rescheduled) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          `UPDATE orders SET flexible_from = COALESCE(flexible_from, requested_datetime), requested_datetime = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`,
+          [stop.start.toISOString(), stop.orderId],
+          (err) => { if (err) reject(err); else resolve(); }
+        );
+      });
+
+      await new Promise((resolve, reject) => {
+        db.run(
+          'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+          [stop.orderId, stop.status, mobile.id, `Route optimized: stop #${stop.sequence}, scheduled for ${stop.start.toISOString()}`],
+          (err) => { if (err) reject(err); else resolve(); }
+        );
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to(ADMIN_ROOM).emit('admin-route-updated', { mobileId: mobile.id, date, totalKm: plan.totalKm, timestamp: new Date() });
+
+    res.json({
+      message: 'Route applied successfully',
+      rescheduledOrders: rescheduled.map(stop => stop.orderId),
+      route: formatRoutePlan(mobile, date, result)
+    });
+
+  } catch (error) {
+    console.error('Route apply error:', error);
+    res.status(500).json({ error: 'Failed to apply route' });
+  }
+});
+
+// Replay the GPS trail of a mobile unit (defaults to the last 24 hours)
+router.get('/mobiles/:id/trail', verifyToken, requirePermission('fleet:view'), [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date/time'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date/time')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60000);
+
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id, name FROM mobiles WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const trail = await getMobileTrail(mobile.id, from.toISOString(), to.toISOString());
+
+    res.json({
+      mobileId: mobile.id,
+      mobileName: mobile.name,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      points: trail.points.map(point => ({
+        lat: point.lat,
+        lng: point.lng,
+        heading: point.heading,
+        speed: point.speed,
+        accuracy: point.accuracy,
+        orderId: point.order_id,
+        recordedAt: point.recorded_at
+      })),
+      truncated: trail.truncated
+    });
+
+  } catch (error) {
+    console.error('Trail error:', error);
+    res.status(500).json({ error: 'Failed to fetch trail' });
+  }
+});
+
+// Pricing rules validation
+const PRICING_RULE_TYPES = ['base', 'vehicle_type', 'service', 'dirt_level', 'distance_band', 'minimum'];
+
+const validatePricingRule = [
+  body('rule_type').isIn(PRICING_RULE_TYPES).withMessage('Invalid rule type'),
+  body('match_key').custom((value, { req }) => {
+    const ruleType = req.body.rule_type;
+    if (ruleType === 'vehicle_type' && !['sedan', 'suv', 'truck', 'van', 'motorcycle'].includes(value)) {
+      throw new Error('Invalid vehicle type');
+    }
+    if (ruleType === 'service' && !['exterior', 'interior', 'polish', 'wax'].includes(value)) {
+      throw new Error('Invalid service type');
+    }
+    if (ruleType === 'dirt_level' && !['1', '2', '3', '4', '5'].includes(String(value))) {
+      throw new Error('Dirt level must be between 1-5');
+    }
+    return true;
+  }),
+  body('min_km').if(body('rule_type').equals('distance_band')).isFloat({ min: 0 }).withMessage('Band start (min_km) is required'),
+  body('max_km').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid band end (max_km)'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('description').optional().isString(),
+  body('is_active').optional().isBoolean()
+];
+
+// Get pricing rules
+router.get('/pricing', verifyToken, requirePermission('pricing:view'), async (req, res) => {
+  try {
+    const rules = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM pricing_rules ORDER BY rule_type, match_key, min_km, id', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(rules);
+
+  } catch (error) {
+    console.error('Pricing rules error:', error);
+    res.status(500).json({ error: 'Failed to fetch pricing rules' });
+  }
+});
+
+// Create pricing rule
+router.post('/pricing', verifyToken, requirePermission('pricing:manage'), validatePricingRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { rule_type, match_key, min_km, max_km, amount, description, is_active } = req.body;
+
+    const ruleId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO pricing_rules (rule_type, match_key, min_km, max_km, amount, description, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          rule_type,
+          match_key !== undefined ? String(match_key) : null,
+          rule_type === 'distance_band' ? min_km : null,
+          rule_type === 'distance_band' && max_km !== undefined ? max_km : null,
+          amount,
+          description || null,
+          is_active === undefined ? 1 : (is_active ? 1 : 0)
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Pricing rule created successfully', id: ruleId });
+
+  } catch (error) {
+    console.error('Pricing rule create error:', error);
+    res.status(500).json({ error: 'Failed to create pricing rule' });
+  }
+});
+
+// Update pricing rule
+router.put('/pricing/:id', verifyToken, requirePermission('pricing:manage'), validatePricingRule, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleId = req.params.id;
+    const { rule_type, match_key, min_km, max_km, amount, description, is_active } = req.body;
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE pricing_rules
+         SET rule_type = ?, match_key = ?, min_km = ?, max_km = ?, amount = ?, description = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [
+          rule_type,
+          match_key !== undefined ? String(match_key) : null,
+          rule_type === 'distance_band' ? min_km : null,
+          rule_type === 'distance_band' && max_km !== undefined ? max_km : null,
+          amount,
+          description || null,
+          is_active === undefined ? 1 : (is_active ? 1 : 0),
+          ruleId
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    res.json({ message: 'Pricing rule updated successfully' });
+
+  } catch (error) {
+    console.error('Pricing rule update error:', error);
+    res.status(500).json({ error: 'Failed to update pricing rule' });
+  }
+});
+
+// Delete pricing rule
+router.delete('/pricing/:id', verifyToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM pricing_rules WHERE id = ?', [req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Pricing rule not found' });
+    }
+
+    res.json({ message: 'Pricing rule deleted successfully' });
+
+  } catch (error) {
+    console.error('Pricing rule delete error:', error);
+    res.status(500).json({ error: 'Failed to delete pricing rule' });
+  }
+});
+
+// Coupon validation
+const validateCoupon = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,32}$/).withMessage('Code must be 3-32 letters, digits, dashes or underscores'),
+  body('description').optional({ nullable: true }).isString(),
+  body('discount_type').isIn(['percentage', 'fixed']).withMessage('Discount type must be percentage or fixed'),
+  body('discount_value').isFloat({ min: 0 }).withMessage('Discount value must be a positive number')
+    .custom((value, { req }) => {
+      if (req.body.discount_type === 'percentage' && parseFloat(value) > 100) {
+        throw new Error('Percentage discount cannot exceed 100');
+      }
+      return true;
+    }),
+  body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Invalid start date'),
+  body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Invalid expiry date'),
+  body('max_uses').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max uses must be at least 1'),
+  body('max_uses_per_customer').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Max uses per customer must be at least 1'),
+  body('min_order_value').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid minimum order value'),
+  body('service_types').optional({ nullable: true }).isArray().withMessage('Service types must be an array')
+    .custom(value => {
+      const validServices = ['exterior', 'interior', 'polish', 'wax'];
+      if (!value.every(service => validServices.includes(service))) {
+        throw new Error('Invalid service type');
+      }
+      return true;
+    }),
+  body('is_active').optional().isBoolean()
+];
+
+// Map a validated coupon request body to column values
+const couponValues = (data) => [
+  data.code.toUpperCase(),
+  data.description || null,
+  data.discount_type,
+  data.discount_value,
+  data.starts_at || null,
+  data.expires_at || null,
+  data.max_uses || null,
+  data.max_uses_per_customer || null,
+  data.min_order_value || null,
+  data.service_types && data.service_types.length > 0 ? data.service_types.join(',') : null,
+  data.is_active === undefined ? 1 : (data.is_active ? 1 : 0)
+];
+
+// Get coupons with redemption counts
+router.get('/coupons', verifyToken, requirePermission('pricing:view'), async (req, res) => {
+  try {
+    const coupons = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT c.*,
+               COUNT(r.id) as redemptions,
+               COALESCE(SUM(r.discount_amount), 0) as total_discount
+        FROM coupons c
+        LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+          AND r.order_id IN (SELECT id FROM orders WHERE status != 'cancelled')
+        GROUP BY c.id
+        ORDER BY c.created_at DESC
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(coupons);
+
+  } catch (error) {
+    console.error('Coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// Get redemptions of a coupon
+router.get('/coupons/:id/redemptions', verifyToken, requirePermission('pricing:view'), async (req, res) => {
+  try {
+    const redemptions = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT r.*, o.vehicle_number, o.customer_name, o.status as order_status, o.price as order_price
+        FROM coupon_redemptions r
+        LEFT JOIN orders o ON r.order_id = o.id
+        WHERE r.coupon_id = ?
+        ORDER BY r.created_at DESC
+      `, [req.params.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(redemptions);
+
+  } catch (error) {
+    console.error('Coupon redemptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupon redemptions' });
+  }
+});
+
+// Create coupon
+router.post('/coupons', verifyToken, requirePermission('pricing:manage'), validateCoupon, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const couponId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO coupons (
+          code, description, discount_type, discount_value, starts_at, expires_at,
+          max_uses, max_uses_per_customer, min_order_value, service_types, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        couponValues(req.body),
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Coupon created successfully', id: couponId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Coupon create error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Update coupon
+router.put('/coupons/:id', verifyToken, requirePermission('pricing:manage'), validateCoupon, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE coupons SET
+          code = ?, description = ?, discount_type = ?, discount_value = ?, starts_at = ?, expires_at = ?,
+          max_uses = ?, max_uses_per_customer = ?, min_order_value = ?, service_types = ?, is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...couponValues(req.body), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon updated successfully' });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Coupon update error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Delete coupon (only if never redeemed - otherwise deactivate it)
+router.delete('/coupons/:id', verifyToken, requirePermission('pricing:manage'), async (req, res) => {
+  try {
+    const couponId = req.params.id;
+
+    const redemptions = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM coupon_redemptions WHERE coupon_id = ?', [couponId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    if (redemptions > 0) {
+      return res.status(409).json({ error: 'Coupon has been redeemed and cannot be deleted. Deactivate it instead.' });
+    }
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM coupons WHERE id = ?', [couponId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ message: 'Coupon deleted successfully' });
+
+  } catch (error) {
+    console.error('Coupon delete error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+});
+
+// Service zone validation (geojson: Polygon or MultiPolygon geometry, or a Feature holding one)
+const validateZone = [
+  body('name').trim().notEmpty().withMessage('Zone name is required'),
+  body('geojson').custom(value => {
+    const { error } = normalizeZoneGeometry(value);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+  body('surcharge').optional().isFloat({ min: 0 }).withMessage('Surcharge must be a positive amount'),
+  body('is_active').optional().isBoolean()
+];
+
+// Map a validated zone request body to column values
+const zoneValues = (data) => [
+  data.name,
+  JSON.stringify(normalizeZoneGeometry(data.geojson).geometry),
+  data.surcharge || 0,
+  data.is_active === undefined ? 1 : (data.is_active ? 1 : 0)
+];
+
+const formatZone = (zone) => ({ ...zone, geojson: JSON.parse(zone.geojson) });
+
+// Get service zones with the units restricted to them
+router.get('/zones', verifyToken, requirePermission('fleet:view'), async (req, res) => {
+  try {
+    const zones = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT z.*, GROUP_CONCAT(mz.mobile_id) as mobile_ids
+        FROM service_zones z
+        LEFT JOIN mobile_zones mz ON mz.zone_id = z.id
+        GROUP BY z.id
+        ORDER BY z.name
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(zones.map(zone => ({
+      ...formatZone(zone),
+      mobile_ids: zone.mobile_ids ? zone.mobile_ids.split(',').map(Number) : []
+    })));
+
+  } catch (error) {
+    console.error('Zones error:', error);
+    res.status(500).json({ error: 'Failed to fetch service zones' });
+  }
+});
+
+// Create service zone
+router.post('/zones', verifyToken, requirePermission('zones:manage'), validateZone, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const zoneId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO service_zones (name, geojson, surcharge, is_active) VALUES (?, ?, ?, ?)',
+        zoneValues(req.body),
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Service zone created successfully', id: zoneId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A service zone with this name already exists' });
+    }
+    console.error('Zone create error:', error);
+    res.status(500).json({ error: 'Failed to create service zone' });
+  }
+});
+
+// Update service zone (existing orders keep their zone and price)
+router.put('/zones/:id', verifyToken, requirePermission('zones:manage'), validateZone, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE service_zones SET name = ?, geojson = ?, surcharge = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [...zoneValues(req.body), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Service zone not found' });
+    }
+
+    res.json({ message: 'Service zone updated successfully' });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A service zone with this name already exists' });
+    }
+    console.error('Zone update error:', error);
+    res.status(500).json({ error: 'Failed to update service zone' });
+  }
+});
+
+// Delete service zone (only if it has no orders - otherwise deactivate it)
+router.delete('/zones/:id', verifyToken, requirePermission('zones:manage'), async (req, res) => {
+  try {
+    const zoneId = req.params.id;
+
+    const orderCount = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM orders WHERE zone_id = ?', [zoneId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    if (orderCount > 0) {
+      return res.status(409).json({ error: 'Service zone has orders and cannot be deleted. Deactivate it instead.' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM mobile_zones WHERE zone_id = ?', [zoneId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM service_zones WHERE id = ?', [zoneId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Service zone not found' });
+    }
+
+    res.json({ message: 'Service zone deleted successfully' });
+
+  } catch (error) {
+    console.error('Zone delete error:', error);
+    res.status(500).json({ error: 'Failed to delete service zone' });
+  }
+});
+
+// Restrict a mobile unit to service zones (an empty list lets it work everywhere)
+router.put('/mobiles/:id/zones', verifyToken, requirePermission('zones:manage'), [
+  body('zone_ids').isArray().withMessage('zone_ids must be an array'),
+  body('zone_ids.*').isInt({ min: 1 }).withMessage('Invalid zone ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mobileId = parseInt(req.params.id, 10);
+    const zoneIds = [...new Set(req.body.zone_ids.map(Number))];
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const knownZones = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id FROM service_zones WHERE id IN (${zoneIds.map(() => '?').join(', ') || 'NULL'})`,
+        zoneIds,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    if (knownZones.length !== zoneIds.length) {
+      return res.status(404).json({ error: 'Service zone not found' });
+    }
+
+    await withTransaction(async (tx) => {
+      await tx.run('DELETE FROM mobile_zones WHERE mobile_id = ?', [mobileId]);
+      for (const zoneId of zoneIds) {
+        await tx.run('INSERT INTO mobile_zones (mobile_id, zone_id) VALUES (?, ?)', [mobileId, zoneId]);
+      }
+    });
+
+    res.json({ message: 'Mobile unit zones updated successfully', mobileId, zoneIds });
+
+  } catch (error) {
+    console.error('Mobile zones error:', error);
+    res.status(500).json({ error: 'Failed to update mobile unit zones' });
+  }
+});
+
+// Get stock levels of the fleet, or of one unit (?mobileId=)
+router.get('/inventory', verifyToken, requirePermission('fleet:view'), [
+  query('mobileId').optional().isInt({ min: 1 }).withMessage('Invalid mobile unit ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const levels = await getInventoryLevels(req.query.mobileId ? parseInt(req.query.mobileId, 10) : null);
+    res.json(levels);
+
+  } catch (error) {
+    console.error('Inventory error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory' });
+  }
+});
+
+// Restock a mobile unit (mode 'set' records counted levels after a stocktake)
+router.post('/mobiles/:id/inventory/restock', verifyToken, requirePermission('inventory:manage'), [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.consumable_id').isInt({ min: 1 }).withMessage('Invalid consumable ID'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('mode').optional().isIn(['add', 'set']).withMessage('Mode must be add or set'),
+  body('notes').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mobileId = parseInt(req.params.id, 10);
+    const items = req.body.items.map(item => ({
+      consumable_id: parseInt(item.consumable_id, 10),
+      quantity: parseFloat(item.quantity)
+    }));
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const consumableIds = [...new Set(items.map(item => item.consumable_id))];
+    const knownConsumables = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id FROM consumables WHERE id IN (${consumableIds.map(() => '?').join(', ')})`,
+        consumableIds,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    if (knownConsumables.length !== consumableIds.length) {
+      return res.status(404).json({ error: 'Consumable not found' });
+    }
+
+    const levels = await restockMobile(mobileId, items, {
+      mode: req.body.mode || 'add',
+      notes: req.body.notes || null,
+      io: req.app.get('io')
+    });
+
+    res.json({ message: 'Mobile unit restocked successfully', mobileId, levels });
+
+  } catch (error) {
+    console.error('Restock error:', error);
+    res.status(500).json({ error: 'Failed to restock mobile unit' });
+  }
+});
+
+// Get stock movements of a mobile unit
+router.get('/mobiles/:id/inventory/movements', verifyToken, requirePermission('fleet:view'), [
+  query('consumableId').optional().isInt({ min: 1 }).withMessage('Invalid consumable ID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const params = [req.params.id];
+    let sql = `
+      SELECT im.*, c.code, c.name, c.unit
+      FROM inventory_movements im
+      JOIN consumables c ON im.consumable_id = c.id
+      WHERE im.mobile_id = ?
+    `;
+
+    if (req.query.consumableId) {
+      sql += ' AND im.consumable_id = ?';
+      params.push(req.query.consumableId);
+    }
+
+    sql += ' ORDER BY im.created_at DESC, im.id DESC LIMIT ?';
+    params.push(parseInt(req.query.limit, 10) || 100);
+
+    const movements = await new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(movements);
+
+  } catch (error) {
+    console.error('Inventory movements error:', error);
+    res.status(500).json({ error: 'Failed to fetch inventory movements' });
+  }
+});
+
+// Get consumables with their consumption per service
+router.get('/consumables', verifyToken, requirePermission('fleet:view'), async (req, res) => {
+  try {
+    const consumables = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM consumables ORDER BY id', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    const profiles = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM service_consumption ORDER BY service, consumable_id', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(consumables.map(consumable => ({
+      ...consumable,
+      consumption: profiles
+        .filter(profile => profile.consumable_id === consumable.id)
+        .map(profile => ({
+          service: profile.service,
+          quantity: profile.quantity,
+          quantity_per_dirt_level: profile.quantity_per_dirt_level
+        }))
+    })));
+
+  } catch (error) {
+    console.error('Consumables error:', error);
+    res.status(500).json({ error: 'Failed to fetch consumables' });
+  }
+});
+
+// Create a consumable
+router.post('/consumables', verifyToken, requirePermission('inventory:manage'), [
+  body('code').trim().matches(/^[a-z0-9_]+$/).withMessage('Code must be lowercase letters, digits or underscores'),
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('unit').trim().notEmpty().withMessage('Unit is required'),
+  body('low_stock_threshold').optional().isFloat({ min: 0 }).withMessage('Threshold must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, name, unit, low_stock_threshold = 0 } = req.body;
+
+    const consumableId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO consumables (code, name, unit, low_stock_threshold) VALUES (?, ?, ?, ?)',
+        [code, name, unit, low_stock_threshold],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Consumable created successfully', id: consumableId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A consumable with this code already exists' });
+    }
+    console.error('Consumable create error:', error);
+    res.status(500).json({ error: 'Failed to create consumable' });
+  }
+});
+
+// Update a consumable's name, unit or low-stock threshold
+router.put('/consumables/:id', verifyToken, requirePermission('inventory:manage'), [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('unit').optional().trim().notEmpty().withMessage('Unit cannot be empty'),
+  body('low_stock_threshold').optional().isFloat({ min: 0 }).withMessage('Threshold must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fields = ['name', 'unit', 'low_stock_threshold'].filter(field => req.body[field] !== undefined);
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const result = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE consumables SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(field => req.body[field]), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this);
+        }
+      );
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Consumable not found' });
+    }
+
+    res.json({ message: 'Consumable updated successfully' });
+
+  } catch (error) {
+    console.error('Consumable update error:', error);
+    res.status(500).json({ error: 'Failed to update consumable' });
+  }
+});
+
+// Replace the consumption profile of a service
+router.put('/consumption-profiles/:service', verifyToken, requirePermission('inventory:manage'), [
+  param('service').isIn(SERVICE_TYPES).withMessage('Invalid service'),
+  body('items').isArray().withMessage('items must be an array'),
+  body('items.*.consumable_id').isInt({ min: 1 }).withMessage('Invalid consumable ID'),
+  body('items.*.quantity').isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+  body('items.*.quantity_per_dirt_level').optional().isFloat({ min: 0 }).withMessage('Quantity per dirt level must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { service } = req.params;
+    const items = req.body.items.map(item => ({
+      consumable_id: parseInt(item.consumable_id, 10),
+      quantity: parseFloat(item.quantity),
+      quantity_per_dirt_level: parseFloat(item.quantity_per_dirt_level || 0)
+    }));
+
+    const consumableIds = [...new Set(items.map(item => item.consumable_id))];
+    if (consumableIds.length !== items.length) {
+      return res.status(400).json({ error: 'Each consumable can only be listed once' });
+    }
+
+    const knownConsumables = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id FROM consumables WHERE id IN (${consumableIds.map(() => '?').join(', ') || 'NULL'})`,
+        consumableIds,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    if (knownConsumables.length !== consumableIds.length) {
+      return res.status(404).json({ error: 'Consumable not found' });
+    }
+
+    await withTransaction(async (tx) => {
+      await tx.run('DELETE FROM service_consumption WHERE service = ?', [service]);
+      for (const item of items) {
+        await tx.run(
+          'INSERT INTO service_consumption (service, consumable_id, quantity, quantity_per_dirt_level) VALUES (?, ?, ?, ?)',
+          [service, item.consumable_id, item.quantity, item.quantity_per_dirt_level]
+        );
+      }
+    });
+
+    res.json({ message: 'Consumption profile updated successfully', service, items });
+
+  } catch (error) {
+    console.error('Consumption profile error:', error);
+    res.status(500).json({ error: 'Failed to update consumption profile' });
+  }
+});
+
+// Take a mobile unit out of service (its queue moves to other units) or back into service
+router.put('/mobiles/:id/service-status', verifyToken, requirePermission('fleet:manage'), [
+  body('out_of_service').isBoolean().withMessage('out_of_service must be true or false'),
+  body('reason').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mobileId = parseInt(req.params.id, 10);
+    const outOfService = req.body.out_of_service === true || req.body.out_of_service === 'true';
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const io = req.app.get('io');
+
+    if (!outOfService) {
+      const inProgress = await new Promise((resolve, reject) => {
+        db.get("SELECT id FROM maintenance_records WHERE mobile_id = ? AND status = 'in_progress'", [mobileId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+
+      if (inProgress) {
+        return res.status(409).json({ error: `Maintenance #${inProgress.id} is still in progress; complete it to return the unit to service` });
+      }
+
+      const updated = await returnToService(mobileId, { io });
+      return res.json({ message: 'Mobile unit is back in service', mobile: updated });
+    }
+
+    const { mobile: updated, redistribution } = await setOutOfService(mobileId, { reason: req.body.reason || null, io });
+    res.json({ message: 'Mobile unit is out of service', mobile: updated, redistribution });
+
+  } catch (error) {
+    console.error('Service status error:', error);
+    res.status(500).json({ error: 'Failed to update mobile unit service status' });
+  }
+});
+
+// Maintenance record validation
+const validateMaintenance = [
+  body('type').optional().isIn(['service', 'repair', 'inspection', 'other']).withMessage('Invalid maintenance type'),
+  body('description').optional().trim().notEmpty().withMessage('Description cannot be empty'),
+  body('scheduled_start').optional({ nullable: true }).isISO8601().withMessage('Invalid date format'),
+  body('scheduled_end').optional({ nullable: true }).isISO8601().withMessage('Invalid date format')
+    .custom((value, { req }) => {
+      if (!req.body.scheduled_start || new Date(value) <= new Date(req.body.scheduled_start)) {
+        throw new Error('Maintenance window must end after it starts');
+      }
+      return true;
+    }),
+  body('cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  body('odometer_km').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Odometer must be a positive number'),
+  body('notes').optional({ nullable: true }).isString()
+];
+
+// Get maintenance history of a mobile unit
+router.get('/mobiles/:id/maintenance', verifyToken, requirePermission('fleet:view'), [
+  query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const params = [req.params.id];
+    let sql = 'SELECT * FROM maintenance_records WHERE mobile_id = ?';
+
+    if (req.query.status) {
+      sql += ' AND status = ?';
+      params.push(req.query.status);
+    }
+
+    sql += ' ORDER BY COALESCE(scheduled_start, started_at, created_at) DESC, id DESC';
+
+    const records = await new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(records);
+
+  } catch (error) {
+    console.error('Maintenance error:', error);
+    res.status(500).json({ error: 'Failed to fetch maintenance records' });
+  }
+});
+
+// Record maintenance: planned when it has a future window, otherwise the unit goes out of service now
+router.post('/mobiles/:id/maintenance', verifyToken, requirePermission('fleet:manage'), [
+  body('type').exists().withMessage('Maintenance type is required'),
+  body('description').exists().withMessage('Description is required'),
+  body('scheduled_end').if(body('scheduled_start').exists({ values: 'null' }))
+    .exists({ values: 'null' }).withMessage('A maintenance window needs an end'),
+  ...validateMaintenance
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const mobileId = parseInt(req.params.id, 10);
+    const { type, description, scheduled_start, scheduled_end, cost = null, odometer_km = null, notes = null } = req.body;
+
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!mobile) {
+      return res.status(404).json({ error: 'Mobile unit not found' });
+    }
+
+    const start = scheduled_start ? new Date(scheduled_start).toISOString() : null;
+    const end = scheduled_end ? new Date(scheduled_end).toISOString() : null;
+
+    if (end && new Date(end) <= new Date()) {
+      return res.status(400).json({ error: 'Maintenance window is already over' });
+    }
+
+    const recordId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO maintenance_records (mobile_id, type, description, scheduled_start, scheduled_end, cost, odometer_km, notes)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [mobileId, type, description, start, end, cost, odometer_km, notes],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const io = req.app.get('io');
+
+    if (start && new Date(start) > new Date()) {
+      const record = await new Promise((resolve, reject) => {
+        db.get('SELECT * FROM maintenance_records WHERE id = ?', [recordId], (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+      const redistribution = await planMaintenance(record, io);
+      return res.status(201).json({ message: 'Maintenance scheduled successfully', record, redistribution });
+    }
+
+    const started = await startMaintenance(recordId, io);
+    res.status(201).json({ message: 'Maintenance started, mobile unit is out of service', ...started });
+
+  } catch (error) {
+    console.error('Maintenance create error:', error);
+    res.status(500).json({ error: 'Failed to record maintenance' });
+  }
+});
+
+// Load a maintenance record for the endpoints below
+const loadMaintenanceRecord = (recordId) => new Promise((resolve, reject) => {
+  db.get('SELECT * FROM maintenance_records WHERE id = ?', [recordId], (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+// Update a maintenance record (the window can only move while it is still scheduled)
+router.put('/maintenance/:id', verifyToken, requirePermission('fleet:manage'), validateMaintenance, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await loadMaintenanceRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Maintenance record not found' });
+    }
+
+    const movesWindow = req.body.scheduled_start !== undefined || req.body.scheduled_end !== undefined;
+    if (movesWindow && record.status !== 'scheduled') {
+      return res.status(409).json({ error: `Cannot move the window of maintenance that is ${record.status}` });
+    }
+    if (movesWindow && !(req.body.scheduled_start && req.body.scheduled_end)) {
+      return res.status(400).json({ error: 'Both scheduled_start and scheduled_end are required to move the window' });
+    }
+    if (movesWindow && new Date(req.body.scheduled_start) <= new Date()) {
+      return res.status(400).json({ error: 'Maintenance window must start in the future' });
+    }
+
+    const fields = ['type', 'description', 'cost', 'odometer_km', 'notes'].filter(field => req.body[field] !== undefined);
+    const values = fields.map(field => req.body[field]);
+    if (movesWindow) {
+      fields.push('scheduled_start', 'scheduled_end');
+      values.push(new Date(req.body.scheduled_start).toISOString(), new Date(req.body.scheduled_end).toISOString());
+    }
+
+    if (fields.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE maintenance_records SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, record.id],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    const updated = await loadMaintenanceRecord(record.id);
+    const redistribution = movesWindow ? await planMaintenance(updated, req.app.get('io')) : null;
+
+    res.json({ message: 'Maintenance record updated successfully', record: updated, redistribution });
+
+  } catch (error) {
+    console.error('Maintenance update error:', error);
+    res.status(500).json({ error: 'Failed to update maintenance record' });
+  }
+});
+
+// Start planned maintenance early
+router.post('/maintenance/:id/start', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const record = await loadMaintenanceRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Maintenance record not found' });
+    }
+    if (record.status !== 'scheduled') {
+      return res.status(409).json({ error: `Maintenance is ${record.status}` });
+    }
+
+    const started = await startMaintenance(record.id, req.app.get('io'));
+    res.json({ message: 'Maintenance started, mobile unit is out of service', ...started });
+
+  } catch (error) {
+    console.error('Maintenance start error:', error);
+    res.status(500).json({ error: 'Failed to start maintenance' });
+  }
+});
+
+// Complete maintenance; the unit returns to service
+router.post('/maintenance/:id/complete', verifyToken, requirePermission('fleet:manage'), [
+  body('cost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  body('notes').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const record = await loadMaintenanceRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Maintenance record not found' });
+    }
+    if (!['scheduled', 'in_progress'].includes(record.status)) {
+      return res.status(409).json({ error: `Maintenance is already ${record.status}` });
+    }
+
+    const completed = await completeMaintenance(record.id, {
+      cost: req.body.cost,
+      notes: req.body.notes,
+      io: req.app.get('io')
+    });
+    res.json({ message: 'Maintenance completed successfully', ...completed });
+
+  } catch (error) {
+    console.error('Maintenance complete error:', error);
+    res.status(500).json({ error: 'Failed to complete maintenance' });
+  }
+});
+
+// Cancel planned maintenance
+router.post('/maintenance/:id/cancel', verifyToken, requirePermission('fleet:manage'), async (req, res) => {
+  try {
+    const record = await loadMaintenanceRecord(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Maintenance record not found' });
+    }
+    if (record.status !== 'scheduled') {
+      return res.status(409).json({ error: `Only scheduled maintenance can be cancelled (this one is ${record.status})` });
+    }
+
+    await cancelMaintenance(record.id);
+    res.json({ message: 'Maintenance cancelled successfully' });
+
+  } catch (error) {
+    console.error('Maintenance cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel maintenance' });
+  }
+});
+
+// Fleet account validation
+const validateFleet = [
+  body('name').trim().notEmpty().withMessage('Fleet name is required'),
+  body('contact_name').optional({ nullable: true }).isString(),
+  body('contact_email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Invalid contact email'),
+  body('contact_phone').optional({ nullable: true }).isString(),
+  body('billing_address').optional({ nullable: true }).isString(),
+  body('price_modifier_percent').optional({ nullable: true }).isFloat({ min: -100, max: 100 }).withMessage('Price modifier must be between -100 and 100 percent'),
+  body('is_active').optional().isBoolean()
+];
+
+// Map a validated fleet request body to column values
+const fleetValues = (data) => [
+  data.name,
+  data.contact_name || null,
+  data.contact_email || null,
+  data.contact_phone || null,
+  data.billing_address || null,
+  data.price_modifier_percent || 0,
+  data.is_active === undefined ? 1 : (data.is_active ? 1 : 0)
+];
+
+const validateStatementPeriod = [
+  body('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Period must be in YYYY-MM format')
+];
+
+// Get fleet accounts with vehicle counts
+router.get('/fleets', verifyToken, requirePermission('billing:view'), async (req, res) => {
+  try {
+    const fleets = await new Promise((resolve, reject) => {
+      db.all(`
+        SELECT f.*, COUNT(fv.id) as vehicle_count
+        FROM fleets f
+        LEFT JOIN fleet_vehicles fv ON fv.fleet_id = f.id
+        GROUP BY f.id
+        ORDER BY f.name
+      `, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(fleets);
+
+  } catch (error) {
+    console.error('Fleets error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleets' });
+  }
+});
+
+// Create fleet account
+router.post('/fleets', verifyToken, requirePermission('billing:manage'), validateFleet, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleetId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO fleets (name, contact_name, contact_email, contact_phone, billing_address, price_modifier_percent, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        fleetValues(req.body),
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Fleet created successfully', id: fleetId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A fleet with this name already exists' });
+    }
+    console.error('Fleet create error:', error);
+    res.status(500).json({ error: 'Failed to create fleet' });
+  }
+});
+
+// Update fleet account (the new price modifier applies to orders placed from now on)
+router.put('/fleets/:id', verifyToken, requirePermission('billing:manage'), validateFleet, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE fleets SET
+          name = ?, contact_name = ?, contact_email = ?, contact_phone = ?, billing_address = ?,
+          price_modifier_percent = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...fleetValues(req.body), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Fleet not found' });
+    }
+
+    res.json({ message: 'Fleet updated successfully' });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'A fleet with this name already exists' });
+    }
+    console.error('Fleet update error:', error);
+    res.status(500).json({ error: 'Failed to update fleet' });
+  }
+});
+
+// Delete fleet account (only if it has no orders - otherwise deactivate it)
+router.delete('/fleets/:id', verifyToken, requirePermission('billing:manage'), async (req, res) => {
+  try {
+    const fleetId = req.params.id;
+
+    const orderCount = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM orders WHERE fleet_id = ?', [fleetId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    if (orderCount > 0) {
+      return res.status(409).json({ error: 'Fleet has orders and cannot be deleted. Deactivate it instead.' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM fleet_vehicles WHERE fleet_id = ?', [fleetId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE customers SET fleet_id = NULL WHERE fleet_id = ?', [fleetId], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM fleets WHERE id = ?', [fleetId], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Fleet not found' });
+    }
+
+    res.json({ message: 'Fleet deleted successfully' });
+
+  } catch (error) {
+    console.error('Fleet delete error:', error);
+    res.status(500).json({ error: 'Failed to delete fleet' });
+  }
+});
+
+// Get a fleet's authorized vehicles
+router.get('/fleets/:id/vehicles', verifyToken, requirePermission('billing:view'), async (req, res) => {
+  try {
+    const vehicles = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM fleet_vehicles WHERE fleet_id = ? ORDER BY plate', [req.params.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(vehicles);
+
+  } catch (error) {
+    console.error('Fleet vehicles error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet vehicles' });
+  }
+});
+
+// Authorize a vehicle under a fleet (a plate can belong to one fleet only)
+router.post('/fleets/:id/vehicles', verifyToken, requirePermission('billing:manage'), [
+  body('plate').trim().notEmpty().withMessage('Plate number is required'),
+  body('vehicle_type').optional({ nullable: true }).isIn(['sedan', 'suv', 'truck', 'van', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body('label').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM fleets WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!fleet) {
+      return res.status(404).json({ error: 'Fleet not found' });
+    }
+
+    const { plate, vehicle_type, label } = req.body;
+
+    const vehicleId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO fleet_vehicles (fleet_id, plate, vehicle_type, label) VALUES (?, ?, ?, ?)',
+        [fleet.id, normalizePlate(plate), vehicle_type || null, label || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Vehicle added to fleet', id: vehicleId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This vehicle is already registered to a fleet' });
+    }
+    console.error('Fleet vehicle create error:', error);
+    res.status(500).json({ error: 'Failed to add fleet vehicle' });
+  }
+});
+
+// Remove a vehicle from a fleet
+router.delete('/fleets/:id/vehicles/:vehicleId', verifyToken, requirePermission('billing:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM fleet_vehicles WHERE id = ? AND fleet_id = ?', [req.params.vehicleId, req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Fleet vehicle not found' });
+    }
+
+    res.json({ message: 'Vehicle removed from fleet' });
+
+  } catch (error) {
+    console.error('Fleet vehicle delete error:', error);
+    res.status(500).json({ error: 'Failed to remove fleet vehicle' });
+  }
+});
+
+// Get the customer accounts that book for a fleet
+router.get('/fleets/:id/customers', verifyToken, requirePermission('billing:view'), async (req, res) => {
+  try {
+    const customers = await new Promise((resolve, reject) => {
+      db.all('SELECT id, name, email, phone, created_at FROM customers WHERE fleet_id = ? ORDER BY name', [req.params.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(customers);
+
+  } catch (error) {
+    console.error('Fleet customers error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet customers' });
+  }
+});
+
+// Link a customer account to a fleet: its bookings of the fleet's vehicles get the fleet price
+// and go on the fleet's statement (an account books for one fleet at most)
+router.post('/fleets/:id/customers', verifyToken, requirePermission('billing:manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const fleet = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM fleets WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!fleet) {
+      return res.status(404).json({ error: 'Fleet not found' });
+    }
+
+    const customer = await new Promise((resolve, reject) => {
+      db.get('SELECT id, fleet_id FROM customers WHERE email = ?', [req.body.email], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    if (customer.fleet_id && customer.fleet_id !== fleet.id) {
+      return res.status(409).json({ error: 'This customer already books for another fleet' });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('UPDATE customers SET fleet_id = ? WHERE id = ?', [fleet.id, customer.id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    res.status(201).json({ message: 'Customer linked to fleet', customerId: customer.id });
+
+  } catch (error) {
+    console.error('Fleet customer link error:', error);
+    res.status(500).json({ error: 'Failed to link customer to fleet' });
+  }
+});
+
+// Unlink a customer account from a fleet
+router.delete('/fleets/:id/customers/:customerId', verifyToken, requirePermission('billing:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('UPDATE customers SET fleet_id = NULL WHERE id = ? AND fleet_id = ?', [req.params.customerId, req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Fleet customer not found' });
+    }
+
+    res.json({ message: 'Customer unlinked from fleet' });
+
+  } catch (error) {
+    console.error('Fleet customer unlink error:', error);
+    res.status(500).json({ error: 'Failed to unlink customer from fleet' });
+  }
+});
+
+// Get a fleet's monthly statements
+router.get('/fleets/:id/statements', verifyToken, requirePermission('billing:view'), async (req, res) => {
+  try {
+    const statements = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM fleet_statements WHERE fleet_id = ? ORDER BY period DESC', [req.params.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({
+          ...row,
+          downloadUrl: `/api/admin/fleets/${row.fleet_id}/statements/${row.id}/download`
+        })));
+      });
+    });
+
+    res.json(statements);
+
+  } catch (error) {
+    console.error('Fleet statements error:', error);
+    res.status(500).json({ error: 'Failed to fetch fleet statements' });
+  }
+});
+
+// Generate (or regenerate) a fleet's statement for a month on demand
+router.post('/fleets/:id/statements', verifyToken, requirePermission('billing:manage'), validateStatementPeriod, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const statement = await generateFleetStatement(req.params.id, req.body.period);
+
+    if (!statement) {
+      return res.status(404).json({ error: 'Fleet not found' });
+    }
+
+    res.status(201).json({ message: 'Statement generated successfully', statement });
+
+  } catch (error) {
+    console.error('Fleet statement generate error:', error);
+    res.status(500).json({ error: 'Failed to generate fleet statement' });
+  }
+});
+
+// Download a statement PDF
+router.get('/fleets/:id/statements/:statementId/download', verifyToken, requirePermission('billing:view'), async (req, res) => {
+  try {
+    const statement = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM fleet_statements WHERE id = ? AND fleet_id = ?', [req.params.statementId, req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
       });
+    });
 
-      // רשום את הפעילות בלוג
-      await new Promise((resolve, reject) => {
-        db.run(
-          'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
-          [orderId, status, orderDetails.mobile_id, notes || `Status updated to ${status} by admin`],
-          (err) => { if (err) reject(err); else resolve(); }
-        );
+    if (!statement) {
+      return res.status(404).json({ error: 'Statement not found' });
+    }
+
+    const pdfPath = getStatementPath(statement.pdf_path);
+    if (!fs.existsSync(pdfPath)) {
+      return res.status(404).json({ error: 'Statement file not found' });
+    }
+
+    res.download(pdfPath);
+
+  } catch (error) {
+    console.error('Fleet statement download error:', error);
+    res.status(500).json({ error: 'Failed to download fleet statement' });
+  }
+});
+
+// Get scheduled jobs
+router.get('/jobs', verifyToken, requirePermission('system:view'), async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClauses = [];
+    const params = [];
+
+    if (status) {
+      whereClauses.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      whereClauses.push('type = ?');
+      params.push(type);
+    }
+
+    const where = whereClauses.length > 0 ? ' WHERE ' + whereClauses.join(' AND ') : '';
+
+    const jobs = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM scheduled_jobs${where} ORDER BY run_at ASC, id ASC LIMIT ? OFFSET ?`,
+        [...params, parseInt(limit), offset],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({ ...row, payload: row.payload ? JSON.parse(row.payload) : {} })));
+        }
+      );
+    });
+
+    const counts = await new Promise((resolve, reject) => {
+      db.all('SELECT status, COUNT(*) as count FROM scheduled_jobs GROUP BY status', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
       });
+    });
 
-      // אם ההזמנה הושלמה/בוטלה והייתה לה ניידת משויכת
-      if ((status === 'completed' || status === 'cancelled') && orderDetails.mobile_id) {
-        const mobileId = orderDetails.mobile_id;
-        const io = req.app.get('io');
-    
-        // חפש את ההזמנה הבאה בתור עבור אותה ניידת
-        const nextOrder = await new Promise((resolve, reject) => {
-            db.get(
-                `SELECT * FROM orders 
-                 WHERE mobile_id = ? AND status = 'pending' 
-                 ORDER BY requested_datetime ASC 
-                 LIMIT 1`,
-                [mobileId],
-                (err, row) => { if (err) reject(err); else resolve(row); }
-            );
-        });
-    
-        if (nextOrder) {
-            // אם יש הזמנה הבאה: עדכן אותה ואת הניידת
-            console.log(`[QueueManager] Order #${orderId} finished. Assigning next order #${nextOrder.id} to mobile unit #${mobileId}.`);
-            
-            await new Promise((resolve, reject) => {
-                db.run(
-                    `UPDATE mobiles SET current_order_id = ?, location_lat = ?, location_lng = ? WHERE id = ?`,
-                    [nextOrder.id, orderDetails.location_lat, orderDetails.location_lng, mobileId],
-                    (err) => { if (err) reject(err); else resolve(); }
-                );
-            });
-    
-            const newStatusForNextOrder = 'assigned';
-            await new Promise((resolve, reject) => {
-                db.run(
-                    'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                    [newStatusForNextOrder, nextOrder.id],
-                    (err) => { if (err) reject(err); else resolve(); }
-                );
-            });
-            
-            await new Promise((resolve, reject) => {
-                db.run(
-                    'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
-                    [nextOrder.id, newStatusForNextOrder, mobileId, 'Auto-assigned from queue.'],
-                    (err) => { if (err) reject(err); else resolve(); }
-                );
-            });
-            
-            io.to(`order-${nextOrder.id}`).emit('status-update', { orderId: nextOrder.id, status: newStatusForNextOrder, timestamp: new Date() });
-            io.emit('admin-status-update', { orderId: nextOrder.id, status: newStatusForNextOrder, timestamp: new Date() });
-    
-        } else {
-            // אם אין הזמנה הבאה: שחרר את הניידת לחלוטין
-            console.log(`[QueueManager] Order #${orderId} finished. No next order for mobile unit #${mobileId}. Setting unit to available.`);
-            
-            await new Promise((resolve, reject) => {
-                db.run(
-                    `UPDATE mobiles 
-                     SET is_available = 1, current_order_id = NULL, available_from = datetime('now'), location_lat = ?, location_lng = ?
-                     WHERE id = ?`,
-                    [orderDetails.location_lat, orderDetails.location_lng, mobileId],
-                    (err) => { if (err) reject(err); else resolve(); }
-                );
-            });
+    res.json({ jobs, counts, pagination: { page: parseInt(page), limit: parseInt(limit) } });
+
+  } catch (error) {
+    console.error('Jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Retry a failed job
+router.post('/jobs/:id/retry', verifyToken, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE scheduled_jobs SET status = 'pending', attempts = 0, run_at = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'failed'`,
+        [new Date().toISOString(), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
         }
-      }
-      
-      db.run('COMMIT');
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Failed job not found' });
+    }
 
-      // שלח עדכון לגבי ההזמנה המקורית
-      const io = req.app.get('io');
-      io.to(`order-${orderId}`).emit('status-update', { orderId, status, timestamp: new Date() });
-      io.emit('admin-status-update', { orderId, status, timestamp: new Date() });
+    res.json({ message: 'Job queued for retry' });
 
-      res.json({ message: 'Status updated successfully', status, orderId: parseInt(orderId, 10) });
+  } catch (error) {
+    console.error('Job retry error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Cancel a pending job
+router.post('/jobs/:id/cancel', verifyToken, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE scheduled_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+        [req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
 
-    } catch (transactionError) {
-        db.run('ROLLBACK');
-        // נעביר את השגיאה ל-catch החיצוני
-        throw transactionError;
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Pending job not found' });
     }
-  });
 
-} catch (error) {
-  console.error('Error updating status:', error);
-  res.status(500).json({ error: 'Failed to update status' });
-}
+    res.json({ message: 'Job cancelled' });
+
+  } catch (error) {
+    console.error('Job cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
 });
-// Get mobile units management
-router.get('/mobiles', verifyToken, async (req, res) => {
+
+// Webhook subscription validation
+const validateWebhook = [
+  body('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('A valid http(s) URL is required'),
+  body('events').isArray({ min: 1 }).withMessage('At least one event is required')
+    .custom(value => {
+      if (!value.every(event => event === '*' || WEBHOOK_EVENTS.includes(event))) {
+        throw new Error(`Events must be '*' or any of: ${WEBHOOK_EVENTS.join(', ')}`);
+      }
+      return true;
+    }),
+  body('secret').optional({ nullable: true }).isString().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+  body('description').optional({ nullable: true }).isString(),
+  body('is_active').optional().isBoolean()
+];
+
+// Subscriptions are listed without their signing secret
+const formatWebhook = ({ secret, ...subscription }) => ({
+  ...subscription,
+  events: subscription.events.split(',')
+});
+
+// Get webhook subscriptions with delivery stats
+router.get('/webhooks', verifyToken, requirePermission('system:view'), async (req, res) => {
   try {
-    const mobiles = await new Promise((resolve, reject) => {
+    const subscriptions = await new Promise((resolve, reject) => {
       db.all(`
-        SELECT m.*, o.vehicle_number, o.status as current_order_status
-        FROM mobiles m
-        LEFT JOIN orders o ON m.current_order_id = o.id
-        ORDER BY m.name`, 
-        (err, rows) => {
+        SELECT s.*,
+               SUM(CASE WHEN d.status = 'delivered' THEN 1 ELSE 0 END) as delivered_count,
+               SUM(CASE WHEN d.status = 'pending' THEN 1 ELSE 0 END) as pending_count,
+               SUM(CASE WHEN d.status = 'failed' THEN 1 ELSE 0 END) as failed_count
+        FROM webhook_subscriptions s
+        LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+        GROUP BY s.id
+        ORDER BY s.created_at DESC
+      `, (err, rows) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(rows.map(formatWebhook));
       });
     });
 
-    res.json(mobiles);
+    res.json({ subscriptions, events: WEBHOOK_EVENTS });
 
   } catch (error) {
-    console.error('Mobiles error:', error);
-    res.status(500).json({ error: 'Failed to fetch mobile units' });
+    console.error('Webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
   }
 });
 
-// Update mobile unit status
-router.patch('/mobiles/:id', verifyToken, async (req, res) => {
+// Create webhook subscription (the signing secret is only returned here)
+router.post('/webhooks', verifyToken, requirePermission('system:manage'), validateWebhook, async (req, res) => {
   try {
-    const mobileId = req.params.id;
-    const { is_available, location_lat, location_lng, available_from } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const updateFields = [];
-    const updateValues = [];
+    const { url, events, description, is_active } = req.body;
+    const secret = req.body.secret || generateWebhookSecret();
 
-    if (is_available !== undefined) {
-      updateFields.push('is_available = ?');
-      updateValues.push(is_available);
+    const subscriptionId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO webhook_subscriptions (url, events, secret, description, is_active) VALUES (?, ?, ?, ?, ?)',
+        [url, events.join(','), secret, description || null, is_active === undefined ? 1 : (is_active ? 1 : 0)],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Webhook created successfully', id: subscriptionId, secret });
+
+  } catch (error) {
+    console.error('Webhook create error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update webhook subscription (the secret is kept unless a new one is sent)
+router.put('/webhooks/:id', verifyToken, requirePermission('system:manage'), validateWebhook, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    if (location_lat !== undefined) {
-      updateFields.push('location_lat = ?');
-      updateValues.push(location_lat);
+
+    const { url, events, secret, description, is_active } = req.body;
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE webhook_subscriptions
+         SET url = ?, events = ?, secret = COALESCE(?, secret), description = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [url, events.join(','), secret || null, description || null, is_active === undefined ? 1 : (is_active ? 1 : 0), req.params.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
-    if (location_lng !== undefined) {
-      updateFields.push('location_lng = ?');
-      updateValues.push(location_lng);
+
+    res.json({ message: 'Webhook updated successfully' });
+
+  } catch (error) {
+    console.error('Webhook update error:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Delete webhook subscription with its delivery log
+router.delete('/webhooks/:id', verifyToken, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_subscriptions WHERE id = ?', [req.params.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
-    if (available_from !== undefined) {
-      updateFields.push('available_from = ?');
-      updateValues.push(available_from);
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM webhook_deliveries WHERE subscription_id = ?', [req.params.id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    res.json({ message: 'Webhook deleted successfully' });
+
+  } catch (error) {
+    console.error('Webhook delete error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Get delivery log of a webhook subscription
+router.get('/webhooks/:id/deliveries', verifyToken, requirePermission('system:view'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = 'SELECT * FROM webhook_deliveries WHERE subscription_id = ?';
+    const params = [req.params.id];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
     }
 
-    if (updateFields.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+    query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const deliveries = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, payload: JSON.parse(row.payload) })));
+      });
+    });
+
+    res.json({ deliveries, pagination: { page: parseInt(page), limit: parseInt(limit) } });
+
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Send a test event to a webhook subscription
+router.post('/webhooks/:id/test', verifyToken, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const subscription = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Webhook not found' });
     }
 
-    updateValues.push(mobileId);
+    const deliveryId = await sendTestEvent(subscription);
 
-    await new Promise((resolve, reject) => {
-      db.run(
-        `UPDATE mobiles SET ${updateFields.join(', ')} WHERE id = ?`,
-        updateValues,
-        (err) => {
+    res.status(202).json({ message: 'Test event queued', deliveryId });
+
+  } catch (error) {
+    console.error('Webhook test error:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+// Redeliver a failed webhook delivery
+router.post('/webhooks/deliveries/:deliveryId/redeliver', verifyToken, requirePermission('system:manage'), async (req, res) => {
+  try {
+    const queued = await redeliverWebhook(req.params.deliveryId);
+
+    if (!queued) {
+      return res.status(404).json({ error: 'Failed delivery not found' });
+    }
+
+    res.json({ message: 'Delivery queued for retry' });
+
+  } catch (error) {
+    console.error('Webhook redeliver error:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Get notification delivery log
+router.get('/notifications', verifyToken, requirePermission('notifications:view'), async (req, res) => {
+  try {
+    const { orderId, status, channel, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClauses = [];
+    const params = [];
+
+    if (orderId) {
+      whereClauses.push('order_id = ?');
+      params.push(orderId);
+    }
+    if (status) {
+      whereClauses.push('status = ?');
+      params.push(status);
+    }
+    if (channel) {
+      whereClauses.push('channel = ?');
+      params.push(channel);
+    }
+
+    const where = whereClauses.length > 0 ? ' WHERE ' + whereClauses.join(' AND ') : '';
+
+    const notifications = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM notifications${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, parseInt(limit), offset],
+        (err, rows) => {
           if (err) reject(err);
-          else resolve();
+          else resolve(rows);
         }
       );
     });
 
-    res.json({ message: 'Mobile unit updated successfully' });
+    const counts = await new Promise((resolve, reject) => {
+      db.all('SELECT status, COUNT(*) as count FROM notifications GROUP BY status', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json({ notifications, counts, pagination: { page: parseInt(page), limit: parseInt(limit) } });
 
   } catch (error) {
-    console.error('Mobile update error:', error);
-    res.status(500).json({ error: 'Failed to update mobile unit' });
+    console.error('Notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Resend a failed notification
+router.post('/notifications/:id/resend', verifyToken, requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const queued = await resendNotification(req.params.id);
+
+    if (!queued) {
+      return res.status(404).json({ error: 'Failed notification not found' });
+    }
+
+    res.json({ message: 'Notification queued for delivery' });
+
+  } catch (error) {
+    console.error('Notification resend error:', error);
+    res.status(500).json({ error: 'Failed to resend notification' });
   }
 });
 
@@ -0,0 +1,180 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const { db } = require('../database/init');
+const config = require('../config');
+const { verifyCrewToken } = require('../middleware/crewAuth');
+const { transitionOrder, OrderTransitionError, CREW_TRANSITIONS } = require('../utils/orderLifecycle');
+const { recordMobileLocation } = require('../utils/mobileTracking');
+
+const router = express.Router();
+
+// Crew login
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    const crewMember = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT c.*, m.name as mobile_name
+         FROM crew_members c
+         JOIN mobiles m ON c.mobile_id = m.id
+         WHERE c.email = ?`,
+        [email],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+
+    if (!crewMember || !crewMember.is_active || !(await bcrypt.compare(password, crewMember.password))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    const token = jwt.sign(
+      {
+        id: crewMember.id,
+        name: crewMember.name,
+        email: crewMember.email,
+        mobileId: crewMember.mobile_id,
+        type: 'crew'
+      },
+      config.jwtSecret,
+      { expiresIn: config.jwtExpiresIn }
+    );
+
+    res.json({
+      message: 'Login successful',
+      token,
+      crew: {
+        id: crewMember.id,
+        name: crewMember.name,
+        email: crewMember.email,
+        mobileId: crewMember.mobile_id,
+        mobileName: crewMember.mobile_name
+      }
+    });
+
+  } catch (error) {
+    console.error('Crew login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Get current crew member and their mobile unit
+router.get('/me', verifyCrewToken, async (req, res) => {
+  try {
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM mobiles WHERE id = ?', [req.crew.mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    res.json({
+      id: req.crew.id,
+      name: req.crew.name,
+      email: req.crew.email,
+      mobile
+    });
+
+  } catch (error) {
+    console.error('Crew profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Get the open orders of the crew's mobile unit, in service order
+router.get('/me/queue', verifyCrewToken, async (req, res) => {
+  try {
+    const orders = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, vehicle_number, vehicle_type, service_type, dirt_level, requested_datetime, duration_minutes,
+                location_lat, location_lng, location_address, vehicle_image, customer_name, customer_phone,
+                price, payment_status, status
+         FROM orders
+         WHERE mobile_id = ? AND status NOT IN ('completed', 'cancelled')
+         ORDER BY requested_datetime ASC`,
+        [req.crew.mobileId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(order => ({ ...order, nextStatuses: CREW_TRANSITIONS[order.status] || [] })));
+        }
+      );
+    });
+
+    res.json(orders);
+
+  } catch (error) {
+    console.error('Crew queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch queue' });
+  }
+});
+
+// Advance one of the crew's orders (on_way -> washing -> completed)
+router.patch('/orders/:id/status', verifyCrewToken, [
+  body('status').isIn(['on_way', 'washing', 'completed']).withMessage('Status must be on_way, washing or completed'),
+  body('notes').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, notes } = req.body;
+
+    await transitionOrder(req.params.id, status, {
+      notes: notes || `Status updated to ${status} by crew ${req.crew.name}`,
+      actor: 'crew',
+      mobileId: req.crew.mobileId,
+      transitions: CREW_TRANSITIONS,
+      io: req.app.get('io')
+    });
+
+    res.json({ message: 'Status updated successfully', status, orderId: parseInt(req.params.id, 10) });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Crew status update error:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Push the crew's current location (the app can also stream it over socket.io, see 'crew-location')
+router.patch('/location', verifyCrewToken, [
+  body('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('heading').optional({ nullable: true }).isFloat({ min: 0, max: 360 }).withMessage('Invalid heading'),
+  body('speed').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid speed'),
+  body('accuracy').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Invalid accuracy')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const update = await recordMobileLocation(req.crew.mobileId, req.body, req.app.get('io'));
+
+    res.json({ message: 'Location updated successfully', location: update });
+
+  } catch (error) {
+    console.error('Crew location error:', error);
+    res.status(500).json({ error: 'Failed to update location' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const { db } = require('../database/init');
+const config = require('../config');
+const { verifyCustomerToken } = require('../middleware/customerAuth');
+
+const router = express.Router();
+
+// Issue a customer JWT
+const signCustomerToken = (customer) => jwt.sign(
+  {
+    id: customer.id,
+    email: customer.email,
+    name: customer.name,
+    type: 'customer'
+  },
+  config.jwtSecret,
+  { expiresIn: config.jwtExpiresIn }
+);
+
+// Vehicle validation
+const validateVehicle = [
+  body('plate').trim().notEmpty().withMessage('Plate number is required'),
+  body('vehicle_type').isIn(['sedan', 'suv', 'truck', 'van', 'motorcycle']).withMessage('Invalid vehicle type'),
+  body('nickname').optional({ nullable: true }).isString(),
+  body('default_lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('default_lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  body('default_address').optional({ nullable: true }).isString()
+];
+
+// Customer registration
+router.post('/register', [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('phone').optional().isString(),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, email, phone, password } = req.body;
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const customerId = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO customers (email, password, name, phone) VALUES (?, ?, ?, ?)',
+        [email, hashedPassword, name, phone || ''],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const customer = { id: customerId, name, email, phone: phone || '' };
+
+    res.status(201).json({
+      message: 'Registration successful',
+      token: signCustomerToken(customer),
+      customer
+    });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+// Customer login
+router.post('/login', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required'),
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password } = req.body;
+
+    const customer = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM customers WHERE email = ?', [email], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!customer || !(await bcrypt.compare(password, customer.password))) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    res.json({
+      message: 'Login successful',
+      token: signCustomerToken(customer),
+      customer: {
+        id: customer.id,
+        name: customer.name,
+        email: customer.email,
+        phone: customer.phone
+      }
+    });
+
+  } catch (error) {
+    console.error('Customer login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+// Get current customer profile
+router.get('/me', verifyCustomerToken, async (req, res) => {
+  try {
+    const customer = await new Promise((resolve, reject) => {
+      db.get('SELECT id, name, email, phone, created_at FROM customers WHERE id = ?', [req.customer.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!customer) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+
+    res.json(customer);
+
+  } catch (error) {
+    console.error('Customer profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile' });
+  }
+});
+
+// Get customer's order history
+router.get('/me/orders', verifyCustomerToken, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let query = `
+      SELECT o.*, m.name as mobile_name, v.nickname as vehicle_nickname
+      FROM orders o
+      LEFT JOIN mobiles m ON o.mobile_id = m.id
+      LEFT JOIN vehicles v ON o.vehicle_id = v.id
+      WHERE o.customer_id = ?
+    `;
+    const params = [req.customer.id];
+
+    if (status) {
+      query += ' AND o.status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY o.created_at DESC, o.id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), offset);
+
+    const orders = await new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({
+          ...row,
+          price_breakdown: row.price_breakdown ? JSON.parse(row.price_breakdown) : []
+        })));
+      });
+    });
+
+    res.json(orders);
+
+  } catch (error) {
+    console.error('Customer orders error:', error);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// Get customer's vehicles
+router.get('/me/vehicles', verifyCustomerToken, async (req, res) => {
+  try {
+    const vehicles = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM vehicles WHERE customer_id = ? ORDER BY created_at', [req.customer.id], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    res.json(vehicles);
+
+  } catch (error) {
+    console.error('Vehicles error:', error);
+    res.status(500).json({ error: 'Failed to fetch vehicles' });
+  }
+});
+
+// Add a vehicle
+router.post('/me/vehicles', verifyCustomerToken, validateVehicle, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { plate, vehicle_type, nickname, default_lat, default_lng, default_address } = req.body;
+
+    const vehicleId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO vehicles (customer_id, plate, vehicle_type, nickname, default_lat, default_lng, default_address)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [req.customer.id, plate, vehicle_type, nickname || null, default_lat ?? null, default_lng ?? null, default_address || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    res.status(201).json({ message: 'Vehicle added successfully', id: vehicleId });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This vehicle is already saved' });
+    }
+    console.error('Vehicle create error:', error);
+    res.status(500).json({ error: 'Failed to add vehicle' });
+  }
+});
+
+// Update a vehicle
+router.put('/me/vehicles/:id', verifyCustomerToken, validateVehicle, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { plate, vehicle_type, nickname, default_lat, default_lng, default_address } = req.body;
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE vehicles
+         SET plate = ?, vehicle_type = ?, nickname = ?, default_lat = ?, default_lng = ?, default_address = ?
+         WHERE id = ? AND customer_id = ?`,
+        [plate, vehicle_type, nickname || null, default_lat ?? null, default_lng ?? null, default_address || null, req.params.id, req.customer.id],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    res.json({ message: 'Vehicle updated successfully' });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This vehicle is already saved' });
+    }
+    console.error('Vehicle update error:', error);
+    res.status(500).json({ error: 'Failed to update vehicle' });
+  }
+});
+
+// Delete a vehicle (its past orders keep their vehicle details)
+router.delete('/me/vehicles/:id', verifyCustomerToken, async (req, res) => {
+  try {
+    const changes = await new Promise((resolve, reject) => {
+      db.run('DELETE FROM vehicles WHERE id = ? AND customer_id = ?', [req.params.id, req.customer.id], function(err) {
+        if (err) reject(err);
+        else resolve(this.changes);
+      });
+    });
+
+    if (changes === 0) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    res.json({ message: 'Vehicle deleted successfully' });
+
+  } catch (error) {
+    console.error('Vehicle delete error:', error);
+    res.status(500).json({ error: 'Failed to delete vehicle' });
+  }
+});
+
+module.exports = router;
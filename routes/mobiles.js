@@ -1,5 +1,8 @@
 const express = require('express');
 const { db } = require('../database/init');
+const { emitWebhookEvent } = require('../utils/webhooks');
+const { verifyCrewToken, requireOwnMobile } = require('../middleware/crewAuth');
+const { validatePosition, recordMobileLocation } = require('../utils/mobileTracking');
 
 const router = express.Router();
 
@@ -38,6 +41,8 @@ router.get('/available', async (req, res) => {
       db.all(`
         SELECT * FROM mobiles 
         WHERE is_available = 1 
+        AND out_of_service = 0
+        AND retired_at IS NULL
         AND available_from <= datetime('now')
         ORDER BY available_from ASC
       `, (err, rows) => {
@@ -102,26 +107,15 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update mobile unit location
-router.patch('/:id/location', async (req, res) => {
+// Update mobile unit location (crew of that unit)
+router.patch('/:id/location', verifyCrewToken, requireOwnMobile, async (req, res) => {
   try {
-    const mobileId = req.params.id;
-    const { lat, lng } = req.body;
-
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude required' });
+    const error = validatePosition(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    await new Promise((resolve, reject) => {
-      db.run(
-        'UPDATE mobiles SET location_lat = ?, location_lng = ? WHERE id = ?',
-        [lat, lng, mobileId],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
-        }
-      );
-    });
+    await recordMobileLocation(req.crew.mobileId, req.body, req.app.get('io'));
 
     res.json({ message: 'Location updated successfully' });
 
@@ -131,8 +125,8 @@ router.patch('/:id/location', async (req, res) => {
   }
 });
 
-// Update mobile unit availability
-router.patch('/:id/availability', async (req, res) => {
+// Update mobile unit availability (crew of that unit)
+router.patch('/:id/availability', verifyCrewToken, requireOwnMobile, async (req, res) => {
   try {
     const mobileId = req.params.id;
     const { is_available, available_from } = req.body;
@@ -158,6 +152,16 @@ router.patch('/:id/availability', async (req, res) => {
       );
     });
 
+    const mobile = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    if (mobile) {
+      await emitWebhookEvent('mobile.updated', { mobileId: mobile.id, mobile });
+    }
+
     res.json({ message: 'Availability updated successfully' });
 
   } catch (error) {
@@ -1,16 +1,46 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { db } = require('../database/init');
+const crypto = require('crypto');
+const fs = require('fs');
+const { body, query, validationResult } = require('express-validator');
+const { db, withTransaction } = require('../database/init');
 const { 
   calculateDuration, 
   calculatePrice, 
+  applyPriceModifier,
+  buildMobileTimeline,
+  calculateAvailableFrom,
+  calculateEstimatedArrival,
+  calculateOrderPrice,
+  calculateCancellationFee,
   findBestMobile, 
-  generateOrderSummary 
+  generateOrderSummary,
+  generateOrderSummaryFromRecord
 } = require('../utils/calculations');
-const { generatePDF } = require('../utils/pdfGenerator');
+const { getInvoicePath, generatePDF } = require('../utils/pdfGenerator');
+const { normalizePromoCode, evaluateCoupon } = require('../utils/coupons');
+const { findFleetForVehicle, normalizePlate } = require('../utils/fleetBilling');
+const { PaymentError, authorizePayment, recordAuthorization, voidAuthorization, getOpenPayment } = require('../utils/payments');
+const { notifyOrder } = require('../utils/notifications');
+const { LANGUAGES } = require('../utils/notificationTemplates');
+const { emitWebhookEvent, serializeOrder } = require('../utils/webhooks');
+const { checkSlotAvailability, findAvailableSlots } = require('../utils/scheduling');
+const { transitionOrder, OrderTransitionError, CREW_TRANSITIONS, autoAssignJobKey } = require('../utils/orderLifecycle');
+const { scheduleJob } = require('../utils/jobScheduler');
+const { refreshMobileAvailability } = require('../utils/queueManager');
+const { getOrderEta, refreshMobileEtas } = require('../utils/eta');
+const { MOBILES_WITH_ZONES_SQL, resolveServiceZone, getZone } = require('../utils/zones');
+const { attachShifts } = require('../utils/shifts');
+const { getRequiredSupplies, attachInventory } = require('../utils/inventory');
+const { attachMaintenance } = require('../utils/maintenance');
+const { optionalCustomerToken } = require('../middleware/customerAuth');
+const { verifyCrewToken } = require('../middleware/crewAuth');
+const config = require('../config');
+const { ADMIN_ROOM } = require('../utils/realtime');
 
 const router = express.Router();
 
+const OUTSIDE_SERVICE_AREA = 'Sorry, this location is outside our service area';
+
 // Validation middleware
 const validateOrder = [
   body('vehicle_number').notEmpty().withMessage('Vehicle number is required'),
@@ -25,15 +55,189 @@ const validateOrder = [
     return true;
 }).withMessage('Invalid service type'),  
   body('requested_datetime').isISO8601().withMessage('Invalid date format'),
+  body('flexible_until').optional({ nullable: true }).isISO8601().withMessage('Invalid date format')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.requested_datetime)) {
+        throw new Error('Flexible window must end after the requested time');
+      }
+      return true;
+    }),
   body('location_lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
   body('location_lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
   body('dirt_level').isInt({ min: 1, max: 5 }).withMessage('Dirt level must be between 1-5'),
   body('customer_name').optional().isString(),
   body('customer_phone').optional().isString(),
-  body('customer_email').optional().isEmail()
+  body('customer_email').optional().isEmail(),
+  body('promo_code').optional().isString().trim(),
+  body('payment_method').optional().isString(),
+  body('language').optional().isIn(LANGUAGES).withMessage('Language must be he or en')
 ];
 
-router.post('/estimate', validateOrder, async (req, res) => {
+// Fill vehicle, location and contact fields from a saved vehicle (logged-in customers only)
+const resolveOrderVehicle = async (req, res, next) => {
+  if (!req.body.vehicle_id) {
+    return next();
+  }
+
+  if (!req.customer) {
+    return res.status(401).json({ error: 'Log in to order with a saved vehicle' });
+  }
+
+  try {
+    const vehicle = await new Promise((resolve, reject) => {
+      db.get(
+        `SELECT v.*, c.name as customer_name, c.email as customer_email, c.phone as customer_phone
+         FROM vehicles v
+         JOIN customers c ON v.customer_id = c.id
+         WHERE v.id = ? AND v.customer_id = ?`,
+        [req.body.vehicle_id, req.customer.id],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({ error: 'Vehicle not found' });
+    }
+
+    // The plate and type come from the saved vehicle; a request naming another one is a mistake
+    const { vehicle_number, vehicle_type } = req.body;
+    if ((vehicle_number && normalizePlate(vehicle_number) !== normalizePlate(vehicle.plate)) ||
+        (vehicle_type && vehicle_type !== vehicle.vehicle_type)) {
+      return res.status(400).json({ error: 'Vehicle number and type must match the saved vehicle' });
+    }
+
+    // Explicit request fields win over the saved location and contact defaults
+    req.body = {
+      location_lat: vehicle.default_lat ?? undefined,
+      location_lng: vehicle.default_lng ?? undefined,
+      location_address: vehicle.default_address || undefined,
+      customer_name: vehicle.customer_name,
+      customer_email: vehicle.customer_email,
+      customer_phone: vehicle.customer_phone || undefined,
+      ...Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined && value !== null && value !== '')),
+      vehicle_number: vehicle.plate,
+      vehicle_type: vehicle.vehicle_type
+    };
+    next();
+  } catch (error) {
+    console.error('Error resolving vehicle:', error);
+    res.status(500).json({ error: 'Failed to load vehicle' });
+  }
+};
+
+// Verify the per-order customer token (X-Order-Token header)
+// Never read from the query string: URLs end up in access logs and Referer headers
+const verifyOrderToken = async (req, res, next) => {
+  const token = req.header('X-Order-Token');
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access denied. No order token provided.' });
+  }
+
+  try {
+    const order = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM orders WHERE id = ?', [req.params.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const expected = Buffer.from(order.access_token || '');
+    const provided = Buffer.from(String(token));
+    if (expected.length === 0 || expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return res.status(403).json({ error: 'Invalid order token.' });
+    }
+
+    req.order = order;
+    next();
+  } catch (error) {
+    console.error('Error verifying order token:', error);
+    res.status(500).json({ error: 'Failed to verify order token' });
+  }
+};
+
+// Identify a customer for per-customer promo limits (the account when logged in, else phone, then email)
+const getCustomerKey = (orderData, customer) => {
+  if (customer) return `customer:${customer.id}`;
+  if (orderData.customer_phone) return orderData.customer_phone.replace(/\D/g, '');
+  if (orderData.customer_email) return orderData.customer_email.toLowerCase();
+  return null;
+};
+
+// Apply the negotiated fleet price when a customer linked to an active fleet books one of its vehicles
+const applyFleetPricing = async (orderData, orderSummary, customer) => {
+  const fleet = await findFleetForVehicle(orderData.vehicle_number, customer ? customer.id : null);
+  if (!fleet) {
+    return null;
+  }
+
+  const quote = applyPriceModifier(
+    { price: orderSummary.price, breakdown: orderSummary.priceBreakdown },
+    fleet.price_modifier_percent,
+    'Fleet agreement'
+  );
+  orderSummary.price = quote.price;
+  orderSummary.subtotal = quote.price;
+  orderSummary.fleet = { id: fleet.id, name: fleet.name };
+
+  return fleet;
+};
+
+// Redemptions of a coupon in total and by one customer key
+// Redemptions on cancelled orders don't count towards the limits
+const COUPON_USAGE_SQL = `
+  SELECT COUNT(*) as total,
+         SUM(CASE WHEN r.customer_key = ? THEN 1 ELSE 0 END) as customer
+  FROM coupon_redemptions r
+  JOIN orders o ON r.order_id = o.id
+  WHERE r.coupon_id = ? AND o.status != 'cancelled'
+`;
+
+// Validate the order's promo code and apply its discount to the order summary
+const applyPromoCode = async (orderData, orderSummary, customer) => {
+  const code = normalizePromoCode(orderData.promo_code);
+
+  const coupon = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM coupons WHERE code = ?', [code], (err, row) => {
+      if (err) reject(err); else resolve(row);
+    });
+  });
+
+  const customerKey = getCustomerKey(orderData, customer);
+
+  const usage = await new Promise((resolve, reject) => {
+    db.get(COUPON_USAGE_SQL, [customerKey, coupon ? coupon.id : null], (err, row) => {
+      if (err) reject(err); else resolve(row);
+    });
+  });
+
+  const result = evaluateCoupon(coupon, {
+    subtotal: orderSummary.price,
+    serviceType: orderData.service_type,
+    totalRedemptions: usage.total,
+    customerRedemptions: customerKey ? (usage.customer || 0) : null
+  });
+
+  if (!result.valid) {
+    return { error: result.error };
+  }
+
+  orderSummary.subtotal = orderSummary.price;
+  orderSummary.discount = { code, amount: result.discount };
+  orderSummary.price = orderSummary.price - result.discount;
+  orderSummary.priceBreakdown.push({ type: 'discount', label: `Promo code ${code}`, amount: -result.discount });
+
+  return { coupon, customerKey };
+};
+
+router.post('/estimate', optionalCustomerToken, resolveOrderVehicle, validateOrder, async (req, res) => {
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
@@ -42,32 +246,70 @@ router.post('/estimate', validateOrder, async (req, res) => {
 
         const orderData = req.body;
 
+        const serviceZone = await resolveServiceZone(orderData.location_lat, orderData.location_lng);
+        if (!serviceZone.served) {
+            return res.status(400).json({ error: OUTSIDE_SERVICE_AREA });
+        }
+
         const mobiles = await new Promise((resolve, reject) => {
-            db.all('SELECT * FROM mobiles', (err, rows) => {
+            db.all(MOBILES_WITH_ZONES_SQL, (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
             });
         });
 
+        await attachShifts(mobiles);
+        await attachInventory(mobiles);
+        await attachMaintenance(mobiles);
+
         const activeOrders = await new Promise((resolve, reject) => {
             db.all("SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled')", (err, rows) => {
                 if (err) reject(err); else resolve(rows);
             });
         });
 
-        const bestMobile = findBestMobile(mobiles, orderData.location_lat, orderData.location_lng, activeOrders);
+        const pricingRules = await new Promise((resolve, reject) => {
+            db.all('SELECT * FROM pricing_rules WHERE is_active = 1 ORDER BY id', (err, rows) => {
+                if (err) reject(err); else resolve(rows);
+            });
+        });
+
+        const bestMobile = findBestMobile(mobiles, orderData.location_lat, orderData.location_lng, activeOrders, {
+            start: new Date(orderData.requested_datetime),
+            duration: calculateDuration(orderData.dirt_level, orderData.service_type),
+            serviceType: orderData.service_type,
+            zoneId: serviceZone.zone ? serviceZone.zone.id : null,
+            supplies: await getRequiredSupplies(orderData.service_type, orderData.dirt_level)
+        });
 
         if (!bestMobile) {
-            return res.status(404).json({ error: 'No available mobile units found for estimation.' });
+            return res.status(404).json({ error: 'No available mobile units found for the requested time.' });
         }
 
-        const orderSummary = generateOrderSummary(orderData, bestMobile);
+        bestMobile.estimatedArrival = calculateEstimatedArrival(bestMobile, activeOrders, orderData).toISOString();
+
+        const orderSummary = generateOrderSummary(orderData, bestMobile, pricingRules, serviceZone.zone);
+
+        await applyFleetPricing(orderData, orderSummary, req.customer);
+
+        if (orderData.promo_code) {
+            const promo = await applyPromoCode(orderData, orderSummary, req.customer);
+            if (promo.error) {
+                return res.status(400).json({ error: promo.error });
+            }
+        }
 
         res.json({
             price: orderSummary.price,
+            subtotal: orderSummary.subtotal,
+            discount: orderSummary.discount,
+            fleet: orderSummary.fleet || null,
+            zone: orderSummary.zone,
+            priceBreakdown: orderSummary.priceBreakdown,
             duration: orderSummary.duration,
             distance: bestMobile.distance,
-            mobileName: bestMobile.name
+            mobileName: bestMobile.name,
+            estimatedArrival: bestMobile.estimatedArrival
         });
 
     } catch (error) {
@@ -76,8 +318,65 @@ router.post('/estimate', validateOrder, async (req, res) => {
     }
 });
 
+// Get bookable time slots for a day
+router.get('/slots', [
+  query('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
+  query('service_type').optional().isString(),
+  query('dirt_level').optional().isInt({ min: 1, max: 5 }).withMessage('Dirt level must be between 1-5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, lat, lng, service_type = 'exterior', dirt_level = 1 } = req.query;
+    const duration = calculateDuration(parseInt(dirt_level, 10), service_type);
+
+    const serviceZone = await resolveServiceZone(lat, lng);
+    if (!serviceZone.served) {
+      return res.status(400).json({ error: OUTSIDE_SERVICE_AREA });
+    }
+
+    const mobiles = await new Promise((resolve, reject) => {
+      db.all(MOBILES_WITH_ZONES_SQL, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    await attachShifts(mobiles);
+    await attachInventory(mobiles);
+    await attachMaintenance(mobiles);
+
+    const activeOrders = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled')", (err, rows) => {
+        if (err) reject(err); else resolve(rows);
+      });
+    });
+
+    const slots = findAvailableSlots(mobiles, activeOrders, {
+      date: new Date(`${date}T00:00:00`),
+      duration,
+      lat: parseFloat(lat),
+      lng: parseFloat(lng),
+      serviceType: service_type,
+      zoneId: serviceZone.zone ? serviceZone.zone.id : null,
+      supplies: await getRequiredSupplies(service_type, dirt_level)
+    });
+
+    res.json({ date, duration, slots });
+
+  } catch (error) {
+    console.error('Error fetching slots:', error);
+    res.status(500).json({ error: 'Failed to fetch available slots' });
+  }
+});
+
 // Create new order
-router.post('/', validateOrder, async (req, res) => {
+router.post('/', optionalCustomerToken, resolveOrderVehicle, validateOrder, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -85,163 +384,249 @@ router.post('/', validateOrder, async (req, res) => {
     }
 
     const orderData = req.body;
+
+    // Only locations inside a service zone are served
+    const serviceZone = await resolveServiceZone(orderData.location_lat, orderData.location_lng);
+    if (!serviceZone.served) {
+      return res.status(400).json({ error: OUTSIDE_SERVICE_AREA });
+    }
     
     // Get all available mobiles
     const mobiles = await new Promise((resolve, reject) => {
-        db.all('SELECT * FROM mobiles', (err, rows) => {
+        db.all(MOBILES_WITH_ZONES_SQL, (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
       });
     });
 
+    await attachShifts(mobiles);
+    await attachInventory(mobiles);
+    await attachMaintenance(mobiles);
+
     const activeOrders = await new Promise((resolve, reject) => {
         db.all("SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled')", (err, rows) => {
             if (err) reject(err); else resolve(rows);
         });
     });
 
-    // Find best mobile unit
-    const bestMobile = findBestMobile(mobiles, orderData.location_lat, orderData.location_lng, activeOrders);
+    const pricingRules = await new Promise((resolve, reject) => {
+        db.all('SELECT * FROM pricing_rules WHERE is_active = 1 ORDER BY id', (err, rows) => {
+            if (err) reject(err); else resolve(rows);
+        });
+    });
+
+    const requestedJob = {
+      start: new Date(orderData.requested_datetime),
+      duration: calculateDuration(orderData.dirt_level, orderData.service_type),
+      lat: parseFloat(orderData.location_lat),
+      lng: parseFloat(orderData.location_lng),
+      serviceType: orderData.service_type,
+      zoneId: serviceZone.zone ? serviceZone.zone.id : null,
+      supplies: await getRequiredSupplies(orderData.service_type, orderData.dirt_level)
+    };
+
+    // Make sure the requested slot is still bookable
+    const slot = checkSlotAvailability(mobiles, activeOrders, requestedJob);
+
+    if (!slot.available) {
+      return res.status(409).json({ error: slot.reason });
+    }
+
+    // Find best mobile unit for the requested slot
+    const bestMobile = findBestMobile(mobiles, orderData.location_lat, orderData.location_lng, activeOrders, requestedJob);
     
     if (!bestMobile) {
-      return res.status(400).json({ 
-        error: 'No available mobile units at this time' 
+      return res.status(409).json({ 
+        error: 'Requested time slot is no longer available' 
       });
     }
 
+    bestMobile.estimatedArrival = calculateEstimatedArrival(bestMobile, activeOrders, orderData).toISOString();
+
     // Generate order summary
-    const orderSummary = generateOrderSummary(orderData, bestMobile);
+    const orderSummary = generateOrderSummary(orderData, bestMobile, pricingRules, serviceZone.zone);
+
+    const fleet = await applyFleetPricing(orderData, orderSummary, req.customer);
+
+    let promo = null;
+    if (orderData.promo_code) {
+      promo = await applyPromoCode(orderData, orderSummary, req.customer);
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error });
+      }
+    }
     
-    // Save order to database
-    const orderId = await new Promise((resolve, reject) => {
-      const stmt = db.prepare(`
-        INSERT INTO orders (
-          vehicle_number, vehicle_type, service_type, requested_datetime,
-          location_lat, location_lng, location_address, vehicle_image,
-          dirt_level, price, duration_minutes, distance_km, mobile_id, status,
-          customer_name, customer_phone, customer_email
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `);
-      
-      stmt.run([
-        orderData.vehicle_number,
-        orderData.vehicle_type,
-        orderData.service_type,
-        orderData.requested_datetime,
-        orderData.location_lat,
-        orderData.location_lng,
-        orderData.location_address || '',
-        orderData.vehicle_image || '',
-        orderData.dirt_level,
-        orderSummary.price,
-        orderSummary.duration,
-        bestMobile.distance,
-        bestMobile.id,
-        'pending',
-        orderData.customer_name || '',
-        orderData.customer_phone || '',
-        orderData.customer_email || ''
-      ], function(err) {
-        if (err) reject(err);
-        else resolve(this.lastID);
-      });
-      
-      stmt.finalize();
-    });
+    // Hold the amount on the customer's card; it is captured when the wash is completed
+    // Fleet orders are billed on the fleet's monthly statement instead
+    let authorization = null;
+    if (orderData.payment_method && !fleet) {
+      authorization = await authorizePayment(orderSummary.price, orderData.payment_method, `Car wash ${orderData.vehicle_number}`);
+    }
 
-    // Update mobile availability
-    await new Promise((resolve, reject) => {
-      const estimatedEndTime = new Date(Date.now() + (orderSummary.duration * 60000));
-      db.run(
-        'UPDATE mobiles SET is_available = 0, current_order_id = ?, available_from = ? WHERE id = ?',
-        [orderId, estimatedEndTime.toISOString(), bestMobile.id],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
+    // Secret token that lets the customer manage this order
+    const accessToken = crypto.randomBytes(24).toString('hex');
+
+    // Save the order with its payment, redemption and the unit's availability in one go;
+    // if any of it fails the card hold is released
+    let saved;
+    try {
+      saved = await withTransaction(async (tx) => {
+        // Count the promo code's redemptions again where no other order can redeem it meanwhile
+        if (promo) {
+          const usage = await tx.get(COUPON_USAGE_SQL, [promo.customerKey, promo.coupon.id]);
+          const recheck = evaluateCoupon(promo.coupon, {
+            subtotal: orderSummary.subtotal,
+            serviceType: orderData.service_type,
+            totalRedemptions: usage.total,
+            customerRedemptions: promo.customerKey ? (usage.customer || 0) : null
+          });
+          if (!recheck.valid) {
+            return { promoError: recheck.error };
+          }
         }
-      );
-    });
 
-    // Log activity
-    await new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
-        [orderId, 'pending', bestMobile.id, 'Order created and mobile assigned'],
-        (err) => {
-          if (err) reject(err);
-          else resolve();
+        const { lastID: newOrderId } = await tx.run(`
+          INSERT INTO orders (
+            vehicle_number, vehicle_type, service_type, requested_datetime,
+            location_lat, location_lng, location_address, vehicle_image,
+            dirt_level, price, duration_minutes, distance_km, mobile_id, status,
+            customer_name, customer_phone, customer_email, price_breakdown,
+            promo_code, discount_amount, flexible_until, access_token, customer_id, vehicle_id,
+            fleet_id, price_modifier_percent, language, zone_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          orderData.vehicle_number,
+          orderData.vehicle_type,
+          orderData.service_type,
+          orderData.requested_datetime,
+          orderData.location_lat,
+          orderData.location_lng,
+          orderData.location_address || '',
+          orderData.vehicle_image || '',
+          orderData.dirt_level,
+          orderSummary.price,
+          orderSummary.duration,
+          bestMobile.distance,
+          bestMobile.id,
+          'pending',
+          orderData.customer_name || '',
+          orderData.customer_phone || '',
+          orderData.customer_email || '',
+          JSON.stringify(orderSummary.priceBreakdown),
+          orderSummary.discount ? orderSummary.discount.code : null,
+          orderSummary.discount ? orderSummary.discount.amount : 0,
+          orderData.flexible_until || null,
+          accessToken,
+          req.customer ? req.customer.id : null,
+          orderData.vehicle_id || null,
+          fleet ? fleet.id : null,
+          fleet ? fleet.price_modifier_percent : 0,
+          orderData.language || null,
+          serviceZone.zone ? serviceZone.zone.id : null
+        ]);
+
+        if (authorization) {
+          await recordAuthorization(newOrderId, authorization, tx);
         }
-      );
-    });
 
-    if (bestMobile.is_available === 1 && new Date(bestMobile.available_from) <= new Date()) {
-        // אם כן, הפעל את הטיימר לעדכון סטטוס אוטומטי
-        console.log(`[Auto-Update] Scheduling automatic status change for order #${orderId} because mobile unit #${bestMobile.id} is available now.`);
+        // Record promo code redemption
+        if (promo) {
+          await tx.run(
+            'INSERT INTO coupon_redemptions (coupon_id, order_id, customer_key, discount_amount) VALUES (?, ?, ?, ?)',
+            [promo.coupon.id, newOrderId, promo.customerKey, orderSummary.discount.amount]
+          );
+        }
 
-    // Set a timer to automatically change status after 3 minutes
-    const THREE_MINUTES = 3 * 60 * 1000;
-    setTimeout(() => {
-      const newStatus = 'assigned'; // או 'on_way', לבחירתך
-      console.log(`[Auto-Update] Updating order #${orderId} to status: ${newStatus}`);
-
-      db.serialize(() => {
-        // 1. Update the order status in the database
-        db.run(
-          'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
-          [newStatus, orderId, 'pending'], // רק אם הסטטוס עדיין pending
-          function(err) {
-            if (err) {
-              console.error(`[Auto-Update] Error updating order #${orderId}:`, err);
-              return;
-            }
-            // אם אף שורה לא עודכנה (כי המנהל שינה סטטוס בינתיים), אל תמשיך
-            if (this.changes === 0) {
-                console.log(`[Auto-Update] Order #${orderId} was already updated manually. Aborting auto-update.`);
-                return;
-            }
-          
-            // 2. Add a new activity log
-            db.run(
-              'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
-              [orderId, newStatus, bestMobile.id, 'Order automatically confirmed and assigned'],
-              (err) => {
-                if (err) {
-                  console.error(`[Auto-Update] Error logging activity for order #${orderId}:`, err);
-                }
-              }
-            );
-            
-            // 3. Emit a real-time update to the client
-            io.to(`order-${orderId}`).emit('status-update', { orderId, status: newStatus, timestamp: new Date() });
-            io.emit('admin-status-update', { orderId, status: newStatus, timestamp: new Date() }); // עדכון גם לדשבורד של האדמין
-            console.log(`[Auto-Update] Successfully updated and notified for order #${orderId}.`);
-          }
+        // Update mobile availability from its timeline including the new order
+        const mobileTimeline = buildMobileTimeline(bestMobile, [
+          ...activeOrders,
+          { id: newOrderId, mobile_id: bestMobile.id, requested_datetime: orderData.requested_datetime, duration_minutes: orderSummary.duration, location_lat: requestedJob.lat, location_lng: requestedJob.lng }
+        ]);
+        const availableFrom = calculateAvailableFrom(mobileTimeline);
+        await tx.run(
+          'UPDATE mobiles SET is_available = 0, current_order_id = COALESCE(current_order_id, ?), available_from = ? WHERE id = ?',
+          [newOrderId, availableFrom.toISOString(), bestMobile.id]
+        );
+
+        // Log activity
+        await tx.run(
+          'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+          [newOrderId, 'pending', bestMobile.id, 'Order created and mobile assigned']
         );
+
+        return { orderId: newOrderId };
       });
-    }, THREE_MINUTES);
+    } catch (saveError) {
+      if (authorization) {
+        await voidAuthorization(authorization);
+      }
+      throw saveError;
+    }
+
+    if (saved.promoError) {
+      if (authorization) {
+        await voidAuthorization(authorization);
+      }
+      return res.status(400).json({ error: saved.promoError });
+    }
+    const { orderId } = saved;
+
+    if (authorization) {
+      orderSummary.paymentStatus = 'authorized';
+    }
+
+    if (bestMobile.is_available === 1 && new Date(bestMobile.available_from) <= new Date()) {
+        // אם כן, תזמן עדכון סטטוס אוטומטי (נשמר במסד הנתונים ושורד הפעלה מחדש)
+        console.log(`[Auto-Update] Scheduling automatic status change for order #${orderId} because mobile unit #${bestMobile.id} is available now.`);
+
+        await scheduleJob('order.auto_assign', { orderId }, {
+          runAt: new Date(Date.now() + config.business.autoAssignDelayMinutes * 60000),
+          key: autoAssignJobKey(orderId)
+        });
     } else {
         console.log(`[Auto-Update] Order #${orderId} assigned to a busy unit's queue. No automatic status change scheduled. Manual admin action required.`);
     }
 
-
     // Generate PDF
-    const pdfPath = await generatePDF(orderId, orderSummary);
+    const pdfPath = await generatePDF(orderId, { ...orderSummary, accessToken });
+
+    // Confirmation email (with the invoice) and SMS; a notification problem must not fail the order
+    try {
+      await notifyOrder(orderId, 'created', { attachmentPath: pdfPath });
+    } catch (notifyError) {
+      console.error(`Failed to queue notifications for order #${orderId}:`, notifyError);
+    }
+
+    const savedOrder = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM orders WHERE id = ?', [orderId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    await emitWebhookEvent('order.created', { orderId, order: serializeOrder(savedOrder) });
 
     // Return order details with PDF path
     const response = {
       ...orderSummary,
       orderId,
-      pdfPath: `/pdfs/order-${orderId}.pdf`,
+      pdfPath: `/api/orders/${orderId}/invoice`,
       trackingUrl: `http://localhost:3001/track/${orderId}`
     };
 
-    // Emit real-time update
+    // Emit real-time update (the access token is for the customer only)
     const io = req.app.get('io');
-    io.emit('order-created', response);
+    io.to(ADMIN_ROOM).emit('order-created', response);
 
-    res.status(201).json(response);
+    res.status(201).json({
+      ...response,
+      accessToken,
+      manageUrl: `${config.frontendUrl}/track/${orderId}#token=${accessToken}`
+    });
 
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
     console.error('Error creating order:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -268,6 +653,11 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Order not found' });
     }
 
+    delete order.access_token;
+
+    // Line items the order was priced with at creation time
+    order.price_breakdown = order.price_breakdown ? JSON.parse(order.price_breakdown) : [];
+
     res.json(order);
   } catch (error) {
     console.error('Error fetching order:', error);
@@ -275,64 +665,375 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Update order status
-router.patch('/:id/status', async (req, res) => {
+// Update order status (crew of the order's mobile unit; admins use /api/admin/orders/:id/status)
+router.patch('/:id/status', verifyCrewToken, async (req, res) => {
   try {
     const orderId = req.params.id;
     const { status, notes } = req.body;
 
-    const validStatuses = ['pending', 'assigned', 'on_way', 'washing', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    await transitionOrder(orderId, status, {
+      notes: notes || `Status updated to ${status} by crew ${req.crew.name}`,
+      actor: 'crew',
+      mobileId: req.crew.mobileId,
+      transitions: CREW_TRANSITIONS,
+      io: req.app.get('io')
+    });
+
+    res.json({ message: 'Status updated successfully', status });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Error updating status:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Download an order's invoice (customer)
+router.get('/:id/invoice', verifyOrderToken, (req, res) => {
+  const pdfPath = getInvoicePath(req.order.id);
+  if (!fs.existsSync(pdfPath)) {
+    return res.status(404).json({ error: 'Invoice not found' });
+  }
+
+  res.download(pdfPath);
+});
+
+// Cancel an order (customer)
+router.post('/:id/cancel', verifyOrderToken, [
+  body('reason').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = req.order;
+    const { reason } = req.body;
+
+    if (!['pending', 'assigned', 'on_way'].includes(order.status)) {
+      return res.status(409).json({ error: `Order cannot be cancelled while ${order.status}` });
+    }
+
+    const cancellationFee = calculateCancellationFee(order);
+    const io = req.app.get('io');
+
+    const setCancellationFee = (fee) => new Promise((resolve, reject) => {
+      db.run('UPDATE orders SET cancellation_fee = ? WHERE id = ?', [fee, order.id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    // Recorded before the transition so the payment settlement keeps the fee
+    await setCancellationFee(cancellationFee);
+
+    try {
+      await transitionOrder(order.id, 'cancelled', {
+        notes: `Cancelled by customer${reason ? `: ${reason}` : ''}${cancellationFee > 0 ? ` (cancellation fee ₪${cancellationFee})` : ''}`,
+        actor: 'customer',
+        expectedStatus: order.status,
+        io
+      });
+    } catch (error) {
+      await setCancellationFee(null);
+      throw error;
     }
 
-    // Update order status
-    await new Promise((resolve, reject) => {
+    io.to(ADMIN_ROOM).emit('admin-order-cancelled', { orderId: order.id, cancellationFee, reason: reason || null, timestamp: new Date() });
+
+    res.json({ message: 'Order cancelled successfully', status: 'cancelled', cancellationFee });
+
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Pay for an order that was placed without payment (customer)
+router.post('/:id/pay', verifyOrderToken, [
+  body('payment_method').isString().notEmpty().withMessage('Payment method is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = req.order;
+
+    if (['completed', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({ error: `Order cannot be paid while ${order.status}` });
+    }
+    if (order.payment_status !== 'unpaid') {
+      return res.status(409).json({ error: `Order payment is already ${order.payment_status}` });
+    }
+    if (order.fleet_id) {
+      return res.status(409).json({ error: 'Fleet orders are billed on the fleet\'s monthly statement' });
+    }
+
+    // Claim the payment first so two concurrent requests cannot both place a hold
+    const claim = await new Promise((resolve, reject) => {
       db.run(
-        'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [status, orderId],
-        (err) => {
+        "UPDATE orders SET payment_status = 'authorizing' WHERE id = ? AND payment_status = 'unpaid'",
+        [order.id],
+        function(err) {
           if (err) reject(err);
-          else resolve();
+          else resolve(this.changes);
         }
       );
     });
+    if (claim === 0) {
+      return res.status(409).json({ error: 'Order payment is already in progress' });
+    }
 
-    // Log activity
-    await new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO activity_logs (order_id, status, notes) VALUES (?, ?, ?)',
-        [orderId, status, notes || 'Status updated'],
-        (err) => {
+    let authorization = null;
+    try {
+      authorization = await authorizePayment(order.price, req.body.payment_method, `Car wash ${order.vehicle_number}`);
+      await recordAuthorization(order.id, authorization);
+    } catch (paymentError) {
+      if (authorization) {
+        await voidAuthorization(authorization);
+      }
+      await new Promise((resolve, reject) => {
+        db.run("UPDATE orders SET payment_status = 'unpaid' WHERE id = ? AND payment_status = 'authorizing'", [order.id], (err) => {
           if (err) reject(err);
           else resolve();
+        });
+      });
+      throw paymentError;
+    }
+
+    res.json({ message: 'Payment authorized successfully', paymentStatus: 'authorized', amount: authorization.amount });
+
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.statusCode).json({ error: error.message, ...error.details });
+    }
+    console.error('Error paying order:', error);
+    res.status(500).json({ error: 'Failed to process payment' });
+  }
+});
+
+// Rate a completed order, optionally with a tip for the crew (customer, once per order)
+router.post('/:id/review', verifyOrderToken, [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1-5'),
+  body('comment').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters'),
+  body('tip_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Tip must be a positive amount')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = req.order;
+    const { rating, comment, tip_amount } = req.body;
+
+    if (order.status !== 'completed') {
+      return res.status(409).json({ error: 'Only completed orders can be reviewed' });
+    }
+
+    const review = {
+      orderId: order.id,
+      mobileId: order.mobile_id,
+      rating: parseInt(rating, 10),
+      comment: comment || null,
+      tipAmount: tip_amount ? Math.round(parseFloat(tip_amount) * 100) / 100 : 0
+    };
+
+    review.id = await new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO reviews (order_id, mobile_id, rating, comment, tip_amount) VALUES (?, ?, ?, ?, ?)',
+        [review.orderId, review.mobileId, review.rating, review.comment, review.tipAmount],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
         }
       );
     });
 
-    // If completed, free up mobile unit
-    if (status === 'completed') {
-      await new Promise((resolve, reject) => {
-        db.run(
-          'UPDATE mobiles SET is_available = 1, current_order_id = NULL WHERE current_order_id = ?',
-          [orderId],
-          (err) => {
-            if (err) reject(err);
-            else resolve();
-          }
-        );
+    req.app.get('io').to(ADMIN_ROOM).emit('admin-new-review', {
+      ...review,
+      vehicleNumber: order.vehicle_number,
+      customerName: order.customer_name,
+      timestamp: new Date()
+    });
+
+    res.status(201).json({ message: 'Thank you for your review', review });
+
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({ error: 'This order has already been reviewed' });
+    }
+    console.error('Error saving review:', error);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+// Reschedule an order to a new slot (customer)
+router.post('/:id/reschedule', verifyOrderToken, [
+  body('requested_datetime').isISO8601().withMessage('Invalid date format'),
+  body('flexible_until').optional({ nullable: true }).isISO8601().withMessage('Invalid date format')
+    .custom((value, { req }) => {
+      if (new Date(value) < new Date(req.body.requested_datetime)) {
+        throw new Error('Flexible window must end after the requested time');
+      }
+      return true;
+    })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = req.order;
+    const { requested_datetime, flexible_until } = req.body;
+
+    if (!['pending', 'assigned'].includes(order.status)) {
+      return res.status(409).json({ error: `Order cannot be rescheduled while ${order.status}` });
+    }
+
+    const mobiles = await new Promise((resolve, reject) => {
+      db.all(MOBILES_WITH_ZONES_SQL, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+
+    await attachShifts(mobiles);
+    // Nor may the supplies it already reserved
+    await attachInventory(mobiles, { excludeOrderId: order.id });
+    await attachMaintenance(mobiles);
+
+    // The order's current slot must not block its own new slot
+    const otherActiveOrders = await new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled') AND id != ?",
+        [order.id],
+        (err, rows) => {
+          if (err) reject(err); else resolve(rows);
+        }
+      );
+    });
+
+    const requestedJob = {
+      start: new Date(requested_datetime),
+      duration: order.duration_minutes,
+      lat: order.location_lat,
+      lng: order.location_lng,
+      serviceType: order.service_type,
+      zoneId: order.zone_id,
+      supplies: await getRequiredSupplies(order.service_type, order.dirt_level)
+    };
+
+    const slot = checkSlotAvailability(mobiles, otherActiveOrders, requestedJob);
+    if (!slot.available) {
+      return res.status(409).json({ error: slot.reason });
+    }
+
+    const bestMobile = findBestMobile(mobiles, order.location_lat, order.location_lng, otherActiveOrders, requestedJob);
+    if (!bestMobile) {
+      return res.status(409).json({ error: 'Requested time slot is no longer available' });
+    }
+
+    const pricingRules = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM pricing_rules WHERE is_active = 1 ORDER BY id', (err, rows) => {
+        if (err) reject(err); else resolve(rows);
       });
+    });
+
+    const quote = calculateOrderPrice(pricingRules, order, bestMobile.distance, await getZone(order.zone_id));
+
+    // The order and its payment are checked again where nothing can change them meanwhile
+    const refusal = await withTransaction(async (tx) => {
+      const current = await tx.get('SELECT status, payment_status FROM orders WHERE id = ?', [order.id]);
+      if (!['pending', 'assigned'].includes(current.status)) {
+        return `Order cannot be rescheduled while ${current.status}`;
+      }
+      if (current.payment_status === 'authorizing') {
+        return 'Order payment is in progress, please retry';
+      }
+
+      // Only the amount held on the card can be captured later, so a dearer slot is refused
+      const payment = await getOpenPayment(order.id, tx);
+      const covered = payment && (payment.status === 'authorized' ? payment.amount : payment.captured_amount);
+      if (payment && quote.price > covered) {
+        return `The new slot costs ₪${quote.price}, more than the ₪${covered} paid for this order. Cancel it and book the new slot instead.`;
+      }
+
+      await tx.run(
+        `UPDATE orders
+         SET requested_datetime = ?, flexible_from = NULL, flexible_until = ?, mobile_id = ?, distance_km = ?, price = ?, price_breakdown = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [requested_datetime, flexible_until || null, bestMobile.id, bestMobile.distance, quote.price, JSON.stringify(quote.breakdown), order.id]
+      );
+      await tx.run(
+        'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+        [order.id, order.status, bestMobile.id, `Rescheduled by customer from ${order.requested_datetime} to ${requested_datetime}`]
+      );
+      return null;
+    });
+
+    if (refusal) {
+      return res.status(409).json({ error: refusal });
+    }
+
+    if (order.mobile_id && order.mobile_id !== bestMobile.id) {
+      await refreshMobileAvailability(order.mobile_id);
     }
+    await refreshMobileAvailability(bestMobile.id);
+
+    // Regenerate the invoice with the new slot and price
+    const updatedOrder = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM orders WHERE id = ?', [order.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+    bestMobile.estimatedArrival = calculateEstimatedArrival(bestMobile, otherActiveOrders, updatedOrder).toISOString();
+    const orderSummary = generateOrderSummaryFromRecord(updatedOrder, bestMobile);
+    await generatePDF(order.id, { ...orderSummary, accessToken: order.access_token });
+
+    const update = {
+      orderId: order.id,
+      requestedDateTime: requested_datetime,
+      mobileId: bestMobile.id,
+      mobileName: bestMobile.name,
+      price: quote.price,
+      timestamp: new Date()
+    };
 
-    // Emit real-time update
     const io = req.app.get('io');
-    io.to(`order-${orderId}`).emit('status-update', { orderId, status, timestamp: new Date() });
+    io.to(`order-${order.id}`).emit('order-rescheduled', update);
+    io.to(ADMIN_ROOM).emit('admin-order-rescheduled', { ...update, previousDateTime: order.requested_datetime });
 
-    res.json({ message: 'Status updated successfully', status });
+    if (order.mobile_id && order.mobile_id !== bestMobile.id) {
+      await refreshMobileEtas(order.mobile_id, io);
+    }
+    await refreshMobileEtas(bestMobile.id, io);
+
+    await emitWebhookEvent('order.rescheduled', {
+      ...update,
+      previousDateTime: order.requested_datetime,
+      order: serializeOrder(updatedOrder)
+    });
+
+    res.json({
+      message: 'Order rescheduled successfully',
+      ...orderSummary,
+      pdfPath: `/api/orders/${order.id}/invoice`
+    });
 
   } catch (error) {
-    console.error('Error updating status:', error);
-    res.status(500).json({ error: 'Failed to update status' });
+    console.error('Error rescheduling order:', error);
+    res.status(500).json({ error: 'Failed to reschedule order' });
   }
 });
 
@@ -343,7 +1044,7 @@ router.get('/:id/track', async (req, res) => {
     
     const order = await new Promise((resolve, reject) => {
       db.get(`
-        SELECT o.*, m.name as mobile_name, m.location_lat as mobile_lat, m.location_lng as mobile_lng
+        SELECT o.*, m.name as mobile_name, m.location_lat as mobile_lat, m.location_lng as mobile_lng, m.location_updated_at as mobile_location_updated_at
         FROM orders o
         LEFT JOIN mobiles m ON o.mobile_id = m.id
         WHERE o.id = ?
@@ -369,6 +1070,8 @@ router.get('/:id/track', async (req, res) => {
       );
     });
 
+    const estimatedArrival = await getOrderEta(order);
+
     res.json({
       order: {
         id: order.id,
@@ -380,9 +1083,11 @@ router.get('/:id/track', async (req, res) => {
         requestedDateTime: order.requested_datetime,
         mobile: {
           name: order.mobile_name,
+          estimatedArrival,
           location: {
             lat: order.mobile_lat,
-            lng: order.mobile_lng
+            lng: order.mobile_lng,
+            updatedAt: order.mobile_location_updated_at
           }
         }
       },
@@ -0,0 +1,33 @@
+const express = require('express');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { applyWebhookEvent } = require('../utils/payments');
+
+const router = express.Router();
+
+// Payment gateway webhook (signature verified by the provider adapter against the raw body)
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const event = provider.verifyWebhook(req.rawBody || Buffer.from(''), req.headers);
+    if (!event) {
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    const applied = await applyWebhookEvent(req.params.provider, event);
+
+    // Acknowledge unknown payments and event types so the gateway stops retrying them
+    res.json({ received: true, applied });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+module.exports = router;
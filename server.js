@@ -9,6 +9,11 @@ require('dotenv').config();
 
 // ייבוא הפונקציה לאתחול מסד הנתונים
 const { initDatabase } = require('./database/init'); 
+const { startWorker } = require('./utils/jobScheduler');
+const { scheduleMonthlyBilling } = require('./utils/fleetBilling');
+const { decodeCrewToken } = require('./middleware/crewAuth');
+const { validatePosition, recordMobileLocation, scheduleLocationCleanup } = require('./utils/mobileTracking');
+const { ADMIN_ROOM, authenticateAdminSocket, canJoinOrderRoom } = require('./utils/realtime');
 
 const app = express();
 const server = http.createServer(app);
@@ -23,18 +28,26 @@ const io = socketIo(server, {
 app.use(helmet());
 app.use(cors());
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-app.use('/pdfs', express.static(path.join(__dirname, 'pdfs')));
 
 // Routes
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/mobiles', require('./routes/mobiles'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/customers', require('./routes/customers'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/crew', require('./routes/crew'));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -45,9 +58,63 @@ app.get('/api/health', (req, res) => {
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
   
-  socket.on('join-order', (orderId) => {
-    socket.join(`order-${orderId}`);
-    console.log(`Client joined order room: ${orderId}`);
+  // Admin dashboards connect with their access token to receive admin-* events
+  authenticateAdminSocket(socket.handshake.auth?.token)
+    .then(admin => {
+      if (admin) {
+        socket.join(ADMIN_ROOM);
+      }
+    })
+    .catch(err => console.error('Error authenticating admin socket:', err));
+
+  // Order rooms need the order's access token ({ orderId, token }) or a customer, crew or
+  // admin token covering the order in the handshake
+  socket.on('join-order', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const { orderId, token } = data && typeof data === 'object' ? data : { orderId: data };
+
+    try {
+      const allowed = await canJoinOrderRoom(orderId, { orderToken: token, token: socket.handshake.auth?.token });
+      if (!allowed) {
+        return reply({ error: 'Access denied.' });
+      }
+
+      socket.join(`order-${orderId}`);
+      console.log(`Client joined order room: ${orderId}`);
+      reply({ ok: true });
+    } catch (err) {
+      console.error('Error joining order room:', err);
+      reply({ error: 'Failed to join order room' });
+    }
+  });
+  
+  // Crews stream their GPS position; the crew token is sent in the handshake (auth: { token })
+  socket.on('crew-location', async (position, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    let crew;
+    try {
+      crew = await decodeCrewToken(socket.handshake.auth?.token);
+    } catch (err) {
+      console.error('Error verifying crew token:', err);
+      return reply({ error: 'Failed to verify token' });
+    }
+
+    if (!crew) {
+      return reply({ error: 'Access denied.' });
+    }
+
+    const error = validatePosition(position);
+    if (error) {
+      return reply({ error });
+    }
+
+    try {
+      const update = await recordMobileLocation(crew.mobileId, position, io);
+      reply({ ok: true, recordedAt: update && update.recordedAt });
+    } catch (err) {
+      console.error('Error recording crew location:', err);
+      reply({ error: 'Failed to update location' });
+    }
   });
   
   socket.on('disconnect', () => {
@@ -77,6 +144,9 @@ const PORT = process.env.PORT || 3000;
 
 
 initDatabase()
+  .then(() => startWorker({ io }))
+  .then(() => scheduleMonthlyBilling())
+  .then(() => scheduleLocationCleanup())
   .then(() => {
     server.listen(PORT, () => {
       console.log(`🚀 Smart Car Wash Pro Backend running on port ${PORT}`);
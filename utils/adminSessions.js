@@ -0,0 +1,210 @@
+/**
+ * Smart Car Wash Pro 2.0 - Admin Sessions
+ * Every admin login opens a session. The session hands out short-lived access
+ * tokens (JWTs carrying the session ID) and single-use refresh tokens: each
+ * refresh replaces the refresh token, and presenting one that was already used
+ * revokes the whole session, since it means the token was stolen. Revoked
+ * sessions stop working immediately, because verifyToken checks them on every
+ * request. Password resets use one-time tokens as well.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { db } = require('../database/init');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(32).toString('hex');
+
+// Sign an access token for a session
+const signAccessToken = (admin, sessionId) => jwt.sign(
+  {
+    id: admin.id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    type: 'admin',
+    sid: sessionId
+  },
+  config.jwtSecret,
+  { expiresIn: config.adminAuth.accessTokenExpiresIn }
+);
+
+// Store a new refresh token for a session and return it in clear
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = generateToken();
+  await run('INSERT INTO admin_refresh_tokens (session_id, token_hash) VALUES (?, ?)', [sessionId, hashToken(refreshToken)]);
+  return refreshToken;
+};
+
+/**
+ * Open a session for an admin who just logged in
+ * @param {Object} admin - Admin row
+ * @param {Object} [client] - { userAgent, ipAddress }
+ * @returns {Object} { accessToken, refreshToken, sessionId, refreshExpiresAt }
+ */
+const createSession = async (admin, { userAgent = null, ipAddress = null } = {}) => {
+  const expiresAt = new Date(Date.now() + config.adminAuth.refreshTokenDays * 86400000).toISOString();
+  const { lastID: sessionId } = await run(
+    `INSERT INTO admin_sessions (admin_id, user_agent, ip_address, expires_at, last_used_at)
+     VALUES (?, ?, ?, ?, ?)`,
+    [admin.id, userAgent, ipAddress, expiresAt, new Date().toISOString()]
+  );
+
+  return {
+    accessToken: signAccessToken(admin, sessionId),
+    refreshToken: await issueRefreshToken(sessionId),
+    sessionId,
+    refreshExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token from login or the previous refresh
+ * @returns {Object} { accessToken, refreshToken, sessionId, refreshExpiresAt, admin }, or { error }
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const stored = await get(
+    `SELECT t.id, t.used_at, s.id as session_id, s.admin_id, s.expires_at, s.revoked_at
+     FROM admin_refresh_tokens t
+     JOIN admin_sessions s ON t.session_id = s.id
+     WHERE t.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+
+  if (!stored || stored.revoked_at || new Date(stored.expires_at) < new Date()) {
+    return { error: 'Session expired, please log in again' };
+  }
+
+  if (stored.used_at) {
+    // Someone is replaying a token that was already exchanged: end the session for everyone
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    console.log(`[Auth] Refresh token reuse detected for admin #${stored.admin_id}; session #${stored.session_id} revoked.`);
+    return { error: 'Session expired, please log in again' };
+  }
+
+  const admin = await get('SELECT id, email, name, role, is_active, must_change_password FROM admins WHERE id = ?', [stored.admin_id]);
+  if (!admin || !admin.is_active) {
+    await revokeSession(stored.session_id, 'admin_disabled');
+    return { error: 'Account is disabled' };
+  }
+
+  // Only the first of two concurrent refreshes with the same token wins
+  const claimed = await run('UPDATE admin_refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL', [new Date().toISOString(), stored.id]);
+  if (claimed.changes === 0) {
+    await revokeSession(stored.session_id, 'refresh_token_reuse');
+    return { error: 'Session expired, please log in again' };
+  }
+
+  await run('UPDATE admin_sessions SET last_used_at = ? WHERE id = ?', [new Date().toISOString(), stored.session_id]);
+
+  return {
+    accessToken: signAccessToken(admin, stored.session_id),
+    refreshToken: await issueRefreshToken(stored.session_id),
+    sessionId: stored.session_id,
+    refreshExpiresAt: stored.expires_at,
+    admin
+  };
+};
+
+/**
+ * Check that an access token's session is still open
+ * @param {number} sessionId - Session ID (the token's sid claim)
+ * @param {number} adminId - Admin the token was issued to
+ * @returns {boolean}
+ */
+const isSessionActive = async (sessionId, adminId) => {
+  if (!sessionId) {
+    return false;
+  }
+  const session = await get('SELECT admin_id, expires_at, revoked_at FROM admin_sessions WHERE id = ?', [sessionId]);
+  return Boolean(session && session.admin_id === adminId && !session.revoked_at && new Date(session.expires_at) > new Date());
+};
+
+/**
+ * Revoke one session
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Why ('logout', 'password_changed', ...)
+ */
+const revokeSession = async (sessionId, reason) => {
+  await run(
+    'UPDATE admin_sessions SET revoked_at = ?, revoked_reason = ? WHERE id = ? AND revoked_at IS NULL',
+    [new Date().toISOString(), reason, sessionId]
+  );
+};
+
+/**
+ * Revoke every open session of an admin
+ * @param {number} adminId - Admin ID
+ * @param {string} reason - Why
+ * @param {Object} [options]
+ * @param {number} [options.exceptSessionId] - Session to keep (the one making the request)
+ * @returns {number} Sessions revoked
+ */
+const revokeAdminSessions = async (adminId, reason, { exceptSessionId = null } = {}) => {
+  const result = await run(
+    'UPDATE admin_sessions SET revoked_at = ?, revoked_reason = ? WHERE admin_id = ? AND revoked_at IS NULL AND id != ?',
+    [new Date().toISOString(), reason, adminId, exceptSessionId || 0]
+  );
+  return result.changes;
+};
+
+/**
+ * Create a one-time password reset token
+ * Earlier unused tokens of the admin stop working.
+ * @param {number} adminId - Admin ID
+ * @returns {Object} { token, expiresAt }
+ */
+const createPasswordReset = async (adminId) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + config.adminAuth.passwordResetMinutes * 60000).toISOString();
+
+  await run('UPDATE admin_password_resets SET used_at = ? WHERE admin_id = ? AND used_at IS NULL', [new Date().toISOString(), adminId]);
+  await run(
+    'INSERT INTO admin_password_resets (admin_id, token_hash, expires_at) VALUES (?, ?, ?)',
+    [adminId, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+};
+
+/**
+ * Use a password reset token
+ * @param {string} token - Token from the reset link
+ * @returns {number|null} Admin ID, or null when the token is unknown, used or expired
+ */
+const consumePasswordReset = async (token) => {
+  const reset = await get('SELECT id, admin_id, expires_at, used_at FROM admin_password_resets WHERE token_hash = ?', [hashToken(token)]);
+  if (!reset || reset.used_at || new Date(reset.expires_at) < new Date()) {
+    return null;
+  }
+
+  const claimed = await run('UPDATE admin_password_resets SET used_at = ? WHERE id = ? AND used_at IS NULL', [new Date().toISOString(), reset.id]);
+  return claimed.changes === 1 ? reset.admin_id : null;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAdminSessions,
+  createPasswordReset,
+  consumePasswordReset
+};
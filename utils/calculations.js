@@ -3,6 +3,10 @@
  * Implements pricing and time calculation algorithms
  */
 
+const config = require('../config');
+
+const MINUTE = 60000;
+
 /**
  * Calculate service duration based on requirements
  * @param {number} dirtLevel - Dirt level from 1-5
@@ -28,27 +32,133 @@ const calculateDuration = (dirtLevel, serviceType) => {
 };
 
 /**
- * Calculate service price based on requirements
+ * Build the default pricing rules from config.business
+ * Used to seed the pricing_rules table and as a fallback when no rules are active
+ * @returns {Array} Pricing rules
+ */
+const getDefaultPricingRules = () => {
+  const rules = [
+    { rule_type: 'base', match_key: null, min_km: null, max_km: null, amount: config.business.basePrice, description: 'Base price' }
+  ];
+
+  for (let level = 1; level <= 5; level++) {
+    rules.push({
+      rule_type: 'dirt_level',
+      match_key: String(level),
+      min_km: null,
+      max_km: null,
+      amount: config.business.dirtLevelMultiplier * level,
+      description: `Dirt level ${level}`
+    });
+  }
+
+  rules.push({
+    rule_type: 'distance_band',
+    match_key: null,
+    min_km: 0,
+    max_km: null,
+    amount: config.business.distanceMultiplier,
+    description: 'Travel distance'
+  });
+
+  return rules;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Calculate service price and the line items it is made of
+ * @param {Array} rules - Active pricing rules
+ * @param {Object} params - Pricing parameters
+ * @param {string} params.vehicleType - Vehicle type (sedan, suv, ...)
+ * @param {string} params.serviceType - Type of service, add-ons joined with '+'
+ * @param {number} params.dirtLevel - Dirt level from 1-5
+ * @param {number} params.distanceKm - Distance from mobile unit in kilometers
+ * @param {Object} [params.zone] - Service zone of the location, for its surcharge
+ * @returns {Object} { price, breakdown } - price in NIS and the line items
+ */
+const calculatePriceBreakdown = (rules, { vehicleType, serviceType, dirtLevel, distanceKm, zone }) => {
+  const activeRules = rules && rules.length > 0 ? rules : getDefaultPricingRules();
+  const breakdown = [];
+  const distance = parseFloat(distanceKm) || 0;
+  const services = (serviceType || '').split('+');
+
+  activeRules.forEach(rule => {
+    const amount = parseFloat(rule.amount) || 0;
+
+    switch (rule.rule_type) {
+      case 'base':
+        breakdown.push({ type: 'base', label: rule.description || 'Base price', amount: roundAmount(amount) });
+        break;
+
+      case 'vehicle_type':
+        if (rule.match_key === vehicleType) {
+          breakdown.push({ type: 'vehicle_type', label: rule.description || `Vehicle type: ${vehicleType}`, amount: roundAmount(amount) });
+        }
+        break;
+
+      case 'service':
+        if (services.includes(rule.match_key)) {
+          breakdown.push({ type: 'service', label: rule.description || `Service: ${rule.match_key}`, amount: roundAmount(amount) });
+        }
+        break;
+
+      case 'dirt_level':
+        if (parseInt(rule.match_key, 10) === parseInt(dirtLevel, 10)) {
+          breakdown.push({ type: 'dirt_level', label: rule.description || `Dirt level ${dirtLevel}`, amount: roundAmount(amount) });
+        }
+        break;
+
+      case 'distance_band': {
+        // Each band charges its per-km rate only for the kilometers that fall inside it
+        const bandStart = parseFloat(rule.min_km) || 0;
+        const bandEnd = rule.max_km === null || rule.max_km === undefined ? Infinity : parseFloat(rule.max_km);
+        const kmInBand = Math.max(0, Math.min(distance, bandEnd) - bandStart);
+        if (kmInBand > 0) {
+          breakdown.push({
+            type: 'distance',
+            label: `${rule.description || 'Distance'} (${roundAmount(kmInBand)} km × ₪${amount})`,
+            amount: roundAmount(kmInBand * amount)
+          });
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  if (zone && zone.surcharge) {
+    breakdown.push({ type: 'zone', label: `Service zone: ${zone.name}`, amount: roundAmount(zone.surcharge) });
+  }
+
+  let price = Math.round(breakdown.reduce((sum, item) => sum + item.amount, 0));
+
+  // Minimum charge is applied last, as a top-up line item
+  const minimumCharge = activeRules
+    .filter(rule => rule.rule_type === 'minimum')
+    .reduce((max, rule) => Math.max(max, parseFloat(rule.amount) || 0), 0);
+
+  if (price < minimumCharge) {
+    breakdown.push({ type: 'minimum', label: 'Minimum charge adjustment', amount: roundAmount(minimumCharge - price) });
+    price = Math.round(minimumCharge);
+  }
+
+  return { price, breakdown };
+};
+
+/**
+ * Calculate service price based on pricing rules
  * @param {number} dirtLevel - Dirt level from 1-5
  * @param {number} distanceKm - Distance from mobile unit in kilometers
  * @param {string} serviceType - Type of service
+ * @param {string} vehicleType - Vehicle type
+ * @param {Array} rules - Active pricing rules (defaults to config.business)
  * @returns {number} Price in NIS
  */
-const calculatePrice = (dirtLevel, distanceKm, serviceType) => {
-  // Base price: 50 NIS
-  let price = 50;
-  
-  // Add price based on dirt level: 20 NIS × dirt level
-  price += 20 * dirtLevel;
-  
-  // Add distance cost: 2 NIS × kilometers
-  price += 2 * distanceKm;
-  
-  // Note: According to requirements, only base + dirt level + distance
-  // Service types (exterior, interior, polish, wax) don't add extra cost
-  // They only affect duration, not price
-  
-  return Math.round(price);
+const calculatePrice = (dirtLevel, distanceKm, serviceType, vehicleType, rules) => {
+  return calculatePriceBreakdown(rules, { vehicleType, serviceType, dirtLevel, distanceKm }).price;
 };
 
 /**
@@ -71,83 +181,440 @@ const calculateDistance = (lat1, lng1, lat2, lng2) => {
 };
 
 /**
- * Find the best available mobile unit
+ * Apply a percentage price modifier (e.g. a fleet agreement) as a line item
+ * @param {Object} quote - { price, breakdown } from calculatePriceBreakdown
+ * @param {number} percent - Modifier in percent; negative for a discount
+ * @param {string} label - Line item label
+ * @returns {Object} The same quote, adjusted
+ */
+const applyPriceModifier = (quote, percent, label) => {
+  if (!percent) {
+    return quote;
+  }
+
+  const amount = Math.round(quote.price * percent / 100);
+  quote.breakdown.push({ type: 'modifier', label: `${label} (${percent > 0 ? '+' : ''}${percent}%)`, amount });
+  quote.price = Math.max(0, quote.price + amount);
+  return quote;
+};
+
+/**
+ * Re-price an existing order for a new distance, keeping its fleet modifier and the promo discount it already got
+ * @param {Array} rules - Active pricing rules
+ * @param {Object} order - Order row
+ * @param {number} distanceKm - New distance from the mobile unit
+ * @param {Object} [zone] - The order's service zone
+ * @returns {Object} { price, breakdown }
+ */
+const calculateOrderPrice = (rules, order, distanceKm, zone) => {
+  const quote = calculatePriceBreakdown(rules, {
+    vehicleType: order.vehicle_type,
+    serviceType: order.service_type,
+    dirtLevel: order.dirt_level,
+    distanceKm,
+    zone
+  });
+
+  applyPriceModifier(quote, order.price_modifier_percent, 'Fleet agreement');
+
+  const discount = Math.min(order.discount_amount || 0, quote.price);
+  if (discount > 0) {
+    quote.breakdown.push({ type: 'discount', label: `Promo code ${order.promo_code}`, amount: -discount });
+  }
+
+  return { price: quote.price - discount, breakdown: quote.breakdown };
+};
+
+/**
+ * Calculate the fee for a customer cancelling an order, per config.cancellation
+ * @param {Object} order - Order row
+ * @param {Date} now - Reference time
+ * @returns {number} Fee in NIS
+ */
+const calculateCancellationFee = (order, now = new Date()) => {
+  const policy = config.cancellation;
+  let feePercent = 0;
+
+  if (order.status === 'on_way') {
+    feePercent = policy.onWayFeePercent;
+  } else {
+    const hoursUntilSlot = (new Date(order.requested_datetime) - now) / (60 * 60000);
+    if (hoursUntilSlot < policy.freeUntilHours) {
+      feePercent = policy.lateFeePercent;
+    }
+  }
+
+  return Math.round(order.price * feePercent / 100);
+};
+
+/**
+ * Estimate driving time between two coordinates
+ * @param {number} lat1 - First latitude
+ * @param {number} lng1 - First longitude
+ * @param {number} lat2 - Second latitude
+ * @param {number} lng2 - Second longitude
+ * @returns {number} Travel time in whole minutes, at config.business.averageSpeedKmh
+ */
+const calculateTravelMinutes = (lat1, lng1, lat2, lng2) => {
+  const distance = calculateDistance(lat1, lng1, lat2, lng2);
+  return Math.ceil((distance / config.business.averageSpeedKmh) * 60);
+};
+
+/**
+ * Build the timeline of upcoming jobs for a mobile unit
+ * @param {Object} mobile - Mobile unit
+ * @param {Array} activeOrders - Orders not yet completed or cancelled
+ * @param {Date} now - Reference time
+ * @returns {Array} Jobs sorted by start time: { orderId, status, start, end, lat, lng }
+ */
+const buildMobileTimeline = (mobile, activeOrders, now = new Date()) => {
+  return activeOrders
+    .filter(order => order.mobile_id === mobile.id)
+    .map(order => {
+      const start = new Date(order.requested_datetime);
+      let end = new Date(start.getTime() + order.duration_minutes * MINUTE);
+      // An overdue job still occupies the unit until it is marked done
+      if (end < now) {
+        end = new Date(now);
+      }
+      return {
+        orderId: order.id,
+        status: order.status,
+        start,
+        end,
+        lat: order.location_lat,
+        lng: order.location_lng
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+// Jobs the unit is already working on come before the rest of its queue
+const QUEUE_RANK = { washing: 0, on_way: 1 };
+
+/**
+ * Estimate when a mobile unit will arrive at a job
+ * The unit finishes the jobs ahead of it in its queue first: the rest of the wash in
+ * progress, then for every job before this one the drive there (from the unit's
+ * location or the previous job), waiting for its slot and its duration. Never earlier
+ * than the job's own requested time.
+ * @param {Object} mobile - Mobile unit
+ * @param {Array} activeOrders - Orders not yet completed or cancelled (washing ones may carry washing_started_at)
+ * @param {Object} job - Order row, or { requested_datetime, location_lat, location_lng } for a new order
+ * @param {Date} now - Reference time
+ * @returns {Date} Estimated arrival
+ */
+const calculateEstimatedArrival = (mobile, activeOrders, job, now = new Date()) => {
+  const jobStart = new Date(job.requested_datetime);
+
+  // Once the unit is on its way it drives straight there
+  const ahead = job.status === 'on_way' ? [] : activeOrders
+    .filter(order => order.mobile_id === mobile.id && order.id !== job.id)
+    .filter(order => order.status in QUEUE_RANK || new Date(order.requested_datetime) < jobStart)
+    .sort((a, b) => ((QUEUE_RANK[a.status] ?? 2) - (QUEUE_RANK[b.status] ?? 2))
+      || (new Date(a.requested_datetime) - new Date(b.requested_datetime)));
+
+  let time = now.getTime();
+  let lat = mobile.location_lat;
+  let lng = mobile.location_lng;
+
+  ahead.forEach(order => {
+    if (order.status === 'washing') {
+      // Already there, only the rest of the wash remains
+      const washStart = new Date(order.washing_started_at || order.requested_datetime);
+      time = Math.max(time, washStart.getTime() + order.duration_minutes * MINUTE);
+    } else {
+      time += calculateTravelMinutes(lat, lng, order.location_lat, order.location_lng) * MINUTE;
+      time = Math.max(time, new Date(order.requested_datetime).getTime()) + order.duration_minutes * MINUTE;
+    }
+    lat = order.location_lat;
+    lng = order.location_lng;
+  });
+
+  time += calculateTravelMinutes(lat, lng, job.location_lat, job.location_lng) * MINUTE;
+
+  return new Date(Math.max(time, jobStart.getTime()));
+};
+
+/**
+ * Convert a shift time to minutes after midnight
+ * @param {string} time - 'HH:MM'
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Local calendar date of a moment
+ * @param {Date} date - Any time on the day
+ * @returns {string} YYYY-MM-DD (server local time)
+ */
+const toDateKey = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Get a unit's working windows on a day
+ * An override for the date replaces the weekly template (also for units without one);
+ * an override without times is a day off.
+ * @param {Object} schedule - { weekly, overrides } as attached by attachShifts (utils/shifts)
+ * @param {Date} day - Any time on the day
+ * @returns {Array|null} [{ start: Date, end: Date }], or null when the unit has no schedule that day
+ */
+const getWorkingWindows = (schedule, day) => {
+  if (!schedule) {
+    return null;
+  }
+
+  const dateKey = toDateKey(day);
+  const overrides = schedule.overrides.filter(override => override.date === dateKey);
+  if (overrides.length === 0 && schedule.weekly.length === 0) {
+    return null;
+  }
+
+  const shifts = overrides.length > 0
+    ? overrides.filter(override => override.start_time && override.end_time)
+    : schedule.weekly.filter(shift => shift.weekday === day.getDay());
+
+  const midnight = new Date(day);
+  midnight.setHours(0, 0, 0, 0);
+
+  return shifts
+    .map(shift => ({
+      start: new Date(midnight.getTime() + toMinutes(shift.start_time) * MINUTE),
+      end: new Date(midnight.getTime() + toMinutes(shift.end_time) * MINUTE)
+    }))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Check that a job fits entirely inside one of the unit's working windows
+ * @param {Object} mobile - Mobile unit, with its shifts attached
+ * @param {Date} start - Job start
+ * @param {Date} end - Job end
+ * @returns {boolean} Always true for units without a schedule
+ */
+const isWithinShift = (mobile, start, end) => {
+  const windows = getWorkingWindows(mobile.shifts, start);
+  if (!windows) {
+    return true;
+  }
+  return windows.some(window => start >= window.start && end <= window.end);
+};
+
+/**
+ * Check whether a job overlaps one of the unit's planned maintenance windows
+ * @param {Object} mobile - Mobile unit, with maintenance windows ([{ start: Date, end: Date }]) attached
+ * @param {Date} start - Job start
+ * @param {Date} end - Job end
+ * @returns {boolean}
+ */
+const isDuringMaintenance = (mobile, start, end) => (mobile.maintenance || [])
+  .some(window => start < window.end && end > window.start);
+
+/**
+ * Check whether a mobile unit is equipped for every service of a job
+ * @param {Object} mobile - Mobile unit, with capabilities ('exterior,interior') when limited
+ * @param {string} serviceType - Service type of the job ('exterior+wax')
+ * @returns {boolean} Always true for units without listed capabilities
+ */
+const canPerformService = (mobile, serviceType) => {
+  if (!serviceType || !mobile.capabilities) {
+    return true;
+  }
+  const capabilities = String(mobile.capabilities).split(',');
+  return serviceType.split('+').every(service => capabilities.includes(service));
+};
+
+/**
+ * Check whether a mobile unit may work in a service zone
+ * @param {Object} mobile - Mobile unit, with zone_ids ('1,3') when restricted to zones
+ * @param {number} zoneId - Zone of the job (none = anywhere)
+ * @returns {boolean}
+ */
+const canServeZone = (mobile, zoneId) => {
+  if (!zoneId || !mobile.zone_ids) {
+    return true;
+  }
+  return String(mobile.zone_ids).split(',').map(Number).includes(Number(zoneId));
+};
+
+/**
+ * Calculate the consumables a service uses
+ * @param {Array} profiles - Consumption profile rows { service, consumable_id, quantity, quantity_per_dirt_level }
+ * @param {string} serviceType - Service type ('exterior+interior' uses both profiles)
+ * @param {number} dirtLevel - Dirt level from 1-5
+ * @returns {Object} { consumableId: quantity }
+ */
+const calculateConsumption = (profiles, serviceType, dirtLevel) => {
+  const services = (serviceType || '').split('+');
+  const supplies = {};
+  profiles.filter(profile => services.includes(profile.service)).forEach(profile => {
+    const quantity = profile.quantity + profile.quantity_per_dirt_level * (dirtLevel || 0);
+    supplies[profile.consumable_id] = (supplies[profile.consumable_id] || 0) + quantity;
+  });
+  return supplies;
+};
+
+/**
+ * Check whether a mobile unit carries enough consumables for a job
+ * @param {Object} mobile - Mobile unit, with inventory ({ consumableId: available }) attached
+ * @param {Object} supplies - Required consumables ({ consumableId: quantity })
+ * @returns {boolean} Consumables the unit does not track never block it
+ */
+const hasSupplies = (mobile, supplies) => {
+  if (!supplies || !mobile.inventory) {
+    return true;
+  }
+  return Object.entries(supplies).every(([consumableId, quantity]) =>
+    mobile.inventory[consumableId] === undefined || mobile.inventory[consumableId] >= quantity
+  );
+};
+
+/**
+ * Check whether a mobile unit can take a new job at a given time
+ * The unit must be able to drive from its previous job (or current location)
+ * in time for the start, and still reach its next job after finishing.
+ * Units restricted to zones only take jobs there, the job must fit inside one of the unit's shifts
+ * and the unit must carry the consumables it needs. Units out of service take nothing, and no job
+ * may overlap a maintenance window. Retired units and units not equipped for the service are skipped.
+ * @param {Object} mobile - Mobile unit
+ * @param {Array} timeline - The unit's timeline (see buildMobileTimeline)
+ * @param {Object} job - { start: Date, duration: minutes, lat, lng, serviceType?, zoneId?, supplies? }
+ * @param {Date} now - Reference time
+ * @returns {Object} { feasible, previousJob, nextJob, distanceKm, travelMinutes }
+ */
+const canScheduleJob = (mobile, timeline, job, now = new Date()) => {
+  const start = job.start;
+  const end = new Date(start.getTime() + job.duration * MINUTE);
+  const infeasible = { feasible: false };
+
+  if (start < now || mobile.out_of_service || mobile.retired_at || !canPerformService(mobile, job.serviceType)) {
+    return infeasible;
+  }
+  if (!canServeZone(mobile, job.zoneId) || !isWithinShift(mobile, start, end) || !hasSupplies(mobile, job.supplies)
+    || isDuringMaintenance(mobile, start, end)) {
+    return infeasible;
+  }
+
+  const previousJob = timeline.filter(entry => entry.start <= start).pop() || null;
+  const nextJob = timeline.find(entry => entry.start > start) || null;
+
+  const originLat = previousJob ? previousJob.lat : mobile.location_lat;
+  const originLng = previousJob ? previousJob.lng : mobile.location_lng;
+  const readyAt = previousJob ? previousJob.end : now;
+
+  const travelMinutes = calculateTravelMinutes(originLat, originLng, job.lat, job.lng);
+  if (readyAt.getTime() + travelMinutes * MINUTE > start.getTime()) {
+    return infeasible;
+  }
+
+  if (nextJob) {
+    const travelToNext = calculateTravelMinutes(job.lat, job.lng, nextJob.lat, nextJob.lng);
+    if (end.getTime() + travelToNext * MINUTE > nextJob.start.getTime()) {
+      return infeasible;
+    }
+  }
+
+  return {
+    feasible: true,
+    previousJob,
+    nextJob,
+    distanceKm: parseFloat(calculateDistance(originLat, originLng, job.lat, job.lng).toFixed(2)),
+    travelMinutes
+  };
+};
+
+/**
+ * Calculate when a mobile unit is next free, following its timeline from now
+ * @param {Array} timeline - The unit's timeline (see buildMobileTimeline)
+ * @param {Date} now - Reference time
+ * @returns {Date} First moment the unit has no job in progress
+ */
+const calculateAvailableFrom = (timeline, now = new Date()) => {
+  let availableFrom = new Date(now);
+  timeline.forEach(entry => {
+    if (entry.start <= availableFrom && entry.end > availableFrom) {
+      availableFrom = new Date(entry.end);
+    }
+  });
+  return availableFrom;
+};
+
+/**
+ * Find the best mobile unit for a job at the requested time
+ * Every unit's timeline of future orders is checked for a gap where the unit can
+ * reach the customer in time and still make its next job; among those, the unit
+ * whose route grows the least is chosen.
  * @param {Array} mobiles - Array of mobile units
  * @param {number} customerLat - Customer latitude
  * @param {number} customerLng - Customer longitude
- * @returns {Object} Best mobile unit with distance
+ * @param {Array} activeOrders - Orders not yet completed or cancelled
+ * @param {Object} job - { start: Date, duration: minutes, serviceType?, zoneId?, supplies? }
+ * @returns {Object|null} Best mobile unit with distance and placement, or null if no unit can make it
  */
-const findBestMobile = (mobiles, customerLat, customerLng, activeOrders) => {
+const findBestMobile = (mobiles, customerLat, customerLng, activeOrders, job) => {
   const now = new Date();
-  const trulyAvailableMobiles = mobiles.filter(mobile => 
-    mobile.is_available === 1 && new Date(mobile.available_from) <= now
-  );
-  // Filter available mobiles
-  if (trulyAvailableMobiles.length > 0) {
-    // === תרחיש א': יש ניידות פנויות. בחר את הקרובה ביותר ===
-    console.log('[Assigner] Scenario A: At least one unit is available now. Finding the closest one.');
-    
-    let closestMobile = null;
-    let minDistance = Infinity;
-
-    trulyAvailableMobiles.forEach(mobile => {
-      const distance = calculateDistance(
-        mobile.location_lat,
-        mobile.location_lng,
-        customerLat,
-        customerLng
-      );
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestMobile = mobile;
-      }
-    });
+  const lat = parseFloat(customerLat);
+  const lng = parseFloat(customerLng);
 
-    if (closestMobile) {
-      closestMobile.distance = parseFloat(minDistance.toFixed(2));
+  const candidates = mobiles.map(mobile => {
+    const timeline = buildMobileTimeline(mobile, activeOrders, now);
+    const placement = canScheduleJob(mobile, timeline, { ...job, lat, lng }, now);
+    if (!placement.feasible) {
+      return null;
     }
-    return closestMobile;
 
-  } else {
-    // === תרחיש ב': כל הניידות תפוסות. בחר את זו שמתפנה הכי מוקדם ===
-    console.log('[Assigner] Scenario B: All units are busy. Finding the one that will be available soonest.');
-    
-    const mobilesWithFutureData = mobiles.map(mobile => {
-      // מצא את ההזמנה האחרונה המשויכת לניידת זו (היא מגדירה את המיקום העתידי שלה)
-      const lastOrderForMobile = activeOrders
-        .filter(o => o.mobile_id === mobile.id)
-        .sort((a, b) => new Date(b.requested_datetime) - new Date(a.requested_datetime))[0];
-      
-      // המיקום שממנו נחשב את המרחק הוא המיקום של ההזמנה האחרונה, או המיקום הנוכחי אם אין לה הזמנות עתידיות
-      const startLat = lastOrderForMobile ? lastOrderForMobile.location_lat : mobile.location_lat;
-      const startLng = lastOrderForMobile ? lastOrderForMobile.location_lng : mobile.location_lng;
-
-      const distance = calculateDistance(startLat, startLng, customerLat, customerLng);
-      
-      return {
-        ...mobile,
-        distance: parseFloat(distance.toFixed(2)),
-        // הזמן שהניידת תתפנה מהתור הקיים שלה
-        effective_available_from: new Date(mobile.available_from).getTime()
-      };
-    });
+    // Added travel = detour through the new job instead of driving straight to the next one
+    const originLat = placement.previousJob ? placement.previousJob.lat : mobile.location_lat;
+    const originLng = placement.previousJob ? placement.previousJob.lng : mobile.location_lng;
+    let addedDistance = placement.distanceKm;
+    if (placement.nextJob) {
+      addedDistance += calculateDistance(lat, lng, placement.nextJob.lat, placement.nextJob.lng)
+        - calculateDistance(originLat, originLng, placement.nextJob.lat, placement.nextJob.lng);
+    }
 
-    // מיין לפי הזמן שהניידת מתפנה. הניידת הטובה ביותר היא הראשונה ברשימה.
-    mobilesWithFutureData.sort((a, b) => a.effective_available_from - b.effective_available_from);
+    return {
+      ...mobile,
+      distance: placement.distanceKm,
+      addedDistance: parseFloat(addedDistance.toFixed(2)),
+      previousOrderId: placement.previousJob ? placement.previousJob.orderId : null,
+      nextOrderId: placement.nextJob ? placement.nextJob.orderId : null,
+      queueLength: timeline.length
+    };
+  }).filter(Boolean);
 
-    return mobilesWithFutureData[0];
+  if (candidates.length === 0) {
+    console.log('[Assigner] No unit can reach the location in time for the requested slot.');
+    return null;
   }
+
+  candidates.sort((a, b) => (a.addedDistance - b.addedDistance) || (a.queueLength - b.queueLength));
+  console.log(`[Assigner] Assigning to unit #${candidates[0].id} (+${candidates[0].addedDistance} km).`);
+
+  return candidates[0];
 };
 
 /**
  * Generate order summary for confirmation
  * @param {Object} orderData - Order data
  * @param {Object} mobileData - Selected mobile data
+ * @param {Array} pricingRules - Active pricing rules
+ * @param {Object} [zone] - Service zone of the order's location
  * @returns {Object} Order summary
  */
-const generateOrderSummary = (orderData, mobileData) => {
+const generateOrderSummary = (orderData, mobileData, pricingRules, zone) => {
   const duration = calculateDuration(orderData.dirt_level, orderData.service_type);
-  const price = calculatePrice(orderData.dirt_level, mobileData.distance, orderData.service_type);
+  const { price, breakdown } = calculatePriceBreakdown(pricingRules, {
+    vehicleType: orderData.vehicle_type,
+    serviceType: orderData.service_type,
+    dirtLevel: orderData.dirt_level,
+    distanceKm: mobileData.distance,
+    zone
+  });
   
   return {
     orderId: null, // Will be set when saved to database
@@ -163,20 +630,81 @@ const generateOrderSummary = (orderData, mobileData) => {
     dirtLevel: orderData.dirt_level,
     duration: duration,
     price: price,
+    subtotal: price,
+    discount: null,
+    priceBreakdown: breakdown,
+    zone: zone ? { id: zone.id, name: zone.name } : null,
     mobile: {
       id: mobileData.id,
       name: mobileData.name,
       distance: mobileData.distance,
       estimatedArrival: mobileData.estimatedArrival
     },
-    status: 'pending'
+    status: 'pending',
+    paymentStatus: 'unpaid'
+  };
+};
+
+/**
+ * Build an order summary (as used by the invoice) from a saved order
+ * @param {Object} order - Order row
+ * @param {Object} mobile - Assigned mobile unit row (optional)
+ * @returns {Object} Order summary
+ */
+const generateOrderSummaryFromRecord = (order, mobile) => {
+  const discountAmount = order.discount_amount || 0;
+  return {
+    orderId: order.id,
+    vehicleNumber: order.vehicle_number,
+    vehicleType: order.vehicle_type,
+    serviceType: order.service_type,
+    requestedDateTime: order.requested_datetime,
+    location: {
+      lat: order.location_lat,
+      lng: order.location_lng,
+      address: order.location_address
+    },
+    dirtLevel: order.dirt_level,
+    duration: order.duration_minutes,
+    price: order.price,
+    subtotal: order.price + discountAmount,
+    discount: discountAmount > 0 ? { code: order.promo_code, amount: discountAmount } : null,
+    priceBreakdown: order.price_breakdown ? JSON.parse(order.price_breakdown) : [],
+    mobile: {
+      id: mobile ? mobile.id : null,
+      name: mobile ? mobile.name : '',
+      distance: order.distance_km || 0,
+      estimatedArrival: mobile ? mobile.estimatedArrival : undefined
+    },
+    status: order.status,
+    paymentStatus: order.payment_status || 'unpaid'
   };
 };
 
 module.exports = {
   calculateDuration,
   calculatePrice,
+  calculatePriceBreakdown,
+  applyPriceModifier,
+  calculateOrderPrice,
+  calculateCancellationFee,
+  getDefaultPricingRules,
   calculateDistance,
+  calculateTravelMinutes,
+  buildMobileTimeline,
+  calculateEstimatedArrival,
+  toMinutes,
+  toDateKey,
+  getWorkingWindows,
+  isWithinShift,
+  isDuringMaintenance,
+  canPerformService,
+  canServeZone,
+  calculateConsumption,
+  hasSupplies,
+  canScheduleJob,
+  calculateAvailableFrom,
   findBestMobile,
-  generateOrderSummary
+  generateOrderSummary,
+  generateOrderSummaryFromRecord
 };
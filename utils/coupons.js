@@ -0,0 +1,72 @@
+/**
+ * Smart Car Wash Pro 2.0 - Promo Code Utilities
+ * Validates promo codes against an order and calculates the discount they grant
+ */
+
+/**
+ * Normalize a promo code as typed by the customer
+ * @param {string} code - Promo code
+ * @returns {string} Trimmed, upper-case code
+ */
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Check a coupon against an order and calculate its discount
+ * @param {Object} coupon - Coupon row from the coupons table
+ * @param {Object} params - Order parameters
+ * @param {number} params.subtotal - Order price before discount (NIS)
+ * @param {string} params.serviceType - Type of service, add-ons joined with '+'
+ * @param {number} params.totalRedemptions - Redemptions of this coupon so far
+ * @param {number|null} params.customerRedemptions - Redemptions by this customer, null if the customer is unknown
+ * @param {Date} [params.now] - Reference time
+ * @returns {Object} { valid, error, discount } - discount in NIS
+ */
+const evaluateCoupon = (coupon, { subtotal, serviceType, totalRedemptions, customerRedemptions, now = new Date() }) => {
+  const invalid = (error) => ({ valid: false, error, discount: 0 });
+
+  if (!coupon || !coupon.is_active) {
+    return invalid('Invalid promo code');
+  }
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    return invalid('Promo code is not active yet');
+  }
+  if (coupon.expires_at && new Date(coupon.expires_at) < now) {
+    return invalid('Promo code has expired');
+  }
+  if (coupon.max_uses !== null && coupon.max_uses !== undefined && totalRedemptions >= coupon.max_uses) {
+    return invalid('Promo code usage limit reached');
+  }
+  if (coupon.max_uses_per_customer !== null && coupon.max_uses_per_customer !== undefined) {
+    if (customerRedemptions === null) {
+      return invalid('Customer phone or email is required for this promo code');
+    }
+    if (customerRedemptions >= coupon.max_uses_per_customer) {
+      return invalid('You have already used this promo code');
+    }
+  }
+  if (coupon.min_order_value && subtotal < coupon.min_order_value) {
+    return invalid(`Promo code requires a minimum order of ₪${coupon.min_order_value}`);
+  }
+  if (coupon.service_types) {
+    // At least one of the selected services must be eligible
+    const allowedServices = coupon.service_types.split(',');
+    const selectedServices = (serviceType || '').split('+');
+    if (!selectedServices.some(service => allowedServices.includes(service))) {
+      return invalid('Promo code is not valid for the selected service');
+    }
+  }
+
+  let discount = coupon.discount_type === 'percentage'
+    ? subtotal * (coupon.discount_value / 100)
+    : coupon.discount_value;
+
+  // Never discount below zero
+  discount = Math.min(Math.round(discount), subtotal);
+
+  return { valid: true, error: null, discount };
+};
+
+module.exports = {
+  normalizePromoCode,
+  evaluateCoupon
+};
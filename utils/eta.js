@@ -0,0 +1,144 @@
+/**
+ * Smart Car Wash Pro 2.0 - Live ETA
+ * Computes when a unit will reach each order in its queue and pushes 'eta-update'
+ * to the customers whenever it changes: a job ahead of theirs moved on, or the
+ * unit reported a new position.
+ */
+
+const { db } = require('../database/init');
+const { calculateEstimatedArrival } = require('./calculations');
+const { onTransition } = require('./orderLifecycle');
+const { ADMIN_ROOM } = require('./realtime');
+
+// Orders the unit still has to drive to
+const ETA_STATUSES = ['pending', 'assigned', 'on_way'];
+
+// Last ETA pushed per order, so customers only hear about real changes
+const lastSentEtas = new Map();
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+// activity_logs timestamps are SQLite UTC ('YYYY-MM-DD HH:MM:SS')
+const parseLogTimestamp = (timestamp) => (timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`) : null);
+
+/**
+ * Load a unit and its open orders, with the time each wash in progress started
+ * @param {number} mobileId - Mobile unit ID
+ * @returns {Object|null} { mobile, orders }
+ */
+const loadQueue = async (mobileId) => {
+  const mobile = await get('SELECT * FROM mobiles WHERE id = ?', [mobileId]);
+  if (!mobile) {
+    return null;
+  }
+
+  const orders = await all(
+    `SELECT o.*,
+            (SELECT MAX(l.timestamp) FROM activity_logs l WHERE l.order_id = o.id AND l.status = 'washing') as washing_started_at
+     FROM orders o
+     WHERE o.mobile_id = ? AND o.status NOT IN ('completed', 'cancelled')
+     ORDER BY o.requested_datetime ASC`,
+    [mobileId]
+  );
+
+  return {
+    mobile,
+    orders: orders.map(order => ({ ...order, washing_started_at: parseLogTimestamp(order.washing_started_at) }))
+  };
+};
+
+/**
+ * Get the estimated arrival of the unit at an order
+ * @param {Object} order - Order row
+ * @returns {string|null} ISO date/time, or null once the unit is there (or the order has no unit)
+ */
+const getOrderEta = async (order) => {
+  if (!order.mobile_id || !ETA_STATUSES.includes(order.status)) {
+    return null;
+  }
+
+  const queue = await loadQueue(order.mobile_id);
+  if (!queue) {
+    return null;
+  }
+
+  return calculateEstimatedArrival(queue.mobile, queue.orders, order).toISOString();
+};
+
+/**
+ * Recompute the ETA of every order in a unit's queue and push the ones that changed
+ * Customers get 'eta-update' in their order-{id} room, admins get 'admin-eta-update'.
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} [io] - Socket.io server
+ * @returns {Array} The updates that were pushed
+ */
+const refreshMobileEtas = async (mobileId, io) => {
+  if (!mobileId) {
+    return [];
+  }
+
+  const queue = await loadQueue(mobileId);
+  if (!queue) {
+    return [];
+  }
+
+  const now = new Date();
+  const updates = [];
+
+  for (const order of queue.orders) {
+    if (!ETA_STATUSES.includes(order.status)) {
+      lastSentEtas.delete(order.id);
+      continue;
+    }
+
+    const eta = calculateEstimatedArrival(queue.mobile, queue.orders, order, now);
+    // Minute precision is all a customer needs
+    const minute = Math.round(eta.getTime() / 60000);
+    const last = lastSentEtas.get(order.id);
+    if (last && last.mobileId === mobileId && last.minute === minute) {
+      continue;
+    }
+    lastSentEtas.set(order.id, { mobileId, minute });
+
+    const update = {
+      orderId: order.id,
+      mobileId,
+      status: order.status,
+      estimatedArrival: eta.toISOString(),
+      timestamp: now
+    };
+    updates.push(update);
+
+    if (io) {
+      io.to(`order-${order.id}`).emit('eta-update', update);
+      io.to(ADMIN_ROOM).emit('admin-eta-update', update);
+    }
+  }
+
+  return updates;
+};
+
+// A job moving on changes the ETA of everything behind it in the unit's queue
+onTransition(async ({ order, to, io }) => {
+  if (!ETA_STATUSES.includes(to)) {
+    lastSentEtas.delete(order.id);
+  }
+  await refreshMobileEtas(order.mobile_id, io);
+});
+
+module.exports = {
+  getOrderEta,
+  refreshMobileEtas
+};
@@ -0,0 +1,218 @@
+/**
+ * Smart Car Wash Pro 2.0 - Fleet Billing
+ * Matches orders to corporate fleet accounts and produces monthly consolidated statements
+ */
+
+const path = require('path');
+const { db } = require('../database/init');
+const { generateStatementPDF } = require('./pdfGenerator');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+
+/**
+ * Normalize a plate number for matching (upper-case, letters and digits only)
+ * @param {string} plate - Plate number as typed
+ * @returns {string} Normalized plate
+ */
+const normalizePlate = (plate) => String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Find the active fleet a booking is billed to
+ * Plates are public, so the vehicle must be authorized under the fleet and the booking
+ * must come from a customer account an admin linked to that fleet
+ * @param {string} vehicleNumber - Plate number
+ * @param {number|null} customerId - Logged-in customer making the booking
+ * @returns {Object|undefined} Fleet row
+ */
+const findFleetForVehicle = (vehicleNumber, customerId) => new Promise((resolve, reject) => {
+  if (!customerId) {
+    return resolve(undefined);
+  }
+  db.get(
+    `SELECT f.*
+     FROM fleet_vehicles fv
+     JOIN fleets f ON fv.fleet_id = f.id
+     JOIN customers c ON c.fleet_id = f.id
+     WHERE fv.plate = ? AND c.id = ? AND f.is_active = 1`,
+    [normalizePlate(vehicleNumber), customerId],
+    (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    }
+  );
+});
+
+/**
+ * Get the calendar month before a date
+ * @param {Date} date - Reference date
+ * @returns {string} Period as YYYY-MM
+ */
+const previousPeriod = (date = new Date()) => {
+  const previous = new Date(date.getFullYear(), date.getMonth() - 1, 1);
+  return `${previous.getFullYear()}-${String(previous.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Check whether an order's service date falls in a month
+ * @param {string} datetime - Order's requested_datetime
+ * @param {string} period - YYYY-MM
+ * @returns {boolean}
+ */
+const isInPeriod = (datetime, period) => {
+  const [year, month] = period.split('-').map(Number);
+  const serviceDate = new Date(datetime);
+  return serviceDate >= new Date(year, month - 1, 1) && serviceDate < new Date(year, month, 1);
+};
+
+/**
+ * Generate (or regenerate) a fleet's statement for a month
+ * Lists every completed order in the period, grouped by vehicle with subtotals
+ * Orders already settled by card (paid or refunded) are left off so they are not billed twice
+ * @param {number} fleetId - Fleet ID
+ * @param {string} period - YYYY-MM
+ * @returns {Object|null} Statement row, or null if the fleet does not exist
+ */
+const generateFleetStatement = async (fleetId, period) => {
+  const fleet = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM fleets WHERE id = ?', [fleetId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!fleet) {
+    return null;
+  }
+
+  const orders = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM orders
+       WHERE fleet_id = ? AND status = 'completed' AND payment_status NOT IN ('paid', 'refunded')
+       ORDER BY vehicle_number, requested_datetime`,
+      [fleetId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+
+  const fleetVehicles = await new Promise((resolve, reject) => {
+    db.all('SELECT plate, label FROM fleet_vehicles WHERE fleet_id = ?', [fleetId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+  const labels = Object.fromEntries(fleetVehicles.map(vehicle => [vehicle.plate, vehicle.label]));
+
+  const periodOrders = orders.filter(order => isInPeriod(order.requested_datetime, period));
+
+  // Group by vehicle with subtotals
+  const vehiclesByPlate = {};
+  periodOrders.forEach(order => {
+    const plate = normalizePlate(order.vehicle_number);
+    if (!vehiclesByPlate[plate]) {
+      vehiclesByPlate[plate] = { plate: order.vehicle_number, label: labels[plate] || null, orders: [], subtotal: 0 };
+    }
+    vehiclesByPlate[plate].orders.push(order);
+    vehiclesByPlate[plate].subtotal += order.price;
+  });
+
+  const vehicles = Object.values(vehiclesByPlate);
+  const total = Math.round(vehicles.reduce((sum, vehicle) => sum + vehicle.subtotal, 0) * 100) / 100;
+
+  const pdfPath = await generateStatementPDF({
+    fleet,
+    period,
+    vehicles,
+    orderCount: periodOrders.length,
+    total
+  });
+
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO fleet_statements (fleet_id, period, order_count, total_amount, pdf_path)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (fleet_id, period) DO UPDATE SET
+         order_count = excluded.order_count,
+         total_amount = excluded.total_amount,
+         pdf_path = excluded.pdf_path,
+         generated_at = CURRENT_TIMESTAMP`,
+      [fleetId, period, periodOrders.length, total, path.basename(pdfPath)],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM fleet_statements WHERE fleet_id = ? AND period = ?', [fleetId, period], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+/**
+ * Generate statements for every active fleet with completed orders in the period
+ * @param {string} period - YYYY-MM
+ * @returns {Array} Statement rows
+ */
+const runMonthlyBilling = async (period) => {
+  // Stored datetimes may carry a UTC offset, so the SQL range is a day wider than the month
+  // and isInPeriod has the final word
+  const [year, month] = period.split('-').map(Number);
+  const rangeStart = new Date(Date.UTC(year, month - 1, 0)).toISOString().slice(0, 10);
+  const rangeEnd = new Date(Date.UTC(year, month, 2)).toISOString().slice(0, 10);
+
+  const orders = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT o.fleet_id, o.requested_datetime FROM orders o
+       JOIN fleets f ON o.fleet_id = f.id
+       WHERE f.is_active = 1 AND o.status = 'completed' AND o.payment_status NOT IN ('paid', 'refunded')
+         AND o.requested_datetime >= ? AND o.requested_datetime < ?`,
+      [rangeStart, rangeEnd],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+
+  const fleetIds = [...new Set(
+    orders.filter(order => isInPeriod(order.requested_datetime, period)).map(order => order.fleet_id)
+  )];
+
+  const statements = [];
+  for (const fleetId of fleetIds) {
+    statements.push(await generateFleetStatement(fleetId, period));
+  }
+
+  console.log(`[Billing] Generated ${statements.length} fleet statement(s) for ${period}.`);
+  return statements;
+};
+
+/**
+ * Schedule the next monthly billing run (1st of next month, 02:00)
+ */
+const scheduleMonthlyBilling = () => {
+  const now = new Date();
+  const runAt = new Date(now.getFullYear(), now.getMonth() + 1, 1, 2, 0, 0);
+  return scheduleJob('fleets.monthly_billing', {}, { key: 'fleets-monthly-billing', runAt });
+};
+
+// Bill last month, then schedule next month's run
+registerJobHandler('fleets.monthly_billing', async () => {
+  await runMonthlyBilling(previousPeriod());
+  await scheduleMonthlyBilling();
+});
+
+module.exports = {
+  normalizePlate,
+  findFleetForVehicle,
+  previousPeriod,
+  generateFleetStatement,
+  runMonthlyBilling,
+  scheduleMonthlyBilling
+};
@@ -0,0 +1,262 @@
+/**
+ * Smart Car Wash Pro 2.0 - Mobile Unit Inventory
+ * Consumables (water, shampoo, wax...) carried by each unit. Every service has a
+ * consumption profile; open orders reserve what they will use, completed orders
+ * deduct it from the unit's stock, and admins hear about levels that drop below
+ * the consumable's threshold. A unit without stock recorded for a consumable is
+ * not tracked for it: it is never blocked by it and nothing is deducted.
+ */
+
+const { db, withTransaction } = require('../database/init');
+const { calculateConsumption } = require('./calculations');
+const { onTransition } = require('./orderLifecycle');
+const { ADMIN_ROOM } = require('./realtime');
+
+// Round away floating point noise from the per-dirt-level quantities
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const getConsumptionProfiles = () => all('SELECT service, consumable_id, quantity, quantity_per_dirt_level FROM service_consumption');
+
+/**
+ * Get the consumables a service needs
+ * @param {string} serviceType - Service type
+ * @param {number} dirtLevel - Dirt level from 1-5
+ * @returns {Object} { consumableId: quantity }
+ */
+const getRequiredSupplies = async (serviceType, dirtLevel) => {
+  const profiles = await getConsumptionProfiles();
+  return calculateConsumption(profiles, serviceType, parseInt(dirtLevel, 10));
+};
+
+/**
+ * Attach each unit's available consumables (mobile.inventory)
+ * Available = stock minus what the unit's open orders will use.
+ * @param {Array} mobiles - Mobile units
+ * @param {Object} [options]
+ * @param {number} [options.excludeOrderId] - Order whose reservation is ignored (when moving it)
+ * @returns {Array} The same mobiles
+ */
+const attachInventory = async (mobiles, { excludeOrderId } = {}) => {
+  const stock = await all('SELECT mobile_id, consumable_id, quantity FROM mobile_inventory');
+  const profiles = await getConsumptionProfiles();
+  const openOrders = await all(
+    `SELECT id, mobile_id, service_type, dirt_level FROM orders
+     WHERE mobile_id IS NOT NULL AND status NOT IN ('completed', 'cancelled') AND id != ?`,
+    [excludeOrderId || 0]
+  );
+
+  mobiles.forEach(mobile => {
+    const inventory = {};
+    stock.filter(row => row.mobile_id === mobile.id).forEach(row => {
+      inventory[row.consumable_id] = row.quantity;
+    });
+
+    openOrders.filter(order => order.mobile_id === mobile.id).forEach(order => {
+      const supplies = calculateConsumption(profiles, order.service_type, order.dirt_level);
+      Object.entries(supplies).forEach(([consumableId, quantity]) => {
+        if (inventory[consumableId] !== undefined) {
+          inventory[consumableId] = roundQuantity(inventory[consumableId] - quantity);
+        }
+      });
+    });
+
+    mobile.inventory = inventory;
+  });
+
+  return mobiles;
+};
+
+/**
+ * Get the stock levels of one unit or of the whole fleet
+ * @param {number} [mobileId] - Mobile unit ID
+ * @returns {Array} Rows with consumable details and a low_stock flag
+ */
+const getInventoryLevels = async (mobileId) => {
+  const rows = await all(
+    `SELECT mi.mobile_id, m.name as mobile_name, c.id as consumable_id, c.code, c.name, c.unit,
+            c.low_stock_threshold, mi.quantity, mi.updated_at
+     FROM mobile_inventory mi
+     JOIN mobiles m ON mi.mobile_id = m.id
+     JOIN consumables c ON mi.consumable_id = c.id
+     ${mobileId ? 'WHERE mi.mobile_id = ?' : ''}
+     ORDER BY mi.mobile_id, c.id`,
+    mobileId ? [mobileId] : []
+  );
+
+  return rows.map(row => ({ ...row, low_stock: row.quantity < row.low_stock_threshold }));
+};
+
+/**
+ * Change a unit's stock of one consumable and record the movement
+ * Starts tracking the consumable on the unit when it has no stock row yet.
+ * @param {Object} tx - Transaction from withTransaction
+ * @param {Object} params - { mobileId, consumableId, change, reason, orderId?, notes? }
+ * @returns {Object} { previous, quantity, consumable } - Levels before and after
+ */
+const applyMovement = async (tx, { mobileId, consumableId, change, reason, orderId = null, notes = null }) => {
+  const current = await tx.get(
+    'SELECT quantity FROM mobile_inventory WHERE mobile_id = ? AND consumable_id = ?',
+    [mobileId, consumableId]
+  );
+  const previous = current ? current.quantity : 0;
+  const quantity = roundQuantity(previous + change);
+
+  await tx.run(
+    `INSERT INTO mobile_inventory (mobile_id, consumable_id, quantity, updated_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT (mobile_id, consumable_id) DO UPDATE SET quantity = excluded.quantity, updated_at = CURRENT_TIMESTAMP`,
+    [mobileId, consumableId, quantity]
+  );
+  await tx.run(
+    `INSERT INTO inventory_movements (mobile_id, consumable_id, change, reason, order_id, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [mobileId, consumableId, roundQuantity(change), reason, orderId, notes]
+  );
+
+  const consumable = await tx.get('SELECT * FROM consumables WHERE id = ?', [consumableId]);
+  return { previous, quantity, consumable };
+};
+
+/**
+ * Push an 'admin-low-stock' alert when a level has just dropped below its threshold
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} movement - Result of applyMovement
+ * @param {Object} [io] - Socket.io server
+ */
+const alertLowStock = (mobileId, { previous, quantity, consumable }, io) => {
+  const threshold = consumable.low_stock_threshold;
+  if (previous < threshold || quantity >= threshold) {
+    return;
+  }
+
+  console.log(`[Inventory] Unit #${mobileId} is low on ${consumable.name}: ${quantity} ${consumable.unit} left.`);
+  if (io) {
+    io.to(ADMIN_ROOM).emit('admin-low-stock', {
+      mobileId,
+      consumableId: consumable.id,
+      code: consumable.code,
+      name: consumable.name,
+      unit: consumable.unit,
+      quantity,
+      threshold,
+      timestamp: new Date()
+    });
+  }
+};
+
+/**
+ * Restock a unit, or set counted levels after a stocktake
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Array} items - [{ consumable_id, quantity }] - quantity added, or the counted level when setting
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'add' (restock) or 'set' (adjustment)
+ * @param {string} [options.notes] - Movement note
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Array} New levels
+ */
+const restockMobile = async (mobileId, items, { mode = 'add', notes = null, io } = {}) => {
+  const levels = await withTransaction(async (tx) => {
+    const applied = [];
+    for (const item of items) {
+      let change = item.quantity;
+      if (mode === 'set') {
+        const current = await tx.get(
+          'SELECT quantity FROM mobile_inventory WHERE mobile_id = ? AND consumable_id = ?',
+          [mobileId, item.consumable_id]
+        );
+        change = item.quantity - (current ? current.quantity : 0);
+      }
+
+      const movement = await applyMovement(tx, {
+        mobileId,
+        consumableId: item.consumable_id,
+        change,
+        reason: mode === 'set' ? 'adjustment' : 'restock',
+        notes
+      });
+      applied.push({ movement, consumableId: item.consumable_id });
+    }
+    return applied;
+  });
+
+  // A stocktake can reveal a unit is lower than we thought
+  levels.forEach(({ movement }) => alertLowStock(mobileId, movement, io));
+
+  return levels.map(({ movement, consumableId }) => ({
+    consumableId,
+    code: movement.consumable.code,
+    quantity: movement.quantity,
+    lowStock: movement.quantity < movement.consumable.low_stock_threshold
+  }));
+};
+
+/**
+ * Deduct what a completed order used from its unit's stock
+ * Only consumables the unit tracks are deducted; running twice for an order is a no-op.
+ * @param {Object} order - Order row
+ * @param {Object} [io] - Socket.io server
+ * @returns {Array} Movements applied
+ */
+const deductOrderConsumption = async (order, io) => {
+  if (!order.mobile_id) {
+    return [];
+  }
+
+  const supplies = await getRequiredSupplies(order.service_type, order.dirt_level);
+
+  // Checked and deducted in one transaction so two runs for the same order cannot both deduct
+  const movements = await withTransaction(async (tx) => {
+    const alreadyDeducted = await tx.get(
+      "SELECT 1 FROM inventory_movements WHERE order_id = ? AND reason = 'order' LIMIT 1",
+      [order.id]
+    );
+    if (alreadyDeducted) {
+      return [];
+    }
+
+    const tracked = await tx.all('SELECT consumable_id FROM mobile_inventory WHERE mobile_id = ?', [order.mobile_id]);
+    const trackedIds = tracked.map(row => row.consumable_id);
+
+    const applied = [];
+    for (const [consumableId, quantity] of Object.entries(supplies)) {
+      if (!trackedIds.includes(Number(consumableId)) || quantity <= 0) {
+        continue;
+      }
+      applied.push(await applyMovement(tx, {
+        mobileId: order.mobile_id,
+        consumableId: Number(consumableId),
+        change: -quantity,
+        reason: 'order',
+        orderId: order.id,
+        notes: `Used by order #${order.id}`
+      }));
+    }
+    return applied;
+  });
+
+  movements.forEach(movement => alertLowStock(order.mobile_id, movement, io));
+
+  return movements;
+};
+
+// The unit used its supplies once the wash is done
+onTransition(async ({ order, to, io }) => {
+  if (to === 'completed') {
+    await deductOrderConsumption(order, io);
+  }
+});
+
+module.exports = {
+  getRequiredSupplies,
+  attachInventory,
+  getInventoryLevels,
+  restockMobile,
+  deductOrderConsumption
+};
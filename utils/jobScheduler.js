@@ -0,0 +1,217 @@
+/**
+ * Smart Car Wash Pro 2.0 - Job Scheduler
+ * Persistent scheduled jobs stored in the database, run by a polling worker.
+ * Jobs survive restarts, are retried with backoff and can be cancelled by key.
+ */
+
+const config = require('../config');
+const { db } = require('../database/init');
+
+// Registered handlers: type -> { handler: async (payload, context) => void, concurrent }
+const handlers = {};
+
+// Jobs of concurrent types that are still running
+const runningConcurrent = new Set();
+
+let workerTimer = null;
+let workerBusy = false;
+let workerContext = {};
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Register the handler for a job type
+ * The handler receives the job payload and { io, job }; throwing marks the attempt as failed
+ * @param {string} type - Job type, e.g. 'order.auto_assign'
+ * @param {Function} handler - Async handler
+ * @param {Object} [options]
+ * @param {boolean} [options.concurrent] - Run next to the other jobs instead of one after another
+ *   (for slow network calls, so they do not hold up the rest of the queue)
+ */
+const registerJobHandler = (type, handler, { concurrent = false } = {}) => {
+  handlers[type] = { handler, concurrent };
+};
+
+/**
+ * Schedule a job
+ * @param {string} type - Job type
+ * @param {Object} payload - JSON-serializable payload
+ * @param {Object} options
+ * @param {Date} [options.runAt] - When to run (default: now)
+ * @param {string} [options.key] - Key used for cancellation; only one pending job per key is kept
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+ * @returns {number} Job ID (the existing one if a pending job with the same key exists)
+ */
+const scheduleJob = async (type, payload = {}, { runAt = new Date(), key = null, maxAttempts = config.jobs.maxAttempts } = {}) => {
+  if (key) {
+    const existing = await all("SELECT id FROM scheduled_jobs WHERE job_key = ? AND status = 'pending' LIMIT 1", [key]);
+    if (existing.length > 0) {
+      return existing[0].id;
+    }
+  }
+
+  const result = await run(
+    'INSERT INTO scheduled_jobs (type, payload, job_key, run_at, max_attempts) VALUES (?, ?, ?, ?, ?)',
+    [type, JSON.stringify(payload), key, runAt.toISOString(), maxAttempts]
+  );
+  return result.lastID;
+};
+
+/**
+ * Cancel the pending jobs with a given key
+ * @param {string} key - Job key
+ * @returns {number} Number of jobs cancelled
+ */
+const cancelJobs = async (key) => {
+  const result = await run(
+    "UPDATE scheduled_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE job_key = ? AND status = 'pending'",
+    [key]
+  );
+  return result.changes;
+};
+
+// Run a single claimed job and record the outcome
+const executeJob = async (job) => {
+  const registered = handlers[job.type];
+  const attempts = job.attempts + 1;
+
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    await registered.handler(JSON.parse(job.payload || '{}'), { ...workerContext, job });
+    await run(
+      "UPDATE scheduled_jobs SET status = 'completed', attempts = ?, last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [attempts, job.id]
+    );
+  } catch (error) {
+    console.error(`[Jobs] Job #${job.id} (${job.type}) failed on attempt ${attempts}:`, error.message);
+
+    if (attempts >= job.max_attempts) {
+      await run(
+        "UPDATE scheduled_jobs SET status = 'failed', attempts = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [attempts, error.message, job.id]
+      );
+    } else {
+      // Exponential backoff: retryDelaySeconds, 2x, 4x, ...
+      const delay = config.jobs.retryDelaySeconds * Math.pow(2, attempts - 1) * 1000;
+      await run(
+        "UPDATE scheduled_jobs SET status = 'pending', attempts = ?, last_error = ?, run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [attempts, error.message, new Date(Date.now() + delay).toISOString(), job.id]
+      );
+    }
+  }
+};
+
+/**
+ * Run all jobs that are due
+ * Jobs of concurrent types are started and left running (up to config.jobs.maxConcurrent at once);
+ * the others run one after another.
+ * @returns {number} Number of jobs run or started
+ */
+const runDueJobs = async () => {
+  if (workerBusy) return 0;
+  workerBusy = true;
+
+  try {
+    const dueJobs = await all(
+      "SELECT * FROM scheduled_jobs WHERE status = 'pending' AND run_at <= ? ORDER BY run_at ASC LIMIT ?",
+      [new Date().toISOString(), config.jobs.batchSize]
+    );
+
+    let executed = 0;
+    for (const job of dueJobs) {
+      const concurrent = Boolean(handlers[job.type]?.concurrent);
+      if (concurrent && runningConcurrent.size >= config.jobs.maxConcurrent) {
+        continue; // left pending for a later poll
+      }
+
+      // Claim the job; skip it if it was cancelled since we read it
+      const claim = await run(
+        "UPDATE scheduled_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+        [job.id]
+      );
+      if (claim.changes === 0) continue;
+
+      if (concurrent) {
+        const running = executeJob(job)
+          .catch(error => console.error(`[Jobs] Job #${job.id} (${job.type}) could not be recorded:`, error))
+          .finally(() => runningConcurrent.delete(running));
+        runningConcurrent.add(running);
+      } else {
+        await executeJob(job);
+      }
+      executed++;
+    }
+    return executed;
+  } finally {
+    workerBusy = false;
+  }
+};
+
+/**
+ * Start the polling worker
+ * Jobs left 'running' by a previous process are put back in the queue first.
+ * @param {Object} context - Passed to every handler (e.g. { io })
+ */
+const startWorker = async (context = {}) => {
+  workerContext = context;
+
+  const recovered = await run(
+    "UPDATE scheduled_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'"
+  );
+  if (recovered.changes > 0) {
+    console.log(`[Jobs] Recovered ${recovered.changes} interrupted job(s).`);
+  }
+
+  // Housekeeping runs daily
+  await scheduleJob('jobs.cleanup', {}, { key: 'jobs-cleanup' });
+
+  workerTimer = setInterval(() => {
+    runDueJobs().catch(error => console.error('[Jobs] Worker error:', error));
+  }, config.jobs.pollIntervalMs);
+
+  console.log('✅ Job worker started');
+};
+
+/**
+ * Stop the polling worker
+ */
+const stopWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+// Remove finished jobs older than the retention period, then reschedule for tomorrow
+registerJobHandler('jobs.cleanup', async () => {
+  const cutoff = new Date(Date.now() - config.jobs.retentionDays * 24 * 60 * 60000).toISOString();
+  const result = await run(
+    "DELETE FROM scheduled_jobs WHERE status IN ('completed', 'cancelled') AND updated_at < ?",
+    [cutoff.replace('T', ' ').slice(0, 19)]
+  );
+  console.log(`[Jobs] Cleanup removed ${result.changes} old job(s).`);
+  await scheduleJob('jobs.cleanup', {}, { key: 'jobs-cleanup', runAt: new Date(Date.now() + 24 * 60 * 60000) });
+});
+
+module.exports = {
+  registerJobHandler,
+  scheduleJob,
+  cancelJobs,
+  runDueJobs,
+  startWorker,
+  stopWorker
+};
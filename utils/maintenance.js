@@ -0,0 +1,423 @@
+/**
+ * Smart Car Wash Pro 2.0 - Mobile Unit Maintenance
+ * Maintenance records, planned maintenance windows and the out-of-service state.
+ * A unit out of service takes no new jobs and no job may be booked over a planned
+ * window. When a unit goes down, its queue (orders still pending or assigned) is
+ * moved to the best other units; orders nobody can take are left in place and
+ * reported to the admins.
+ */
+
+const { db, withTransaction } = require('../database/init');
+const { findBestMobile } = require('./calculations');
+const { registerJobHandler, scheduleJob, cancelJobs } = require('./jobScheduler');
+const { refreshMobileAvailability } = require('./queueManager');
+const { refreshMobileEtas } = require('./eta');
+const { MOBILES_WITH_ZONES_SQL } = require('./zones');
+const { attachShifts } = require('./shifts');
+const { getRequiredSupplies, attachInventory } = require('./inventory');
+const { emitWebhookEvent } = require('./webhooks');
+const { ADMIN_ROOM } = require('./realtime');
+
+// Orders that can still move to another unit
+const MOVABLE_STATUSES = ['pending', 'assigned'];
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const maintenanceJobKey = (recordId) => `maintenance-${recordId}`;
+
+/**
+ * Attach each unit's upcoming and current maintenance windows (mobile.maintenance)
+ * @param {Array} mobiles - Mobile units
+ * @returns {Array} The same mobiles
+ */
+const attachMaintenance = async (mobiles) => {
+  const windows = await all(
+    `SELECT mobile_id, scheduled_start, scheduled_end FROM maintenance_records
+     WHERE status IN ('scheduled', 'in_progress') AND scheduled_start IS NOT NULL AND scheduled_end > ?
+     ORDER BY scheduled_start`,
+    [new Date().toISOString()]
+  );
+
+  mobiles.forEach(mobile => {
+    mobile.maintenance = windows
+      .filter(window => window.mobile_id === mobile.id)
+      .map(window => ({ start: new Date(window.scheduled_start), end: new Date(window.scheduled_end) }));
+  });
+
+  return mobiles;
+};
+
+/**
+ * Load every unit with what assignment needs to know about it
+ * @param {number} [excludeOrderId] - Order whose supplies reservation is ignored
+ * @returns {Array} Mobile units
+ */
+const loadAssignableMobiles = async (excludeOrderId) => {
+  const mobiles = await all(MOBILES_WITH_ZONES_SQL);
+  await attachShifts(mobiles);
+  await attachInventory(mobiles, { excludeOrderId });
+  await attachMaintenance(mobiles);
+  return mobiles;
+};
+
+/**
+ * Find a new unit for each order of a queue, without moving anything yet
+ * Each placement counts the orders placed before it, so two orders do not
+ * claim the same slot or the same supplies.
+ * @param {number} mobileId - Unit the orders leave
+ * @param {Array} orders - Orders to place, in order
+ * @returns {Object} { placements: [{ order, targetMobile }], unassigned: [orderIds] }
+ */
+const planRedistribution = async (mobileId, orders) => {
+  const placements = [];
+  const unassigned = [];
+
+  for (const order of orders) {
+    const mobiles = await loadAssignableMobiles(order.id);
+    const otherActiveOrders = (await all(
+      "SELECT * FROM orders WHERE status NOT IN ('completed', 'cancelled') AND id != ?",
+      [order.id]
+    )).map(other => {
+      const placement = placements.find(placed => placed.order.id === other.id);
+      return placement ? { ...other, mobile_id: placement.targetMobile.id } : other;
+    });
+
+    // Supplies of the orders placed so far are reserved on their new unit
+    placements.forEach(({ targetMobile, supplies }) => {
+      const mobile = mobiles.find(candidate => candidate.id === targetMobile.id);
+      Object.entries(supplies).forEach(([consumableId, quantity]) => {
+        if (mobile && mobile.inventory[consumableId] !== undefined) {
+          mobile.inventory[consumableId] -= quantity;
+        }
+      });
+    });
+
+    const supplies = await getRequiredSupplies(order.service_type, order.dirt_level);
+    const targetMobile = findBestMobile(
+      mobiles.filter(mobile => mobile.id !== mobileId),
+      order.location_lat,
+      order.location_lng,
+      otherActiveOrders,
+      {
+        start: new Date(order.requested_datetime),
+        duration: order.duration_minutes,
+        serviceType: order.service_type,
+        zoneId: order.zone_id,
+        supplies
+      }
+    );
+
+    if (targetMobile) {
+      placements.push({ order, targetMobile, supplies });
+    } else {
+      unassigned.push(order.id);
+    }
+  }
+
+  return { placements, unassigned };
+};
+
+/**
+ * Move a unit's queue to other units
+ * Prices are kept: the customer should not pay for our breakdown.
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} [options]
+ * @param {Object} [options.window] - { start: Date, end: Date } - only move orders overlapping it
+ * @param {string} [options.reason] - Why the orders are moved (activity log note)
+ * @param {boolean} [options.allOrNothing] - Move nothing unless every order can be moved
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Object} { moved: [updates], unassigned: [orderIds] }
+ */
+const redistributeQueue = async (mobileId, { window, reason, allOrNothing = false, io } = {}) => {
+  const queue = await all(
+    `SELECT * FROM orders WHERE mobile_id = ? AND status IN (${MOVABLE_STATUSES.map(() => '?').join(', ')})
+     ORDER BY requested_datetime ASC`,
+    [mobileId, ...MOVABLE_STATUSES]
+  );
+
+  const orders = window
+    ? queue.filter(order => {
+      const start = new Date(order.requested_datetime);
+      const end = new Date(start.getTime() + order.duration_minutes * 60000);
+      return start < window.end && end > window.start;
+    })
+    : queue;
+
+  const { placements, unassigned } = await planRedistribution(mobileId, orders);
+  if (allOrNothing && unassigned.length > 0) {
+    return { moved: [], unassigned };
+  }
+
+  const previousMobile = await get('SELECT name FROM mobiles WHERE id = ?', [mobileId]);
+
+  // Orders may have started or moved while the plan was made: only move those still queued on the unit
+  const movable = await withTransaction(async (tx) => {
+    const stillQueued = [];
+    for (const placement of placements) {
+      const current = await tx.get('SELECT mobile_id, status FROM orders WHERE id = ?', [placement.order.id]);
+      if (current && current.mobile_id === mobileId && MOVABLE_STATUSES.includes(current.status)) {
+        stillQueued.push(placement);
+      } else {
+        unassigned.push(placement.order.id);
+      }
+    }
+    if (allOrNothing && unassigned.length > 0) {
+      return [];
+    }
+
+    for (const { order, targetMobile } of stillQueued) {
+      const logNote = `Moved from ${previousMobile ? previousMobile.name : `unit #${mobileId}`} to ${targetMobile.name}${reason ? `: ${reason}` : ''}`;
+      await tx.run(
+        'UPDATE orders SET mobile_id = ?, distance_km = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [targetMobile.id, targetMobile.distance, order.id]
+      );
+      // Log on both units so each one's history shows the move
+      for (const logMobileId of [mobileId, targetMobile.id]) {
+        await tx.run(
+          'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+          [order.id, order.status, logMobileId, logNote]
+        );
+      }
+    }
+    return stillQueued;
+  });
+
+  const moved = [];
+  for (const { order, targetMobile } of movable) {
+    await refreshMobileAvailability(targetMobile.id);
+
+    const update = {
+      orderId: order.id,
+      mobileId: targetMobile.id,
+      mobileName: targetMobile.name,
+      previousMobileId: mobileId,
+      distance: targetMobile.distance,
+      price: order.price,
+      timestamp: new Date()
+    };
+    moved.push(update);
+
+    if (io) {
+      io.to(`order-${order.id}`).emit('order-reassigned', update);
+      io.to(ADMIN_ROOM).emit('admin-order-reassigned', update);
+    }
+    await refreshMobileEtas(targetMobile.id, io);
+    await emitWebhookEvent('order.reassigned', update);
+  }
+
+  await refreshMobileAvailability(mobileId);
+  await refreshMobileEtas(mobileId, io);
+
+  if (unassigned.length > 0) {
+    console.log(`[Maintenance] Order(s) ${unassigned.map(id => `#${id}`).join(', ')} of unit #${mobileId} could not be moved.`);
+    if (io) {
+      io.to(ADMIN_ROOM).emit('admin-redistribution-failed', { mobileId, orderIds: unassigned, reason: reason || null, timestamp: new Date() });
+    }
+  }
+
+  return { moved, unassigned };
+};
+
+// Tell admins and webhook subscribers that a unit went down or came back
+const announceServiceStatus = async (mobileId, io) => {
+  const mobile = await get('SELECT * FROM mobiles WHERE id = ?', [mobileId]);
+  if (io) {
+    io.to(ADMIN_ROOM).emit('admin-mobile-service-status', {
+      mobileId,
+      outOfService: Boolean(mobile.out_of_service),
+      reason: mobile.out_of_service_reason,
+      since: mobile.out_of_service_since,
+      timestamp: new Date()
+    });
+  }
+  await emitWebhookEvent('mobile.updated', { mobileId, mobile });
+  return mobile;
+};
+
+/**
+ * Take a unit out of service and move its queue to other units
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Shown to admins
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Object} { mobile, redistribution }
+ */
+const setOutOfService = async (mobileId, { reason = null, io } = {}) => {
+  await run(
+    `UPDATE mobiles SET out_of_service = 1, out_of_service_reason = ?,
+            out_of_service_since = COALESCE(out_of_service_since, ?)
+     WHERE id = ?`,
+    [reason, new Date().toISOString(), mobileId]
+  );
+  await refreshMobileAvailability(mobileId);
+
+  const mobile = await announceServiceStatus(mobileId, io);
+  const redistribution = await redistributeQueue(mobileId, { reason: reason || 'Unit out of service', io });
+
+  return { mobile, redistribution };
+};
+
+/**
+ * Put a unit back into service
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} [options]
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Object} Mobile unit
+ */
+const returnToService = async (mobileId, { io } = {}) => {
+  await run(
+    'UPDATE mobiles SET out_of_service = 0, out_of_service_reason = NULL, out_of_service_since = NULL WHERE id = ?',
+    [mobileId]
+  );
+  await refreshMobileAvailability(mobileId);
+  return announceServiceStatus(mobileId, io);
+};
+
+/**
+ * Schedule the start of a planned maintenance window and clear the unit's bookings in it
+ * @param {Object} record - Maintenance record (status 'scheduled')
+ * @param {Object} [io] - Socket.io server
+ * @returns {Object} Redistribution result
+ */
+const planMaintenance = async (record, io) => {
+  await cancelJobs(maintenanceJobKey(record.id));
+  await scheduleJob('maintenance.start', { recordId: record.id }, {
+    runAt: new Date(record.scheduled_start),
+    key: maintenanceJobKey(record.id)
+  });
+
+  return redistributeQueue(record.mobile_id, {
+    window: { start: new Date(record.scheduled_start), end: new Date(record.scheduled_end) },
+    reason: `Planned maintenance: ${record.description}`,
+    io
+  });
+};
+
+/**
+ * Start a maintenance record: the unit goes out of service until it is completed
+ * @param {number} recordId - Maintenance record ID
+ * @param {Object} [io] - Socket.io server
+ * @returns {Object|null} { record, mobile, redistribution }, or null if the record is not scheduled
+ */
+const startMaintenance = async (recordId, io) => {
+  const record = await get('SELECT * FROM maintenance_records WHERE id = ?', [recordId]);
+  if (!record || record.status !== 'scheduled') {
+    return null;
+  }
+
+  // Completing the record only brings the unit back if the record is what took it down:
+  // a unit an admin had already taken out of service stays out
+  const mobileBefore = await get('SELECT out_of_service FROM mobiles WHERE id = ?', [record.mobile_id]);
+  const downForMaintenance = await get(
+    "SELECT 1 FROM maintenance_records WHERE mobile_id = ? AND status = 'in_progress' AND took_unit_out_of_service = 1 LIMIT 1",
+    [record.mobile_id]
+  );
+  const takesUnitDown = !mobileBefore.out_of_service || Boolean(downForMaintenance);
+
+  await cancelJobs(maintenanceJobKey(record.id));
+  await run(
+    `UPDATE maintenance_records SET status = 'in_progress', started_at = ?, took_unit_out_of_service = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [new Date().toISOString(), takesUnitDown ? 1 : 0, record.id]
+  );
+
+  const { mobile, redistribution } = await setOutOfService(record.mobile_id, {
+    reason: `Maintenance: ${record.description}`,
+    io
+  });
+
+  return {
+    record: await get('SELECT * FROM maintenance_records WHERE id = ?', [record.id]),
+    mobile,
+    redistribution
+  };
+};
+
+/**
+ * Complete a maintenance record
+ * The unit returns to service only if this record took it out of service when it started
+ * and no other maintenance is still in progress.
+ * @param {number} recordId - Maintenance record ID
+ * @param {Object} [options]
+ * @param {number} [options.cost] - Final cost
+ * @param {string} [options.notes] - Notes
+ * @param {Object} [options.io] - Socket.io server
+ * @returns {Object} { record, mobile }
+ */
+const completeMaintenance = async (recordId, { cost, notes, io } = {}) => {
+  const record = await get('SELECT * FROM maintenance_records WHERE id = ?', [recordId]);
+
+  await cancelJobs(maintenanceJobKey(record.id));
+  await run(
+    `UPDATE maintenance_records
+     SET status = 'completed', started_at = COALESCE(started_at, ?), completed_at = ?,
+         cost = COALESCE(?, cost), notes = COALESCE(?, notes), updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [new Date().toISOString(), new Date().toISOString(), cost === undefined ? null : cost, notes || null, record.id]
+  );
+
+  const stillInProgress = await get(
+    "SELECT 1 FROM maintenance_records WHERE mobile_id = ? AND status = 'in_progress' LIMIT 1",
+    [record.mobile_id]
+  );
+
+  const returnsUnit = record.status === 'in_progress' && record.took_unit_out_of_service && !stillInProgress;
+  const mobile = returnsUnit
+    ? await returnToService(record.mobile_id, { io })
+    : await get('SELECT * FROM mobiles WHERE id = ?', [record.mobile_id]);
+
+  return {
+    record: await get('SELECT * FROM maintenance_records WHERE id = ?', [record.id]),
+    mobile
+  };
+};
+
+/**
+ * Cancel a planned maintenance window
+ * @param {number} recordId - Maintenance record ID
+ */
+const cancelMaintenance = async (recordId) => {
+  await cancelJobs(maintenanceJobKey(recordId));
+  await run(
+    "UPDATE maintenance_records SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [recordId]
+  );
+};
+
+// A planned window has come: take the unit down
+registerJobHandler('maintenance.start', async ({ recordId }, { io }) => {
+  const started = await startMaintenance(recordId, io);
+  if (started) {
+    console.log(`[Maintenance] Unit #${started.record.mobile_id} is out of service for maintenance #${recordId}.`);
+  }
+});
+
+module.exports = {
+  attachMaintenance,
+  redistributeQueue,
+  setOutOfService,
+  returnToService,
+  planMaintenance,
+  startMaintenance,
+  completeMaintenance,
+  cancelMaintenance
+};
@@ -0,0 +1,173 @@
+/**
+ * Smart Car Wash Pro 2.0 - Mobile Unit Tracking
+ * Records GPS positions streamed by the crews, keeps their history for replay
+ * and pushes each position to the customer whose order the unit is working on.
+ */
+
+const config = require('../config');
+const { db } = require('../database/init');
+const { refreshMobileEtas } = require('./eta');
+const { ADMIN_ROOM } = require('./realtime');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+
+// Order statuses in which the customer sees the unit on the map
+const TRACKED_STATUSES = ['on_way', 'washing'];
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const toNumberOrNull = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+/**
+ * Validate a position sent by a crew
+ * @param {Object} position - { lat, lng, heading?, speed?, accuracy? }
+ * @returns {string|null} Error message, or null when the position is valid
+ */
+const validatePosition = (position) => {
+  if (!position || typeof position !== 'object') {
+    return 'Position is required';
+  }
+  const lat = Number(position.lat);
+  const lng = Number(position.lng);
+  if (position.lat === undefined || position.lat === null || Number.isNaN(lat) || lat < -90 || lat > 90) {
+    return 'Invalid latitude';
+  }
+  if (position.lng === undefined || position.lng === null || Number.isNaN(lng) || lng < -180 || lng > 180) {
+    return 'Invalid longitude';
+  }
+  for (const field of ['heading', 'speed', 'accuracy']) {
+    const value = toNumberOrNull(position[field]);
+    if (value !== null && (Number.isNaN(value) || value < 0 || (field === 'heading' && value > 360))) {
+      return `Invalid ${field}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Store a unit's position, keep it in the location history, broadcast it and refresh the unit's ETAs
+ * The customer of the order the unit is on its way to / washing gets it in the
+ * order-{id} room ('mobile-location'); admins get every unit ('admin-mobile-location').
+ * @param {number} mobileId - Mobile unit ID
+ * @param {Object} position - { lat, lng, heading?, speed?, accuracy? } (call validatePosition first)
+ * @param {Object} [io] - Socket.io server
+ * @returns {Object} The broadcast update
+ */
+const recordMobileLocation = async (mobileId, position, io) => {
+  const mobile = await get(
+    `SELECT m.id, m.current_order_id, o.status as current_order_status
+     FROM mobiles m
+     LEFT JOIN orders o ON m.current_order_id = o.id
+     WHERE m.id = ?`,
+    [mobileId]
+  );
+  if (!mobile) {
+    return null;
+  }
+
+  const orderId = mobile.current_order_id && TRACKED_STATUSES.includes(mobile.current_order_status)
+    ? mobile.current_order_id
+    : null;
+  const recordedAt = new Date().toISOString();
+
+  const update = {
+    mobileId: mobile.id,
+    orderId,
+    lat: Number(position.lat),
+    lng: Number(position.lng),
+    heading: toNumberOrNull(position.heading),
+    speed: toNumberOrNull(position.speed),
+    accuracy: toNumberOrNull(position.accuracy),
+    recordedAt
+  };
+
+  await run(
+    'UPDATE mobiles SET location_lat = ?, location_lng = ?, location_updated_at = ? WHERE id = ?',
+    [update.lat, update.lng, recordedAt, mobile.id]
+  );
+  await run(
+    `INSERT INTO mobile_locations (mobile_id, order_id, lat, lng, heading, speed, accuracy, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [mobile.id, orderId, update.lat, update.lng, update.heading, update.speed, update.accuracy, recordedAt]
+  );
+
+  if (io) {
+    if (orderId) {
+      io.to(`order-${orderId}`).emit('mobile-location', update);
+    }
+    io.to(ADMIN_ROOM).emit('admin-mobile-location', update);
+  }
+
+  // A position update must not fail because of the ETA
+  try {
+    await refreshMobileEtas(mobile.id, io);
+  } catch (error) {
+    console.error(`[Tracking] Failed to refresh ETAs of mobile unit #${mobile.id}:`, error);
+  }
+
+  return update;
+};
+
+/**
+ * Get the recorded path of a unit, oldest point first
+ * @param {number} mobileId - Mobile unit ID
+ * @param {string} from - ISO date/time (inclusive)
+ * @param {string} to - ISO date/time (inclusive)
+ * @returns {Object} { points, truncated } - truncated when there were more than config.tracking.maxTrailPoints
+ */
+const getMobileTrail = async (mobileId, from, to) => {
+  const limit = config.tracking.maxTrailPoints;
+  const rows = await all(
+    `SELECT order_id, lat, lng, heading, speed, accuracy, recorded_at
+     FROM mobile_locations
+     WHERE mobile_id = ? AND recorded_at >= ? AND recorded_at <= ?
+     ORDER BY recorded_at ASC, id ASC
+     LIMIT ?`,
+    [mobileId, from, to, limit + 1]
+  );
+
+  return {
+    points: rows.slice(0, limit),
+    truncated: rows.length > limit
+  };
+};
+
+/**
+ * Schedule the next purge of old positions (runs right away when none is scheduled yet)
+ * @param {Date} [runAt] - When to run
+ */
+const scheduleLocationCleanup = (runAt = new Date()) =>
+  scheduleJob('tracking.cleanup', {}, { key: 'tracking-cleanup', runAt });
+
+// Remove positions older than the retention period, then reschedule for tomorrow
+registerJobHandler('tracking.cleanup', async () => {
+  const cutoff = new Date(Date.now() - config.tracking.retentionDays * 24 * 60 * 60000).toISOString();
+  const result = await run('DELETE FROM mobile_locations WHERE recorded_at < ?', [cutoff]);
+  console.log(`[Tracking] Cleanup removed ${result.changes} old position(s).`);
+  await scheduleLocationCleanup(new Date(Date.now() + 24 * 60 * 60000));
+});
+
+module.exports = {
+  validatePosition,
+  recordMobileLocation,
+  getMobileTrail,
+  scheduleLocationCleanup
+};
@@ -0,0 +1,113 @@
+/**
+ * Smart Car Wash Pro 2.0 - Notification Channels
+ * Delivery adapters for customer notifications. Each channel picks its transport from config:
+ *   email: 'smtp' (nodemailer), 'file' or 'console'
+ *   sms:   'twilio' (REST API), 'file' or 'console'
+ * A transport implements send(message) -> { providerMessageId } and throws when delivery fails.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+
+let smtpTransporter = null;
+
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const { host, port, secure, user, pass } = config.notifications.email.smtp;
+    smtpTransporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return smtpTransporter;
+};
+
+// Write the message as JSON into the outbox directory (local development)
+const writeToOutbox = async (channel, message) => {
+  const outboxDir = path.resolve(config.notifications.outboxPath);
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const id = `${channel}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.writeFile(path.join(outboxDir, `${id}.json`), JSON.stringify(message, null, 2));
+  return { providerMessageId: id };
+};
+
+const logToConsole = (channel, message) => {
+  console.log(`[Notify:${channel}] To ${message.to}: ${message.subject ? `${message.subject} - ` : ''}${message.text}`);
+  return { providerMessageId: null };
+};
+
+// Email transports: message is { to, subject, text, attachments: [{ filename, path }] }
+const emailTransports = {
+  async smtp(message) {
+    const info = await getSmtpTransporter().sendMail({
+      from: config.notifications.email.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      attachments: message.attachments
+    });
+    return { providerMessageId: info.messageId };
+  },
+
+  file: (message) => writeToOutbox('email', message),
+
+  console: (message) => logToConsole('email', message)
+};
+
+// SMS transports: message is { to, text }
+const smsTransports = {
+  async twilio(message) {
+    const { accountSid, authToken, from } = config.notifications.sms.twilio;
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ From: from, To: message.to, Body: message.text })
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded ${response.status}: ${result.message || 'unknown error'}`);
+    }
+    return { providerMessageId: result.sid };
+  },
+
+  file: (message) => writeToOutbox('sms', message),
+
+  console: (message) => logToConsole('sms', message)
+};
+
+const channels = {
+  email: { transports: emailTransports, config: config.notifications.email },
+  sms: { transports: smsTransports, config: config.notifications.sms }
+};
+
+/**
+ * Send a message through a channel using its configured transport
+ * @param {string} channel - 'email' or 'sms'
+ * @param {Object} message - { to, subject, text, attachments }
+ * @returns {Object} { providerMessageId }
+ */
+const sendThroughChannel = async (channel, message) => {
+  const { transports, config: channelConfig } = channels[channel] || {};
+  const transport = transports && transports[channelConfig.transport];
+
+  if (!transport) {
+    throw new Error(`No ${channelConfig ? channelConfig.transport : ''} transport for notification channel "${channel}"`);
+  }
+
+  return transport(message);
+};
+
+module.exports = {
+  CHANNELS: Object.keys(channels),
+  sendThroughChannel
+};
@@ -0,0 +1,112 @@
+/**
+ * Smart Car Wash Pro 2.0 - Notification Templates
+ * Customer messages per order event, in Hebrew and English
+ */
+
+const config = require('../config');
+
+const LANGUAGES = ['he', 'en'];
+
+const LOCALES = { he: 'he-IL', en: 'en-GB' };
+
+// Events: 'created' plus every order status a customer hears about
+const templates = {
+  created: {
+    he: {
+      subject: (d) => `הזמנה #${d.orderId} התקבלה`,
+      text: (d) => `שלום ${d.customerName}, ההזמנה שלך לשטיפת רכב ${d.vehicleNumber} התקבלה ל-${d.dateTime}. סה"כ לתשלום: ₪${d.price}. מעקב וניהול: ${d.trackingUrl}`
+    },
+    en: {
+      subject: (d) => `Order #${d.orderId} received`,
+      text: (d) => `Hi ${d.customerName}, your wash for vehicle ${d.vehicleNumber} is booked for ${d.dateTime}. Total: ₪${d.price}. Track and manage: ${d.trackingUrl}`
+    }
+  },
+  assigned: {
+    he: {
+      subject: (d) => `הזמנה #${d.orderId} אושרה`,
+      text: (d) => `ההזמנה שלך אושרה ושובצה ליחידה ${d.mobileName}. נתראה ב-${d.dateTime}. ${d.trackingUrl}`
+    },
+    en: {
+      subject: (d) => `Order #${d.orderId} confirmed`,
+      text: (d) => `Your order is confirmed and assigned to ${d.mobileName}. See you at ${d.dateTime}. ${d.trackingUrl}`
+    }
+  },
+  on_way: {
+    he: {
+      subject: (d) => `היחידה בדרך אליך`,
+      text: (d) => `${d.mobileName} בדרך לשטוף את הרכב ${d.vehicleNumber}. מעקב בזמן אמת: ${d.trackingUrl}`
+    },
+    en: {
+      subject: (d) => `We're on our way`,
+      text: (d) => `${d.mobileName} is on its way to wash ${d.vehicleNumber}. Live tracking: ${d.trackingUrl}`
+    }
+  },
+  washing: {
+    he: {
+      subject: (d) => `השטיפה התחילה`,
+      text: (d) => `התחלנו לשטוף את הרכב ${d.vehicleNumber}. נעדכן כשנסיים.`
+    },
+    en: {
+      subject: (d) => `Washing started`,
+      text: (d) => `We've started washing ${d.vehicleNumber}. We'll let you know when it's done.`
+    }
+  },
+  completed: {
+    he: {
+      subject: (d) => `הרכב שלך נקי!`,
+      text: (d) => `השטיפה של ${d.vehicleNumber} הסתיימה. תודה שבחרת בנו! נשמח לדירוג שלך: ${d.trackingUrl}`
+    },
+    en: {
+      subject: (d) => `Your car is clean!`,
+      text: (d) => `The wash of ${d.vehicleNumber} is complete. Thank you for choosing us! We'd love your rating: ${d.trackingUrl}`
+    }
+  },
+  cancelled: {
+    he: {
+      subject: (d) => `הזמנה #${d.orderId} בוטלה`,
+      text: (d) => `ההזמנה שלך ל-${d.dateTime} בוטלה.${d.cancellationFee > 0 ? ` דמי ביטול: ₪${d.cancellationFee}.` : ''}`
+    },
+    en: {
+      subject: (d) => `Order #${d.orderId} cancelled`,
+      text: (d) => `Your order for ${d.dateTime} has been cancelled.${d.cancellationFee > 0 ? ` Cancellation fee: ₪${d.cancellationFee}.` : ''}`
+    }
+  }
+};
+
+/**
+ * Check whether customers are notified about an event
+ * @param {string} event - 'created' or an order status
+ * @returns {boolean}
+ */
+const hasTemplate = (event) => Boolean(templates[event]);
+
+/**
+ * Render the message for an order event
+ * @param {string} event - 'created' or an order status
+ * @param {string} language - 'he' or 'en' (falls back to the default language)
+ * @param {Object} order - Order row, optionally with mobile_name
+ * @returns {Object} { language, subject, text }
+ */
+const renderTemplate = (event, language, order) => {
+  const lang = LANGUAGES.includes(language) ? language : config.notifications.defaultLanguage;
+  const template = templates[event][lang];
+
+  const data = {
+    orderId: order.id,
+    customerName: order.customer_name || (lang === 'he' ? 'לקוח יקר' : 'there'),
+    vehicleNumber: order.vehicle_number,
+    dateTime: new Date(order.requested_datetime).toLocaleString(LOCALES[lang], { dateStyle: 'medium', timeStyle: 'short' }),
+    price: order.price,
+    mobileName: order.mobile_name || (lang === 'he' ? 'הצוות שלנו' : 'our crew'),
+    cancellationFee: order.cancellation_fee || 0,
+    trackingUrl: `${config.frontendUrl}/track/${order.id}${order.access_token ? `#token=${order.access_token}` : ''}`
+  };
+
+  return { language: lang, subject: template.subject(data), text: template.text(data) };
+};
+
+module.exports = {
+  LANGUAGES,
+  hasTemplate,
+  renderTemplate
+};
@@ -0,0 +1,153 @@
+/**
+ * Smart Car Wash Pro 2.0 - Customer Notifications
+ * Sends email/SMS updates on order creation and every status change.
+ * Each message is logged in the notifications table and delivered by the job worker,
+ * so failed deliveries are retried with backoff and survive restarts.
+ */
+
+const path = require('path');
+const config = require('../config');
+const { db } = require('../database/init');
+const { CHANNELS, sendThroughChannel } = require('./notificationChannels');
+const { hasTemplate, renderTemplate } = require('./notificationTemplates');
+const { onTransition } = require('./orderLifecycle');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+// Where each channel finds the customer's address on the order
+const RECIPIENT_FIELDS = {
+  email: 'customer_email',
+  sms: 'customer_phone'
+};
+
+const scheduleDelivery = (notificationId) => scheduleJob('notification.send', { notificationId }, {
+  key: `notification-${notificationId}`,
+  maxAttempts: config.notifications.maxAttempts
+});
+
+/**
+ * Queue notifications for an order event on every channel the customer can be reached on
+ * @param {number} orderId - Order ID
+ * @param {string} event - 'created' or an order status
+ * @param {Object} options
+ * @param {string} [options.attachmentPath] - File attached to the email (e.g. the invoice PDF)
+ * @returns {Array} IDs of the queued notifications
+ */
+const notifyOrder = async (orderId, event, { attachmentPath = null } = {}) => {
+  if (!hasTemplate(event)) {
+    return [];
+  }
+
+  const order = await get(
+    `SELECT o.*, m.name as mobile_name
+     FROM orders o
+     LEFT JOIN mobiles m ON o.mobile_id = m.id
+     WHERE o.id = ?`,
+    [orderId]
+  );
+  if (!order) {
+    return [];
+  }
+
+  const message = renderTemplate(event, order.language, order);
+  const notificationIds = [];
+
+  for (const channel of CHANNELS) {
+    const recipient = order[RECIPIENT_FIELDS[channel]];
+    if (!recipient) continue;
+
+    const result = await run(
+      `INSERT INTO notifications (order_id, event, channel, recipient, language, subject, body, attachment_path)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [order.id, event, channel, recipient, message.language, channel === 'email' ? message.subject : null, message.text, channel === 'email' ? attachmentPath : null]
+    );
+
+    await scheduleDelivery(result.lastID);
+    notificationIds.push(result.lastID);
+  }
+
+  return notificationIds;
+};
+
+/**
+ * Deliver a queued notification and record the outcome
+ * @param {number} notificationId - Notification ID
+ * @param {boolean} finalAttempt - Mark the notification failed if this attempt fails
+ * @throws When delivery fails, so the job worker retries it
+ */
+const deliverNotification = async (notificationId, finalAttempt = false) => {
+  const notification = await get('SELECT * FROM notifications WHERE id = ?', [notificationId]);
+  if (!notification || notification.status === 'sent') {
+    return;
+  }
+
+  try {
+    const { providerMessageId } = await sendThroughChannel(notification.channel, {
+      to: notification.recipient,
+      subject: notification.subject,
+      text: notification.body,
+      attachments: notification.attachment_path
+        ? [{ filename: path.basename(notification.attachment_path), path: notification.attachment_path }]
+        : []
+    });
+
+    await run(
+      `UPDATE notifications
+       SET status = 'sent', attempts = attempts + 1, last_error = NULL, provider_message_id = ?, sent_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [providerMessageId || null, notification.id]
+    );
+  } catch (error) {
+    await run(
+      'UPDATE notifications SET status = ?, attempts = attempts + 1, last_error = ? WHERE id = ?',
+      [finalAttempt ? 'failed' : 'pending', error.message, notification.id]
+    );
+    throw error;
+  }
+};
+
+/**
+ * Queue a failed notification for another round of delivery attempts
+ * @param {number} notificationId - Notification ID
+ * @returns {boolean} False if there is no failed notification with this ID
+ */
+const resendNotification = async (notificationId) => {
+  const result = await run(
+    "UPDATE notifications SET status = 'pending', last_error = NULL WHERE id = ? AND status = 'failed'",
+    [notificationId]
+  );
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await scheduleDelivery(notificationId);
+  return true;
+};
+
+// Tell the customer about every status change
+onTransition(async ({ order, to }) => {
+  await notifyOrder(order.id, to);
+});
+
+registerJobHandler('notification.send', async ({ notificationId }, { job }) => {
+  await deliverNotification(notificationId, job.attempts + 1 >= job.max_attempts);
+});
+
+module.exports = {
+  notifyOrder,
+  deliverNotification,
+  resendNotification
+};
@@ -0,0 +1,251 @@
+/**
+ * Smart Car Wash Pro 2.0 - Order Lifecycle
+ * Single source of truth for order status transitions: which moves are allowed,
+ * what they require, and what happens when they occur
+ */
+
+const { db, withTransaction } = require('../database/init');
+const { refreshMobileAvailability } = require('./queueManager');
+const { registerJobHandler, cancelJobs } = require('./jobScheduler');
+const { ADMIN_ROOM } = require('./realtime');
+
+const ORDER_STATUSES = ['pending', 'assigned', 'on_way', 'washing', 'completed', 'cancelled'];
+
+// Allowed transitions: from -> [to]
+const TRANSITIONS = {
+  pending: ['assigned', 'on_way', 'cancelled'],
+  assigned: ['pending', 'on_way', 'cancelled'],
+  on_way: ['assigned', 'washing', 'cancelled'],
+  washing: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Transitions a crew may make on its own orders
+const CREW_TRANSITIONS = {
+  assigned: ['on_way'],
+  on_way: ['washing'],
+  washing: ['completed']
+};
+
+// Statuses that need a mobile unit attached to the order
+const REQUIRES_MOBILE = ['assigned', 'on_way', 'washing', 'completed'];
+
+// Statuses in which the unit is actively working the order
+const IN_PROGRESS = ['on_way', 'washing'];
+
+// Listeners notified after every committed transition
+const transitionListeners = [];
+
+/**
+ * Error raised when a transition is not allowed
+ * statusCode is the HTTP status the routes should answer with
+ */
+class OrderTransitionError extends Error {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether an order may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Register a listener called after each committed transition
+ * Listener receives { order, from, to, actor, notes, io }; errors are logged, not thrown
+ * @param {Function} listener
+ */
+const onTransition = (listener) => {
+  transitionListeners.push(listener);
+};
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+/**
+ * Validate and write one transition inside the caller's transaction (tx)
+ * Returns the transitions performed (this one plus any queue advance it caused)
+ */
+const applyTransition = async (tx, order, to, { notes, actor }) => {
+  const from = order.status;
+
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new OrderTransitionError('Invalid status', 400, { from, to });
+  }
+  if (!canTransition(from, to)) {
+    throw new OrderTransitionError(`Cannot change order status from ${from} to ${to}`, 409, {
+      from,
+      to,
+      allowed: TRANSITIONS[from] || []
+    });
+  }
+  if (REQUIRES_MOBILE.includes(to) && !order.mobile_id) {
+    throw new OrderTransitionError(`Order must have a mobile unit before it can be ${to}`, 409, { from, to });
+  }
+
+  // Only update if nobody changed the status in the meantime
+  const result = await tx.run(
+    'UPDATE orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?',
+    [to, order.id, from]
+  );
+  if (result.changes === 0) {
+    throw new OrderTransitionError('Order status was changed by someone else, please retry', 409, { from, to });
+  }
+
+  await tx.run(
+    'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+    [order.id, to, order.mobile_id, notes || `Status updated to ${to} by ${actor}`]
+  );
+
+  const performed = [{ order: { ...order, status: to }, from, to, actor, notes }];
+
+  if (!order.mobile_id) {
+    return performed;
+  }
+
+  if (IN_PROGRESS.includes(to)) {
+    await tx.run('UPDATE mobiles SET is_available = 0, current_order_id = ? WHERE id = ?', [order.id, order.mobile_id]);
+  }
+
+  if (to === 'completed' || to === 'cancelled') {
+    // A finished wash leaves the unit at the customer's location
+    if (to === 'completed') {
+      await tx.run(
+        'UPDATE mobiles SET location_lat = ?, location_lng = ? WHERE id = ?',
+        [order.location_lat, order.location_lng, order.mobile_id]
+      );
+    }
+
+    const nextOrder = await tx.get(
+      `SELECT * FROM orders
+       WHERE mobile_id = ? AND status = 'pending'
+       ORDER BY requested_datetime ASC
+       LIMIT 1`,
+      [order.mobile_id]
+    );
+
+    if (nextOrder) {
+      console.log(`[QueueManager] Order #${order.id} finished. Assigning next order #${nextOrder.id} to mobile unit #${order.mobile_id}.`);
+      performed.push(...await applyTransition(tx, nextOrder, 'assigned', { notes: 'Auto-assigned from queue.', actor: 'system' }));
+    } else {
+      console.log(`[QueueManager] Order #${order.id} finished. No pending order for mobile unit #${order.mobile_id}.`);
+    }
+  }
+
+  return performed;
+};
+
+// Key of the job that auto-confirms a pending order
+const autoAssignJobKey = (orderId) => `auto-assign:order-${orderId}`;
+
+/**
+ * Move an order to a new status
+ * Runs guards, writes the change and its activity log in a transaction, advances the
+ * unit's queue when an order finishes, then emits socket updates and notifies listeners.
+ * @param {number} orderId - Order ID
+ * @param {string} to - New status
+ * @param {Object} options
+ * @param {string} [options.notes] - Activity log note
+ * @param {string} [options.actor] - Who made the change ('admin', 'customer', 'system', ...)
+ * @param {string} [options.expectedStatus] - Only transition if the order is currently in this status
+ * @param {number} [options.mobileId] - Only transition if the order belongs to this mobile unit
+ * @param {Object} [options.transitions] - Restrict the allowed transitions (e.g. CREW_TRANSITIONS)
+ * @param {Object} [options.io] - Socket.io server for real-time updates
+ * @returns {Object} { order, from, to, transitions }
+ * @throws {OrderTransitionError}
+ */
+const transitionOrder = async (orderId, to, { notes, actor = 'admin', expectedStatus, mobileId, transitions, io } = {}) => {
+  const order = await get('SELECT * FROM orders WHERE id = ?', [orderId]);
+
+  if (!order) {
+    throw new OrderTransitionError('Order not found', 404, { to });
+  }
+  if (mobileId && order.mobile_id !== mobileId) {
+    throw new OrderTransitionError('Order is not assigned to your mobile unit', 403, { to });
+  }
+  if (expectedStatus && order.status !== expectedStatus) {
+    throw new OrderTransitionError(`Order is ${order.status}, expected ${expectedStatus}`, 409, { from: order.status, to });
+  }
+  if (transitions && !(transitions[order.status] || []).includes(to)) {
+    throw new OrderTransitionError(`Not allowed to change order status from ${order.status} to ${to}`, 403, {
+      from: order.status,
+      to,
+      allowed: transitions[order.status] || []
+    });
+  }
+
+  const performed = await withTransaction(tx => applyTransition(tx, order, to, { notes, actor }));
+
+  // The unit's queue moved on once an order finished
+  const finishedMobileIds = performed
+    .filter(transition => ['completed', 'cancelled'].includes(transition.to) && transition.order.mobile_id)
+    .map(transition => transition.order.mobile_id);
+  for (const finishedMobileId of [...new Set(finishedMobileIds)]) {
+    await refreshMobileAvailability(finishedMobileId);
+  }
+
+  // Whoever moved the order out of pending first, the auto-confirm job is no longer needed
+  if (order.status === 'pending') {
+    await cancelJobs(autoAssignJobKey(order.id));
+  }
+
+  for (const transition of performed) {
+    const update = { orderId: transition.order.id, status: transition.to, timestamp: new Date() };
+    if (io) {
+      io.to(`order-${transition.order.id}`).emit('status-update', update);
+      io.to(ADMIN_ROOM).emit('admin-status-update', update);
+    }
+
+    for (const listener of transitionListeners) {
+      try {
+        await listener({ ...transition, io });
+      } catch (listenerError) {
+        console.error(`[Lifecycle] Listener failed for order #${transition.order.id}:`, listenerError);
+      }
+    }
+  }
+
+  return { order: performed[0].order, from: order.status, to, transitions: performed };
+};
+
+// Auto-confirm a pending order, unless someone already moved it on
+registerJobHandler('order.auto_assign', async ({ orderId }, { io }) => {
+  try {
+    await transitionOrder(orderId, 'assigned', {
+      notes: 'Order automatically confirmed and assigned',
+      actor: 'system',
+      expectedStatus: 'pending',
+      io
+    });
+    console.log(`[Auto-Update] Successfully updated and notified for order #${orderId}.`);
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      console.log(`[Auto-Update] Order #${orderId} was already updated manually. Aborting auto-update.`);
+      return;
+    }
+    throw error;
+  }
+});
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  CREW_TRANSITIONS,
+  OrderTransitionError,
+  canTransition,
+  onTransition,
+  transitionOrder,
+  autoAssignJobKey
+};
@@ -0,0 +1,103 @@
+/**
+ * Smart Car Wash Pro 2.0 - Payment Providers
+ * Adapter interface for payment gateways, plus a mock gateway that is only registered in development.
+ *
+ * A provider implements:
+ *   authorize({ amount, currency, paymentMethod, description }) -> { id, status: 'authorized', amount }
+ *   capture(paymentId, amount)  -> { id, status: 'captured', amount }
+ *   refund(paymentId, amount)   -> { id, status: 'refunded', amount } (releases an uncaptured authorization)
+ *   verifyWebhook(rawBody, headers) -> { type, paymentId, amount, reason } or null when the signature is invalid
+ * Declines and gateway errors are raised as PaymentError.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Registered providers: name -> adapter
+const providers = {};
+
+/**
+ * Error raised when a payment operation is declined or fails
+ * statusCode is the HTTP status the routes should answer with
+ */
+class PaymentError extends Error {
+  constructor(message, statusCode = 402, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Register a payment provider adapter
+ * @param {string} name - Provider name, as used in config.payments.provider
+ * @param {Object} adapter - Object implementing the provider interface
+ */
+const registerPaymentProvider = (name, adapter) => {
+  providers[name] = adapter;
+};
+
+/**
+ * Get a provider adapter
+ * @param {string} [name] - Provider name (default: the configured provider)
+ * @returns {Object} Provider adapter
+ */
+const getPaymentProvider = (name = config.payments.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+  return provider;
+};
+
+// Sign a webhook body the way the mock gateway does (also handy for local testing)
+const signMockWebhook = (rawBody) => crypto
+  .createHmac('sha256', config.payments.webhookSecret)
+  .update(rawBody)
+  .digest('hex');
+
+/**
+ * Mock gateway - approves every payment method except 'tok_declined'
+ * Stateless: the payments table is the only record of what was authorized
+ */
+const mockProvider = {
+  async authorize({ amount, paymentMethod }) {
+    if (paymentMethod === 'tok_declined') {
+      throw new PaymentError('Payment was declined', 402, { reason: 'card_declined' });
+    }
+    return { id: `mock_${crypto.randomBytes(12).toString('hex')}`, status: 'authorized', amount };
+  },
+
+  async capture(paymentId, amount) {
+    return { id: paymentId, status: 'captured', amount };
+  },
+
+  async refund(paymentId, amount) {
+    return { id: paymentId, status: 'refunded', amount };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'] || '';
+    const expected = signMockWebhook(rawBody);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return null;
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    return { type: event.type, paymentId: event.payment_id, amount: event.amount, reason: event.reason };
+  }
+};
+
+if (config.nodeEnv === 'development') {
+  registerPaymentProvider('mock', mockProvider);
+}
+
+module.exports = {
+  PaymentError,
+  registerPaymentProvider,
+  getPaymentProvider,
+  signMockWebhook
+};
@@ -0,0 +1,272 @@
+/**
+ * Smart Car Wash Pro 2.0 - Payments
+ * Authorizes order payments with the configured provider and settles them when
+ * the order finishes: captured on completion, refunded (less any cancellation fee) on cancellation
+ */
+
+const config = require('../config');
+const { db } = require('../database/init');
+const { PaymentError, getPaymentProvider } = require('./paymentProviders');
+const { onTransition } = require('./orderLifecycle');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+const { generateOrderSummaryFromRecord } = require('./calculations');
+const { generatePDF } = require('./pdfGenerator');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+// Key of the job that retries settling an order's payment
+const settleJobKey = (orderId) => `payment-settle:order-${orderId}`;
+
+const logPaymentActivity = (order, notes) => run(
+  'INSERT INTO activity_logs (order_id, status, mobile_id, notes) VALUES (?, ?, ?, ?)',
+  [order.id, order.status, order.mobile_id, notes]
+);
+
+/**
+ * Authorize a payment with the configured provider (nothing is charged yet)
+ * @param {number} amount - Amount to hold
+ * @param {string} paymentMethod - Provider payment method token
+ * @param {string} description - Shown on the customer's statement
+ * @returns {Object} { provider, id, amount }
+ * @throws {PaymentError} When the payment is declined
+ */
+const authorizePayment = async (amount, paymentMethod, description) => {
+  const provider = config.payments.provider;
+  const authorization = await getPaymentProvider(provider).authorize({
+    amount,
+    currency: config.payments.currency,
+    paymentMethod,
+    description
+  });
+
+  return { provider, id: authorization.id, amount: authorization.amount };
+};
+
+/**
+ * Store an authorization against an order and mark the order as authorized
+ * @param {number} orderId - Order ID
+ * @param {Object} authorization - Result of authorizePayment
+ * @param {Object} [tx] - Transaction to write in (see withTransaction in database/init)
+ * @returns {number} Payment ID
+ */
+const recordAuthorization = async (orderId, authorization, tx = { run }) => {
+  const result = await tx.run(
+    `INSERT INTO payments (order_id, provider, provider_payment_id, amount, currency, status)
+     VALUES (?, ?, ?, ?, ?, 'authorized')`,
+    [orderId, authorization.provider, authorization.id, authorization.amount, config.payments.currency]
+  );
+  await tx.run("UPDATE orders SET payment_status = 'authorized' WHERE id = ?", [orderId]);
+  return result.lastID;
+};
+
+/**
+ * Release an authorization that was never recorded against an order (the order could not be saved)
+ * Failures are logged, not thrown: the caller is already handling the original error.
+ * @param {Object} authorization - Result of authorizePayment
+ */
+const voidAuthorization = async (authorization) => {
+  try {
+    await getPaymentProvider(authorization.provider).refund(authorization.id, authorization.amount);
+  } catch (error) {
+    console.error(`[Payments] Could not release authorization ${authorization.id}:`, error.message);
+  }
+};
+
+/**
+ * Get the payment of an order that still has money attached to it
+ * @param {number} orderId - Order ID
+ * @param {Object} [tx] - Transaction to read in (see withTransaction in database/init)
+ * @returns {Object|undefined} Payment row
+ */
+const getOpenPayment = (orderId, tx = { get }) => tx.get(
+  `SELECT * FROM payments
+   WHERE order_id = ? AND status IN ('authorized', 'captured')
+   ORDER BY id DESC
+   LIMIT 1`,
+  [orderId]
+);
+
+/**
+ * Capture or refund an order's payment according to its status
+ * completed: the order price is captured.
+ * cancelled: the cancellation fee (if any) is kept and the rest is refunded/released.
+ * Safe to call more than once - already settled payments are left alone.
+ * @param {number} orderId - Order ID
+ * @returns {string|null} The order's new payment status, or null if nothing changed
+ */
+const settleOrderPayment = async (orderId) => {
+  const order = await get('SELECT * FROM orders WHERE id = ?', [orderId]);
+  if (!order || !['completed', 'cancelled'].includes(order.status)) {
+    return null;
+  }
+
+  const payment = await getOpenPayment(order.id);
+  if (!payment) {
+    return null;
+  }
+
+  const provider = getPaymentProvider(payment.provider);
+  const keepAmount = order.status === 'completed' ? order.price : (order.cancellation_fee || 0);
+
+  if (payment.status === 'authorized') {
+    if (keepAmount > 0) {
+      // Capturing less than the authorization releases the remainder
+      const capture = await provider.capture(payment.provider_payment_id, Math.min(keepAmount, payment.amount));
+      await run(
+        "UPDATE payments SET status = 'captured', captured_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [capture.amount, payment.id]
+      );
+      await run("UPDATE orders SET payment_status = 'paid' WHERE id = ?", [order.id]);
+      await logPaymentActivity(order, `Payment captured: ₪${capture.amount}`);
+      return 'paid';
+    }
+
+    const refund = await provider.refund(payment.provider_payment_id, payment.amount);
+    await run(
+      "UPDATE payments SET status = 'refunded', refunded_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [refund.amount, payment.id]
+    );
+    await run("UPDATE orders SET payment_status = 'refunded' WHERE id = ?", [order.id]);
+    await logPaymentActivity(order, `Payment authorization released: ₪${refund.amount}`);
+    return 'refunded';
+  }
+
+  // Already captured (e.g. by the gateway): only a cancellation gives money back
+  const refundable = order.status === 'cancelled' ? payment.captured_amount - payment.refunded_amount - keepAmount : 0;
+  if (refundable <= 0) {
+    return null;
+  }
+
+  const refund = await provider.refund(payment.provider_payment_id, refundable);
+  const paymentStatus = keepAmount > 0 ? 'paid' : 'refunded';
+  await run(
+    'UPDATE payments SET status = ?, refunded_amount = refunded_amount + ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [keepAmount > 0 ? 'captured' : 'refunded', refund.amount, payment.id]
+  );
+  await run('UPDATE orders SET payment_status = ? WHERE id = ?', [paymentStatus, order.id]);
+  await logPaymentActivity(order, `Payment refunded: ₪${refund.amount}`);
+  return paymentStatus;
+};
+
+/**
+ * Regenerate an order's invoice so it shows the current payment state
+ * @param {number} orderId - Order ID
+ */
+const regenerateInvoice = async (orderId) => {
+  const order = await get('SELECT * FROM orders WHERE id = ?', [orderId]);
+  const mobile = order.mobile_id ? await get('SELECT * FROM mobiles WHERE id = ?', [order.mobile_id]) : null;
+  const orderSummary = generateOrderSummaryFromRecord(order, mobile);
+  await generatePDF(order.id, { ...orderSummary, accessToken: order.access_token });
+};
+
+/**
+ * Apply a verified gateway webhook event to the matching payment
+ * @param {string} providerName - Provider that sent the event
+ * @param {Object} event - { type, paymentId, amount, reason } from provider.verifyWebhook
+ * @returns {boolean} Whether a payment was updated
+ */
+const applyWebhookEvent = async (providerName, event) => {
+  const payment = await get(
+    'SELECT * FROM payments WHERE provider = ? AND provider_payment_id = ?',
+    [providerName, event.paymentId]
+  );
+  if (!payment) {
+    return false;
+  }
+
+  // Events only move a payment forward; late or replayed ones are ignored
+  const allowedFrom = {
+    'payment.captured': ['authorized'],
+    'payment.refunded': ['authorized', 'captured'],
+    'payment.failed': ['authorized']
+  };
+  if (!(allowedFrom[event.type] || []).includes(payment.status)) {
+    return false;
+  }
+
+  const order = await get('SELECT * FROM orders WHERE id = ?', [payment.order_id]);
+
+  switch (event.type) {
+    case 'payment.captured':
+      await run(
+        "UPDATE payments SET status = 'captured', captured_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [event.amount ?? payment.amount, payment.id]
+      );
+      await run("UPDATE orders SET payment_status = 'paid' WHERE id = ?", [payment.order_id]);
+      await logPaymentActivity(order, `Payment captured by gateway: ₪${event.amount ?? payment.amount}`);
+      return true;
+
+    case 'payment.refunded':
+      await run(
+        "UPDATE payments SET status = 'refunded', refunded_amount = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [event.amount ?? payment.captured_amount, payment.id]
+      );
+      await run("UPDATE orders SET payment_status = 'refunded' WHERE id = ?", [payment.order_id]);
+      await logPaymentActivity(order, `Payment refunded by gateway: ₪${event.amount ?? payment.captured_amount}`);
+      return true;
+
+    case 'payment.failed':
+      await run(
+        "UPDATE payments SET status = 'failed', failure_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [event.reason || null, payment.id]
+      );
+      await run("UPDATE orders SET payment_status = 'unpaid' WHERE id = ?", [payment.order_id]);
+      await logPaymentActivity(order, `Payment failed${event.reason ? `: ${event.reason}` : ''}`);
+      return true;
+
+    default:
+      return false;
+  }
+};
+
+// Settle the payment when an order finishes; gateway failures are retried by the job worker
+onTransition(async ({ order, to }) => {
+  if (to !== 'completed' && to !== 'cancelled') {
+    return;
+  }
+
+  let paymentStatus;
+  try {
+    paymentStatus = await settleOrderPayment(order.id);
+  } catch (error) {
+    console.error(`[Payments] Settling order #${order.id} failed, retrying later:`, error.message);
+    await scheduleJob('payments.settle', { orderId: order.id }, {
+      runAt: new Date(Date.now() + config.jobs.retryDelaySeconds * 1000),
+      key: settleJobKey(order.id)
+    });
+    return;
+  }
+
+  if (paymentStatus) {
+    await regenerateInvoice(order.id);
+  }
+});
+
+registerJobHandler('payments.settle', async ({ orderId }) => {
+  if (await settleOrderPayment(orderId)) {
+    await regenerateInvoice(orderId);
+  }
+});
+
+module.exports = {
+  PaymentError,
+  authorizePayment,
+  recordAuthorization,
+  voidAuthorization,
+  getOpenPayment,
+  settleOrderPayment,
+  regenerateInvoice,
+  applyWebhookEvent
+};
@@ -2,6 +2,55 @@ const puppeteer = require('puppeteer');
 const QRCode = require('qrcode');
 const path = require('path');
 const fs = require('fs').promises;
+const config = require('../config');
+
+// Invoices carry the customer's order token in their QR code: the directory is not served
+// statically, invoices are downloaded through GET /api/orders/:id/invoice
+const PDFS_DIR = path.join(__dirname, '../pdfs');
+
+/**
+ * Get the file path of an order's invoice
+ * @param {number} orderId - Order ID
+ * @returns {string} PDF file path
+ */
+const getInvoicePath = (orderId) => path.join(PDFS_DIR, `order-${orderId}.pdf`);
+
+// Fleet statements are only downloaded by admins with billing access
+const STATEMENTS_DIR = path.join(PDFS_DIR, 'statements');
+
+/**
+ * Get the file path of a fleet statement
+ * @param {string} fileName - File name stored with the statement
+ * @returns {string} PDF file path
+ */
+const getStatementPath = (fileName) => path.join(STATEMENTS_DIR, path.basename(fileName));
+
+/**
+ * Render HTML to an A4 PDF file with Puppeteer
+ * @param {string} htmlContent - HTML document
+ * @param {string} pdfPath - Output file path
+ */
+const renderPDF = async (htmlContent, pdfPath) => {
+  // Launch Puppeteer
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+
+    await page.pdf({
+      path: pdfPath,
+      format: config.pdf.format,
+      printBackground: true,
+      margin: config.pdf.margin
+    });
+  } finally {
+    await browser.close();
+  }
+};
 
 /**
  * Generate professional PDF invoice for car wash order
@@ -12,11 +61,12 @@ const fs = require('fs').promises;
 const generatePDF = async (orderId, orderData) => {
   try {
     // Ensure PDFs directory exists
-    const pdfsDir = path.join(__dirname, '../pdfs');
-    await fs.mkdir(pdfsDir, { recursive: true });
+    await fs.mkdir(PDFS_DIR, { recursive: true });
 
-    // Generate QR code
-    const qrCodeData = `Order #${orderId} - Track at localhost:3001`;
+    // Generate QR code - links to the tracking page, with the customer's order token when available
+    const qrCodeData = orderData.accessToken
+      ? `${config.frontendUrl}/track/${orderId}#token=${orderData.accessToken}`
+      : `Order #${orderId} - Track at ${config.frontendUrl}`;
     const qrCodeDataURL = await QRCode.toDataURL(qrCodeData, {
       width: 200,
       margin: 2,
@@ -29,30 +79,9 @@ const generatePDF = async (orderId, orderData) => {
     // Generate HTML content
     const htmlContent = generateInvoiceHTML(orderId, orderData, qrCodeDataURL);
 
-    // Launch Puppeteer
-    const browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    const page = await browser.newPage();
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
-
     // Generate PDF
-    const pdfPath = path.join(pdfsDir, `order-${orderId}.pdf`);
-    await page.pdf({
-      path: pdfPath,
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '20mm',
-        right: '20mm',
-        bottom: '20mm',
-        left: '20mm'
-      }
-    });
-
-    await browser.close();
+    const pdfPath = getInvoicePath(orderId);
+    await renderPDF(htmlContent, pdfPath);
 
     console.log(`✅ PDF generated: ${pdfPath}`);
     return pdfPath;
@@ -235,6 +264,22 @@ const generateInvoiceHTML = (orderId, orderData, qrCodeDataURL) => {
                 opacity: 0.9;
             }
             
+            .discount-display {
+                font-size: 16px;
+                opacity: 0.9;
+                margin-bottom: 5px;
+            }
+            
+            .payment-stamp {
+                display: inline-block;
+                margin-top: 15px;
+                padding: 6px 20px;
+                border: 3px solid #fff;
+                font-size: 20px;
+                font-weight: bold;
+                letter-spacing: 3px;
+            }
+            
             .qr-section {
                 text-align: center;
                 margin: 40px 0;
@@ -360,7 +405,7 @@ const generateInvoiceHTML = (orderId, orderData, qrCodeDataURL) => {
                         </div>
                         <div class="info-row">
                             <span class="info-label">Est. Arrival:</span>
-                            <span class="info-value">${new Date(orderData.mobile.estimatedArrival).toLocaleString()}</span>
+                            <span class="info-value">${orderData.mobile.estimatedArrival ? new Date(orderData.mobile.estimatedArrival).toLocaleString() : '-'}</span>
                         </div>
                     </div>
                 </div>
@@ -368,8 +413,13 @@ const generateInvoiceHTML = (orderId, orderData, qrCodeDataURL) => {
             
             <div class="pricing-section">
                 <h3>TOTAL AMOUNT</h3>
+                ${orderData.discount ? `
+                <div class="discount-display">Subtotal: ₪${orderData.subtotal}</div>
+                <div class="discount-display">Promo Code ${orderData.discount.code}: -₪${orderData.discount.amount}</div>
+                ` : ''}
                 <div class="price-display">₪${orderData.price}</div>
                 <div class="duration-display">Estimated Duration: ${orderData.duration} minutes</div>
+                <div class="payment-stamp">${orderData.paymentStatus === 'paid' ? 'PAID' : 'UNPAID'}</div>
             </div>
             
             <div class="qr-section">
@@ -394,4 +444,218 @@ const generateInvoiceHTML = (orderId, orderData, qrCodeDataURL) => {
   `;
 };
 
-module.exports = { generatePDF };
+/**
+ * Generate consolidated monthly PDF statement for a fleet account
+ * @param {Object} statement - Statement data (see utils/fleetBilling.js)
+ * @returns {string} PDF file path
+ */
+const generateStatementPDF = async (statement) => {
+  try {
+    await fs.mkdir(STATEMENTS_DIR, { recursive: true });
+
+    const htmlContent = generateStatementHTML(statement);
+    const pdfPath = getStatementPath(`statement-fleet-${statement.fleet.id}-${statement.period}.pdf`);
+    await renderPDF(htmlContent, pdfPath);
+
+    console.log(`✅ Statement PDF generated: ${pdfPath}`);
+    return pdfPath;
+
+  } catch (error) {
+    console.error('Error generating statement PDF:', error);
+    throw error;
+  }
+};
+
+/**
+ * Generate HTML content for a fleet statement
+ * @param {Object} statement - Statement data
+ * @returns {string} HTML content
+ */
+const generateStatementHTML = (statement) => {
+  const vehicleSections = statement.vehicles.map(vehicle => `
+            <div class="vehicle-section">
+                <h4>${vehicle.plate}${vehicle.label ? ` - ${vehicle.label}` : ''}</h4>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Order #</th>
+                            <th>Date</th>
+                            <th>Service</th>
+                            <th class="amount">Amount</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${vehicle.orders.map(order => `
+                        <tr>
+                            <td>${order.id}</td>
+                            <td>${new Date(order.requested_datetime).toLocaleDateString()}</td>
+                            <td>${order.service_type}</td>
+                            <td class="amount">₪${order.price}</td>
+                        </tr>`).join('')}
+                        <tr class="subtotal-row">
+                            <td colspan="3">Subtotal (${vehicle.orders.length} washes)</td>
+                            <td class="amount">₪${vehicle.subtotal}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>`).join('');
+
+  return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <title>Smart Car Wash Pro - Statement ${statement.fleet.name} ${statement.period}</title>
+        <style>
+            * {
+                margin: 0;
+                padding: 0;
+                box-sizing: border-box;
+            }
+            
+            body {
+                font-family: 'Arial', sans-serif;
+                line-height: 1.6;
+                color: #000;
+                background: #fff;
+            }
+            
+            .statement-container {
+                max-width: 800px;
+                margin: 0 auto;
+                padding: 40px;
+            }
+            
+            .header {
+                text-align: center;
+                border-bottom: 3px solid #000;
+                padding-bottom: 30px;
+                margin-bottom: 30px;
+            }
+            
+            .logo {
+                font-size: 36px;
+                font-weight: bold;
+                letter-spacing: 2px;
+            }
+            
+            .tagline {
+                font-size: 14px;
+                color: #666;
+                text-transform: uppercase;
+                letter-spacing: 1px;
+            }
+            
+            .info-row {
+                display: flex;
+                margin-bottom: 8px;
+                font-size: 14px;
+            }
+            
+            .info-label {
+                font-weight: bold;
+                width: 160px;
+            }
+            
+            .vehicle-section {
+                margin-top: 30px;
+            }
+            
+            .vehicle-section h4 {
+                font-size: 16px;
+                margin-bottom: 10px;
+                text-transform: uppercase;
+                letter-spacing: 1px;
+            }
+            
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+            
+            th, td {
+                padding: 6px 8px;
+                border-bottom: 1px solid #ddd;
+                text-align: left;
+            }
+            
+            th {
+                background: #f9f9f9;
+            }
+            
+            .amount {
+                text-align: right;
+            }
+            
+            .subtotal-row td {
+                font-weight: bold;
+                border-top: 2px solid #000;
+            }
+            
+            .total-section {
+                background: #000;
+                color: #fff;
+                padding: 30px;
+                margin: 40px 0;
+                text-align: center;
+            }
+            
+            .total-display {
+                font-size: 40px;
+                font-weight: bold;
+            }
+            
+            .footer {
+                margin-top: 40px;
+                padding-top: 20px;
+                border-top: 1px solid #ccc;
+                text-align: center;
+                font-size: 12px;
+                color: #666;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="statement-container">
+            <div class="header">
+                <div class="logo">SMART CAR WASH PRO</div>
+                <div class="tagline">Monthly Fleet Statement</div>
+            </div>
+            
+            <div class="info-row">
+                <span class="info-label">Account:</span>
+                <span>${statement.fleet.name}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Billing Address:</span>
+                <span>${statement.fleet.billing_address || '-'}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Period:</span>
+                <span>${statement.period}</span>
+            </div>
+            <div class="info-row">
+                <span class="info-label">Completed Washes:</span>
+                <span>${statement.orderCount}</span>
+            </div>
+            
+            ${vehicleSections}
+            
+            <div class="total-section">
+                <h3>TOTAL FOR ${statement.period}</h3>
+                <div class="total-display">₪${statement.total}</div>
+            </div>
+            
+            <div class="footer">
+                <p>Thank you for choosing Smart Car Wash Pro 2.0</p>
+                <p>For billing questions, contact us at billing@carwash.com</p>
+                <p>Generated on ${new Date().toLocaleString()}</p>
+            </div>
+        </div>
+    </body>
+    </html>
+  `;
+};
+
+module.exports = { getInvoicePath, getStatementPath, generatePDF, generateStatementPDF };
@@ -0,0 +1,68 @@
+/**
+ * Smart Car Wash Pro 2.0 - Queue Manager
+ * Keeps a mobile unit's availability fields in sync with its queue of orders
+ */
+
+const { db } = require('../database/init');
+const { buildMobileTimeline, calculateAvailableFrom } = require('./calculations');
+
+/**
+ * Recompute is_available, current_order_id and available_from for a mobile unit
+ * from the orders still in its queue
+ * @param {number} mobileId - Mobile unit ID
+ * @returns {Object|null} Updated fields, or null if the unit does not exist
+ */
+const refreshMobileAvailability = async (mobileId) => {
+  const mobile = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM mobiles WHERE id = ?', [mobileId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+
+  if (!mobile) {
+    return null;
+  }
+
+  const queue = await new Promise((resolve, reject) => {
+    db.all(
+      "SELECT * FROM orders WHERE mobile_id = ? AND status NOT IN ('completed', 'cancelled') ORDER BY requested_datetime ASC",
+      [mobileId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+
+  const timeline = buildMobileTimeline(mobile, queue);
+
+  // Keep the current order while it is still in the queue, otherwise move on to the next one
+  const currentOrderId = queue.some(order => order.id === mobile.current_order_id)
+    ? mobile.current_order_id
+    : (queue[0] ? queue[0].id : null);
+
+  const fields = {
+    // A unit out of service or retired is never available, even with an empty queue
+    is_available: !mobile.out_of_service && !mobile.retired_at && queue.length === 0 ? 1 : 0,
+    current_order_id: currentOrderId,
+    available_from: calculateAvailableFrom(timeline).toISOString()
+  };
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE mobiles SET is_available = ?, current_order_id = ?, available_from = ? WHERE id = ?',
+      [fields.is_available, fields.current_order_id, fields.available_from, mobileId],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+
+  return fields;
+};
+
+module.exports = {
+  refreshMobileAvailability
+};
@@ -0,0 +1,95 @@
+/**
+ * Smart Car Wash Pro 2.0 - Real-time Rooms
+ * Who may listen to what over socket.io. Order rooms carry the unit's live position,
+ * so joining one takes the order's access token, or a customer, crew or admin token
+ * that covers the order. Admin events go to the admin room only, which sockets join
+ * by connecting with a valid admin access token (auth: { token }).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const { db } = require('../database/init');
+const { isSessionActive } = require('./adminSessions');
+const { decodeCrewToken } = require('../middleware/crewAuth');
+
+const ADMIN_ROOM = 'admins';
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+// Verify a JWT; returns null when it is missing or invalid
+const decodeToken = (token) => {
+  if (!token) {
+    return null;
+  }
+  try {
+    return jwt.verify(token, config.jwtSecret);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a socket's admin token the way verifyToken checks HTTP requests
+ * @param {string} token - Admin access token from the handshake
+ * @returns {Object|null} Decoded token, or null when it does not grant admin access
+ */
+const authenticateAdminSocket = async (token) => {
+  const decoded = decodeToken(token);
+  if (!decoded || decoded.type !== 'admin' || !(await isSessionActive(decoded.sid, decoded.id))) {
+    return null;
+  }
+
+  const admin = await get('SELECT is_active, must_change_password FROM admins WHERE id = ?', [decoded.id]);
+  return admin && admin.is_active && !admin.must_change_password ? decoded : null;
+};
+
+/**
+ * Check whether a socket may join an order's room
+ * @param {number} orderId - Order ID
+ * @param {Object} credentials
+ * @param {string} [credentials.orderToken] - The order's access token
+ * @param {string} [credentials.token] - Customer, crew or admin JWT from the handshake
+ * @returns {boolean}
+ */
+const canJoinOrderRoom = async (orderId, { orderToken, token } = {}) => {
+  const order = await get('SELECT id, access_token, customer_id, mobile_id FROM orders WHERE id = ?', [orderId]);
+  if (!order) {
+    return false;
+  }
+
+  if (orderToken && order.access_token) {
+    const expected = Buffer.from(order.access_token);
+    const provided = Buffer.from(String(orderToken));
+    if (expected.length === provided.length && crypto.timingSafeEqual(expected, provided)) {
+      return true;
+    }
+  }
+
+  const decoded = decodeToken(token);
+  if (!decoded) {
+    return false;
+  }
+  if (decoded.type === 'customer') {
+    return order.customer_id === decoded.id;
+  }
+  if (decoded.type === 'crew') {
+    const crew = await decodeCrewToken(token);
+    return Boolean(crew) && order.mobile_id === crew.mobileId;
+  }
+  if (decoded.type === 'admin') {
+    return Boolean(await authenticateAdminSocket(token));
+  }
+  return false;
+};
+
+module.exports = {
+  ADMIN_ROOM,
+  authenticateAdminSocket,
+  canJoinOrderRoom
+};
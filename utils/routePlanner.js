@@ -0,0 +1,197 @@
+/**
+ * Smart Car Wash Pro 2.0 - Route Planner
+ * Reorders a mobile unit's daily jobs to minimize driving distance,
+ * keeping fixed appointments, flexible time windows and the unit's shifts intact
+ */
+
+const { calculateDistance, calculateTravelMinutes } = require('./calculations');
+const { getBusinessHours } = require('./scheduling');
+
+const MINUTE = 60000;
+const MAX_IMPROVEMENT_ROUNDS = 50;
+
+/**
+ * Turn an order row into a route stop with its time window
+ * Orders without flexible_until are fixed appointments (window of zero length).
+ * Once a route was applied, requested_datetime holds the planned start and
+ * flexible_from keeps where the customer's window began.
+ * @param {Object} order - Order row
+ * @returns {Object} Stop
+ */
+const toStop = (order) => {
+  const scheduledStart = new Date(order.requested_datetime);
+  const windowStart = order.flexible_from ? new Date(order.flexible_from) : scheduledStart;
+  const windowEnd = order.flexible_until ? new Date(order.flexible_until) : windowStart;
+  return {
+    orderId: order.id,
+    vehicleNumber: order.vehicle_number,
+    status: order.status,
+    lat: order.location_lat,
+    lng: order.location_lng,
+    duration: order.duration_minutes,
+    scheduledStart,
+    windowStart,
+    windowEnd,
+    fixed: windowEnd.getTime() === windowStart.getTime()
+  };
+};
+
+/**
+ * Find the earliest start, at or after a time, that fits a job inside one of the working windows
+ * @param {number} earliest - Earliest possible start (ms)
+ * @param {number} duration - Job duration (ms)
+ * @param {Array|null} workingWindows - [{ start: Date, end: Date }], or null when the unit has no schedule
+ * @returns {number|null} Start (ms), or null when no window left in the day fits the job
+ */
+const fitInWorkingWindows = (earliest, duration, workingWindows) => {
+  if (!workingWindows) {
+    return earliest;
+  }
+  for (const window of workingWindows) {
+    const start = Math.max(earliest, window.start.getTime());
+    if (start + duration <= window.end.getTime()) {
+      return start;
+    }
+  }
+  return null;
+};
+
+/**
+ * Drive through the stops in order and compute legs and ETAs
+ * @param {Object} origin - { lat, lng, time: Date } where the unit starts
+ * @param {Array} stops - Stops in visiting order
+ * @param {Date} closingTime - Jobs must end by this time
+ * @param {Array|null} [workingWindows] - The unit's shifts that day (see getWorkingWindows in calculations)
+ * @returns {Object} { feasible, totalKm, legs, schedule }
+ */
+const simulateRoute = (origin, stops, closingTime, workingWindows = null) => {
+  let time = origin.time.getTime();
+  let lat = origin.lat;
+  let lng = origin.lng;
+  let previousId = null;
+  let totalKm = 0;
+  let feasible = true;
+  const legs = [];
+  const schedule = [];
+
+  stops.forEach((stop, index) => {
+    const distanceKm = calculateDistance(lat, lng, stop.lat, stop.lng);
+    const travelMinutes = calculateTravelMinutes(lat, lng, stop.lat, stop.lng);
+    const arrival = time + travelMinutes * MINUTE;
+    // Wait for the window to open if the unit arrives early, and for the next shift if the job
+    // would run into a break or past the end of the shift
+    const earliest = Math.max(arrival, stop.windowStart.getTime());
+    const shiftStart = fitInWorkingWindows(earliest, stop.duration * MINUTE, workingWindows);
+    const start = shiftStart === null ? earliest : shiftStart;
+    const end = start + stop.duration * MINUTE;
+
+    if (shiftStart === null || start > stop.windowEnd.getTime() || end > closingTime.getTime()) {
+      feasible = false;
+    }
+
+    legs.push({
+      from: previousId,
+      to: stop.orderId,
+      distanceKm: parseFloat(distanceKm.toFixed(2)),
+      travelMinutes
+    });
+    schedule.push({
+      sequence: index + 1,
+      ...stop,
+      eta: new Date(arrival),
+      start: new Date(start),
+      end: new Date(end)
+    });
+
+    totalKm += distanceKm;
+    time = end;
+    lat = stop.lat;
+    lng = stop.lng;
+    previousId = stop.orderId;
+  });
+
+  return { feasible, totalKm, legs, schedule };
+};
+
+// Compare two simulated routes: feasible beats infeasible, then shorter wins
+const isBetterRoute = (candidate, best) => {
+  if (candidate.feasible !== best.feasible) return candidate.feasible;
+  return candidate.totalKm < best.totalKm - 0.001;
+};
+
+/**
+ * Insert a stop at every possible position and keep the best resulting route
+ * @returns {Object} { stops, result }
+ */
+const bestInsertion = (origin, route, stop, closingTime, workingWindows) => {
+  let best = null;
+  for (let position = 0; position <= route.length; position++) {
+    const stops = [...route.slice(0, position), stop, ...route.slice(position)];
+    const result = simulateRoute(origin, stops, closingTime, workingWindows);
+    if (!best || isBetterRoute(result, best.result)) {
+      best = { stops, result };
+    }
+  }
+  return best;
+};
+
+/**
+ * Plan the daily route for a mobile unit
+ * Fixed appointments keep their time; flexible jobs are placed by cheapest
+ * insertion and then relocated one by one while that shortens the route.
+ * The current order (by requested time) is kept unless the plan beats it.
+ * @param {Object} origin - { lat, lng, time: Date } where the unit starts
+ * @param {Array} orders - The unit's open orders for the day
+ * @param {Date} date - Day being planned
+ * @param {Array|null} [workingWindows] - The unit's shifts that day, or null when it has no schedule
+ * @returns {Object} Route plan
+ */
+const planMobileRoute = (origin, orders, date, workingWindows = null) => {
+  const { close } = getBusinessHours(date);
+  const stops = orders.map(toStop);
+
+  const currentStops = [...stops].sort((a, b) => a.scheduledStart - b.scheduledStart);
+  const current = simulateRoute(origin, currentStops, close, workingWindows);
+
+  // Fixed appointments first, then insert the flexible ones
+  let route = stops.filter(stop => stop.fixed).sort((a, b) => a.windowStart - b.windowStart);
+  stops
+    .filter(stop => !stop.fixed)
+    .sort((a, b) => a.windowStart - b.windowStart)
+    .forEach(stop => {
+      route = bestInsertion(origin, route, stop, close, workingWindows).stops;
+    });
+
+  let planned = simulateRoute(origin, route, close, workingWindows);
+
+  // Relocate flexible stops while it keeps improving the route
+  for (let round = 0; round < MAX_IMPROVEMENT_ROUNDS; round++) {
+    let improved = false;
+    route.filter(stop => !stop.fixed).forEach(stop => {
+      const without = route.filter(other => other !== stop);
+      const candidate = bestInsertion(origin, without, stop, close, workingWindows);
+      if (isBetterRoute(candidate.result, planned)) {
+        route = candidate.stops;
+        planned = candidate.result;
+        improved = true;
+      }
+    });
+    if (!improved) break;
+  }
+
+  const best = isBetterRoute(planned, current) ? planned : current;
+
+  return {
+    feasible: best.feasible,
+    stops: best.schedule,
+    legs: best.legs,
+    totalKm: parseFloat(best.totalKm.toFixed(2)),
+    currentTotalKm: parseFloat(current.totalKm.toFixed(2)),
+    savedKm: parseFloat((current.totalKm - best.totalKm).toFixed(2))
+  };
+};
+
+module.exports = {
+  simulateRoute,
+  planMobileRoute
+};
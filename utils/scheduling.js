@@ -0,0 +1,104 @@
+/**
+ * Smart Car Wash Pro 2.0 - Scheduling Utilities
+ * Business hours and bookable time slots, built on the per-mobile timelines
+ */
+
+const config = require('../config');
+const { buildMobileTimeline, canScheduleJob } = require('./calculations');
+
+const MINUTE = 60000;
+
+/**
+ * Get the business hours for a given day (server local time)
+ * @param {Date} date - Any time on the requested day
+ * @returns {Object} { open, close } as Date objects
+ */
+const getBusinessHours = (date) => {
+  const open = new Date(date);
+  open.setHours(config.business.openingHour, 0, 0, 0);
+  const close = new Date(date);
+  close.setHours(config.business.closingHour, 0, 0, 0);
+  return { open, close };
+};
+
+/**
+ * Check that a job fits entirely inside the business hours of its day
+ * @param {Date} start - Job start time
+ * @param {number} duration - Job duration in minutes
+ * @returns {boolean}
+ */
+const isWithinBusinessHours = (start, duration) => {
+  const { open, close } = getBusinessHours(start);
+  const end = new Date(start.getTime() + duration * MINUTE);
+  return start >= open && end <= close;
+};
+
+/**
+ * Check that a requested start time can still be booked
+ * @param {Array} mobiles - Mobile units
+ * @param {Array} activeOrders - Orders not yet completed or cancelled
+ * @param {Object} job - { start: Date, duration: minutes, lat, lng, serviceType?, zoneId?, supplies? }
+ * @param {Date} now - Reference time
+ * @returns {Object} { available, reason }
+ */
+const checkSlotAvailability = (mobiles, activeOrders, job, now = new Date()) => {
+  if (job.start < now) {
+    return { available: false, reason: 'Requested time is in the past' };
+  }
+  if (!isWithinBusinessHours(job.start, job.duration)) {
+    return { available: false, reason: `Requested time is outside business hours (${config.business.openingHour}:00-${config.business.closingHour}:00)` };
+  }
+
+  const available = mobiles.some(mobile =>
+    canScheduleJob(mobile, buildMobileTimeline(mobile, activeOrders, now), job, now).feasible
+  );
+
+  return available
+    ? { available: true, reason: null }
+    : { available: false, reason: 'Requested time slot is no longer available' };
+};
+
+/**
+ * List the bookable start times for a day
+ * @param {Array} mobiles - Mobile units
+ * @param {Array} activeOrders - Orders not yet completed or cancelled
+ * @param {Object} params - { date: Date, duration: minutes, lat, lng, serviceType?, zoneId?, supplies? }
+ * @param {Date} now - Reference time
+ * @returns {Array} Slots: { start, end, availableMobiles }
+ */
+const findAvailableSlots = (mobiles, activeOrders, { date, duration, lat, lng, serviceType, zoneId, supplies }, now = new Date()) => {
+  const { open, close } = getBusinessHours(date);
+  const timelines = mobiles.map(mobile => ({
+    mobile,
+    timeline: buildMobileTimeline(mobile, activeOrders, now)
+  }));
+
+  const slots = [];
+  const interval = config.business.slotIntervalMinutes * MINUTE;
+
+  for (let time = open.getTime(); time + duration * MINUTE <= close.getTime(); time += interval) {
+    const start = new Date(time);
+    if (start < now) continue;
+
+    const availableMobiles = timelines.filter(({ mobile, timeline }) =>
+      canScheduleJob(mobile, timeline, { start, duration, lat, lng, serviceType, zoneId, supplies }, now).feasible
+    ).length;
+
+    if (availableMobiles > 0) {
+      slots.push({
+        start: start.toISOString(),
+        end: new Date(time + duration * MINUTE).toISOString(),
+        availableMobiles
+      });
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  getBusinessHours,
+  isWithinBusinessHours,
+  checkSlotAvailability,
+  findAvailableSlots
+};
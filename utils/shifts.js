@@ -0,0 +1,72 @@
+/**
+ * Smart Car Wash Pro 2.0 - Mobile Unit Shifts
+ * Weekly shift templates (several windows a day, e.g. around a lunch break) and
+ * date-specific overrides. A unit only takes jobs that fit entirely inside one of
+ * its working windows (see isWithinShift in calculations); a unit with no weekly
+ * shifts works whenever the business is open. Times are server local time.
+ */
+
+const { db } = require('../database/init');
+const { toMinutes, toDateKey } = require('./calculations');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Validate the working windows of one day
+ * @param {Array} windows - [{ start_time: 'HH:MM', end_time: 'HH:MM' }]
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateShiftWindows = (windows) => {
+  for (const window of windows) {
+    if (!TIME_PATTERN.test(window.start_time || '') || !TIME_PATTERN.test(window.end_time || '')) {
+      return 'Shift times must be in HH:MM format';
+    }
+    if (toMinutes(window.start_time) >= toMinutes(window.end_time)) {
+      return `Shift ${window.start_time}-${window.end_time} must end after it starts`;
+    }
+  }
+
+  const sorted = [...windows].sort((a, b) => toMinutes(a.start_time) - toMinutes(b.start_time));
+  for (let i = 1; i < sorted.length; i++) {
+    if (toMinutes(sorted[i].start_time) < toMinutes(sorted[i - 1].end_time)) {
+      return `Shifts ${sorted[i - 1].start_time}-${sorted[i - 1].end_time} and ${sorted[i].start_time}-${sorted[i].end_time} overlap`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Attach each unit's weekly shifts and upcoming overrides (mobile.shifts)
+ * @param {Array} mobiles - Mobile units
+ * @returns {Array} The same mobiles
+ */
+const attachShifts = async (mobiles) => {
+  const weekly = await all('SELECT mobile_id, weekday, start_time, end_time FROM mobile_shifts ORDER BY weekday, start_time');
+  const overrides = await all(
+    'SELECT mobile_id, date, start_time, end_time, reason FROM mobile_shift_overrides WHERE date >= ? ORDER BY date, start_time',
+    [toDateKey(new Date())]
+  );
+
+  mobiles.forEach(mobile => {
+    mobile.shifts = {
+      weekly: weekly.filter(shift => shift.mobile_id === mobile.id),
+      overrides: overrides.filter(override => override.mobile_id === mobile.id)
+    };
+  });
+
+  return mobiles;
+};
+
+module.exports = {
+  TIME_PATTERN,
+  validateShiftWindows,
+  attachShifts
+};
@@ -0,0 +1,238 @@
+/**
+ * Smart Car Wash Pro 2.0 - Outbound Webhooks
+ * Notifies subscribed systems (CRM, accounting, ...) of order and mobile unit events.
+ * Every delivery is logged and sent by the job worker, so failures are retried with
+ * exponential backoff. Payloads are signed with the subscription's secret:
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { db } = require('../database/init');
+const { onTransition } = require('./orderLifecycle');
+const { registerJobHandler, scheduleJob } = require('./jobScheduler');
+
+const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.status_changed',
+  'order.reassigned',
+  'order.rescheduled',
+  'mobile.updated'
+];
+
+// Response bodies are kept in the delivery log up to this length
+const MAX_LOGGED_RESPONSE = 1000;
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve(this);
+  });
+});
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+/**
+ * Shape an order row for a webhook payload (the customer's access token stays private)
+ * @param {Object} order - Order row
+ * @returns {Object}
+ */
+const serializeOrder = ({ access_token, ...order }) => ({
+  ...order,
+  price_breakdown: typeof order.price_breakdown === 'string' ? JSON.parse(order.price_breakdown) : (order.price_breakdown || [])
+});
+
+/**
+ * Generate a signing secret for a new subscription
+ * @returns {string}
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signWebhookPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Log a delivery of an event to one subscription and queue it for sending
+ * @returns {number} Delivery ID
+ */
+const queueDelivery = async (subscription, event, data) => {
+  const result = await run(
+    'INSERT INTO webhook_deliveries (subscription_id, event, payload) VALUES (?, ?, ?)',
+    [subscription.id, event, '{}']
+  );
+  const deliveryId = result.lastID;
+
+  const payload = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+  await run('UPDATE webhook_deliveries SET payload = ? WHERE id = ?', [payload, deliveryId]);
+
+  await scheduleJob('webhook.deliver', { deliveryId }, {
+    key: `webhook-delivery-${deliveryId}`,
+    maxAttempts: config.webhooks.maxAttempts
+  });
+  return deliveryId;
+};
+
+/**
+ * Send an event to every active subscription listening for it
+ * Never throws - a webhook problem must not break the request that caused the event
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Array} Delivery IDs
+ */
+const emitWebhookEvent = async (event, data) => {
+  try {
+    const subscriptions = await all('SELECT * FROM webhook_subscriptions WHERE is_active = 1');
+    const deliveryIds = [];
+
+    for (const subscription of subscriptions) {
+      const events = subscription.events.split(',');
+      if (events.includes('*') || events.includes(event)) {
+        deliveryIds.push(await queueDelivery(subscription, event, data));
+      }
+    }
+
+    return deliveryIds;
+  } catch (error) {
+    console.error(`[Webhooks] Failed to queue ${event}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Send a test event to one subscription, regardless of the events it listens for
+ * @param {Object} subscription - Subscription row
+ * @returns {number} Delivery ID
+ */
+const sendTestEvent = (subscription) => queueDelivery(subscription, 'webhook.test', {
+  message: 'This is a test event from Smart Car Wash Pro',
+  subscriptionId: subscription.id
+});
+
+/**
+ * POST a logged delivery to its subscription and record the outcome
+ * @param {number} deliveryId - Delivery ID
+ * @param {boolean} finalAttempt - Mark the delivery failed if this attempt fails
+ * @throws When the endpoint is unreachable or answers with a non-2xx status, so the job worker retries it
+ */
+const deliverWebhook = async (deliveryId, finalAttempt = false) => {
+  const delivery = await get(
+    `SELECT d.*, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON d.subscription_id = s.id
+     WHERE d.id = ?`,
+    [deliveryId]
+  );
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  let responseStatus = null;
+  let responseBody = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SmartCarWash-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+    });
+
+    responseStatus = response.status;
+    responseBody = (await response.text().catch(() => '')).slice(0, MAX_LOGGED_RESPONSE);
+
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with HTTP ${response.status}`);
+    }
+
+    await run(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = attempts + 1, response_status = ?, response_body = ?, last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [responseStatus, responseBody, delivery.id]
+    );
+  } catch (error) {
+    await run(
+      'UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, response_status = ?, response_body = ?, last_error = ? WHERE id = ?',
+      [finalAttempt ? 'failed' : 'pending', responseStatus, responseBody, error.message, delivery.id]
+    );
+    throw error;
+  }
+};
+
+/**
+ * Queue a failed delivery for another round of attempts
+ * @param {number} deliveryId - Delivery ID
+ * @returns {boolean} False if there is no failed delivery with this ID
+ */
+const redeliverWebhook = async (deliveryId) => {
+  const result = await run(
+    "UPDATE webhook_deliveries SET status = 'pending', last_error = NULL WHERE id = ? AND status = 'failed'",
+    [deliveryId]
+  );
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await scheduleJob('webhook.deliver', { deliveryId }, {
+    key: `webhook-delivery-${deliveryId}`,
+    maxAttempts: config.webhooks.maxAttempts
+  });
+  return true;
+};
+
+// Every committed status change is published
+onTransition(async ({ order, from, to, actor }) => {
+  await emitWebhookEvent('order.status_changed', {
+    orderId: order.id,
+    from,
+    to,
+    actor,
+    mobileId: order.mobile_id,
+    order: serializeOrder(order)
+  });
+});
+
+// Deliveries wait on remote endpoints, so they run beside the job queue rather than in it
+registerJobHandler('webhook.deliver', async ({ deliveryId }, { job }) => {
+  await deliverWebhook(deliveryId, job.attempts + 1 >= job.max_attempts);
+}, { concurrent: true });
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  serializeOrder,
+  generateWebhookSecret,
+  signWebhookPayload,
+  emitWebhookEvent,
+  sendTestEvent,
+  deliverWebhook,
+  redeliverWebhook
+};
@@ -0,0 +1,126 @@
+/**
+ * Smart Car Wash Pro 2.0 - Service Zones
+ * Admin-managed GeoJSON areas we serve. Orders must fall inside an active zone
+ * (as long as any are defined), carry a zone surcharge and can only be handled by
+ * units allowed to work there.
+ */
+
+const { db } = require('../database/init');
+
+// Mobiles with the IDs of the zones they are restricted to ('1,3'; NULL = anywhere)
+const MOBILES_WITH_ZONES_SQL = `
+  SELECT m.*, (SELECT GROUP_CONCAT(mz.zone_id) FROM mobile_zones mz WHERE mz.mobile_id = m.id) as zone_ids
+  FROM mobiles m
+`;
+
+const get = (sql, params = []) => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+});
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+});
+
+const isPosition = (position) => Array.isArray(position)
+  && position.length >= 2
+  && typeof position[0] === 'number' && position[0] >= -180 && position[0] <= 180
+  && typeof position[1] === 'number' && position[1] >= -90 && position[1] <= 90;
+
+const isLinearRing = (ring) => Array.isArray(ring)
+  && ring.length >= 4
+  && ring.every(isPosition)
+  && ring[0][0] === ring[ring.length - 1][0]
+  && ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+/**
+ * Validate a zone's area and reduce it to a GeoJSON geometry
+ * @param {Object} geojson - Polygon or MultiPolygon geometry, or a Feature holding one
+ * @returns {Object} { geometry } or { error }
+ */
+const normalizeZoneGeometry = (geojson) => {
+  const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+
+  if (!geometry || typeof geometry !== 'object') {
+    return { error: 'Zone area must be a GeoJSON Polygon or MultiPolygon' };
+  }
+  if (geometry.type === 'Polygon' && isPolygon(geometry.coordinates)) {
+    return { geometry: { type: 'Polygon', coordinates: geometry.coordinates } };
+  }
+  if (geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0
+    && geometry.coordinates.every(isPolygon)) {
+    return { geometry: { type: 'MultiPolygon', coordinates: geometry.coordinates } };
+  }
+
+  return { error: 'Zone area must be a GeoJSON Polygon or MultiPolygon of closed [lng, lat] rings' };
+};
+
+// Ray casting; GeoJSON positions are [lng, lat]
+const isInRing = (ring, lat, lng) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lngI, latI] = ring[i];
+    const [lngJ, latJ] = ring[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const isInPolygon = (rings, lat, lng) => isInRing(rings[0], lat, lng)
+  && !rings.slice(1).some(hole => isInRing(hole, lat, lng));
+
+/**
+ * Check whether a point lies inside a zone's area
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {boolean}
+ */
+const isPointInZone = (geometry, lat, lng) => {
+  if (geometry.type === 'Polygon') {
+    return isInPolygon(geometry.coordinates, lat, lng);
+  }
+  return geometry.coordinates.some(polygon => isInPolygon(polygon, lat, lng));
+};
+
+/**
+ * Find the service zone a location belongs to
+ * When zones overlap, the one created first wins.
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object} { served, zone } - served is true inside a zone, or everywhere while no active zones are defined
+ */
+const resolveServiceZone = async (lat, lng) => {
+  const zones = await all('SELECT * FROM service_zones WHERE is_active = 1 ORDER BY id');
+  if (zones.length === 0) {
+    return { served: true, zone: null };
+  }
+
+  const zone = zones.find(candidate => isPointInZone(JSON.parse(candidate.geojson), parseFloat(lat), parseFloat(lng)));
+  return { served: Boolean(zone), zone: zone || null };
+};
+
+/**
+ * Get a zone by ID
+ * @param {number} zoneId - Zone ID
+ * @returns {Object|null} Zone row
+ */
+const getZone = async (zoneId) => (zoneId ? (await get('SELECT * FROM service_zones WHERE id = ?', [zoneId])) || null : null);
+
+module.exports = {
+  MOBILES_WITH_ZONES_SQL,
+  normalizeZoneGeometry,
+  isPointInZone,
+  resolveServiceZone,
+  getZone
+};